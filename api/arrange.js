@@ -1,74 +1,307 @@
 // Serverless function for Vercel: Generate bracelet arrangement based on five-element target ratios
-// Usage: POST { numBeads: number, ratios: { goal: {metal,wood,water,fire,earth}, colors: {...} }, seed?: number }
-const DEFAULT_COLOR = '#ccc';
+// Usage: POST { numBeads: number, ratios: { goal: {metal,wood,water,fire,earth}, colors: {...} }, seed?: number, strategy?: string }
+//    or POST { sizing: { wristCm, beadMm, fit?, accents?: [{ sizeMm, count? }] }, ratios, ... } to derive numBeads
+// ratios.palettes ({ metal: ['#..', ...], ... }) or shades: n spread several shades within each element's quota
+// inventory: [{ sku, color, element, stock }] | 'catalog' limits beads to what is in stock
+// candidates: n returns n arrangements that are distinct up to rotation and reflection
+// pattern: { motif, fixed, spacers } lays out focal beads, motifs and spacers (see utils/pattern.js)
+// pair: { self: ratios, partner: ratios } builds a couple's matched pair sharing accent colors
+// Arrangement core lives in client/src/shared/arrange.mjs so the App produces identical beads
+const { parseShades, resolvePalettes, mixColors } = require('../utils/palette');
+const { balanceSummary } = require('../utils/compatibility');
+const { normalizeInventory, fillFromInventory } = require('../utils/inventory');
+const beadCatalog = require('../utils/beadCatalog');
+const { braceletId } = require('../utils/braceletId');
+const { parsePattern, buildPattern } = require('../utils/pattern');
+const { withLimits } = require('../utils/rateLimit');
 
-// Simple seedable PRNG (mulberry32)
-function mulberry32(seed) {
-  return function() {
-    let t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+const DEFAULT_BEAD_MM = 8;
+const MAX_CANDIDATES = 20;
+const ATTEMPTS_PER_CANDIDATE = 20;
+
+// `seed` as sent: an integer or integer string; undefined when absent, NaN otherwise
+function parseSeed(seed) {
+  if (seed == null) return undefined;
+  const n = typeof seed === 'string' && /^\s*-?\d+\s*$/.test(seed) ? Number(seed) : seed;
+  return Number.isSafeInteger(n) ? n : NaN;
 }
+const INVALID_SEED = { error: 'Invalid seed', details: 'seed must be an integer' };
 
-// Shuffle array in-place using provided random function
-function shuffle(array, rng) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
+// A bead count as sent (a whole number or a string of digits); NaN unless it is 1…maxBeads
+function parseBeadCount(raw, maxBeads) {
+  const n = typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : raw;
+  return Number.isInteger(n) && n >= 1 && n <= maxBeads ? n : NaN;
 }
+const invalidBeadCount = maxBeads =>
+  ({ error: 'Invalid numBeads', code: 'INVALID_REQUEST', details: `numBeads must be a whole number from 1 to ${maxBeads}` });
+
+/**
+ * Couple's bracelets (合婚): each follows its own goal, but the accent elements
+ * (default: balanceSummary accents, else body.accents) use one shared color –
+ * the OKLab mix of both people's colors – and appear at least once in each.
+ * Body: { pair: { self, partner }, accents?, numBeads | sizing (one value or
+ * [self, partner]), seed?, strategy?, shades? }
+ */
+async function arrangePair(req, res) {
+  const {
+    ELEMENTS, DEFAULT_STRATEGY, DEFAULT_ELEMENT_COLORS, strategyFor, strategyNames,
+    mulberry32, randomSeed, allocateCounts, beadsFromCounts
+  } = await import('../client/src/shared/arrange.mjs');
+  const { pair, seed, shades, strategy = DEFAULT_STRATEGY } = req.body;
+  if (req.body.candidates != null || req.body.inventory != null || req.body.pattern) {
+    res.status(400).json({ error: 'pair cannot be combined with candidates, inventory or pattern' });
+    return;
+  }
+  const who = ['self', 'partner'];
+  const missing = who.filter(w => !pair[w] || !pair[w].goal || !pair[w].colors);
+  if (missing.length) {
+    res.status(400).json({ error: 'Missing required parameters', profiles: missing });
+    return;
+  }
+  const arrange = strategyFor(strategy);
+  if (!arrange) {
+    res.status(400).json({ error: `Unknown strategy "${strategy}"`, strategies: strategyNames });
+    return;
+  }
+  const givenSeed = parseSeed(seed);
+  if (Number.isNaN(givenSeed)) {
+    res.status(400).json(INVALID_SEED);
+    return;
+  }
+  let shadeCount;
+  try {
+    shadeCount = shades == null ? undefined : parseShades(shades);
+  } catch (err) {
+    res.status(400).json({ error: 'Invalid shades', code: 'INVALID_REQUEST', details: err.message });
+    return;
+  }
+  const { computeSizing, MAX_BEADS } = await import('../client/src/shared/sizing.mjs');
+  // One value for both, or [self, partner]
+  const each = (value, i) => (Array.isArray(value) ? value[i] : value);
+  const sizing = {};
+  const numBeads = {};
+  for (const [i, w] of who.entries()) {
+    numBeads[w] = each(req.body.numBeads, i);
+    const spec = req.body.sizing && each(req.body.sizing, i);
+    if (spec) {
+      try {
+        sizing[w] = computeSizing(spec);
+      } catch (err) {
+        res.status(400).json({ error: 'Invalid sizing', details: err.message, profile: w });
+        return;
+      }
+      numBeads[w] = sizing[w].numBeads;
+    }
+  }
+  const noCount = who.filter(w => numBeads[w] == null || numBeads[w] === '');
+  if (noCount.length) {
+    res.status(400).json({ error: 'Missing required parameters', profiles: noCount });
+    return;
+  }
+  for (const w of who) {
+    numBeads[w] = parseBeadCount(numBeads[w], MAX_BEADS);
+    if (Number.isNaN(numBeads[w])) {
+      res.status(400).json({ ...invalidBeadCount(MAX_BEADS), profile: w });
+      return;
+    }
+  }
+
+  const balance = pair.self.current && pair.partner.current ? balanceSummary(pair.self, pair.partner) : null;
+  let accents = req.body.accents || (balance && balance.accents);
+  if (!accents) {
+    // No current ratios: the element both goals weight most
+    accents = [[...ELEMENTS].sort((a, b) =>
+      (pair.self.goal[b] || 0) + (pair.partner.goal[b] || 0) - (pair.self.goal[a] || 0) - (pair.partner.goal[a] || 0))[0]];
+  }
+  if (!Array.isArray(accents) || !accents.length || accents.some(el => !ELEMENTS.includes(el))) {
+    res.status(400).json({ error: 'Invalid accents', elements: ELEMENTS });
+    return;
+  }
+  const colorOf = (r, el) => (r.colors && r.colors[el]) || DEFAULT_ELEMENT_COLORS[el];
+  const accentColors = Object.fromEntries(accents.map(el => [el, mixColors(colorOf(pair.self, el), colorOf(pair.partner, el))]));
 
-// Build bracelet bead list based on goal ratios and colors
-function buildBracelet(numBeads, goal, colors) {
-  const elements = ['metal','wood','water','fire','earth'];
-  // Compute float counts
-  const floats = elements.map(key => ({ key, floatCount: (goal[key] || 0) * numBeads / 100 }));
-  // Floor and remainders
-  const counts = floats.map(({ key, floatCount }) => ({
-    key,
-    count: Math.floor(floatCount),
-    rem: floatCount - Math.floor(floatCount)
-  }));
-  // Adjust to match numBeads
-  let total = counts.reduce((sum, e) => sum + e.count, 0);
-  let diff = numBeads - total;
-  if (diff > 0) {
-    counts.sort((a, b) => b.rem - a.rem);
-    for (let i = 0; i < diff; i++) counts[i].count++;
-  } else if (diff < 0) {
-    counts.sort((a, b) => a.rem - b.rem);
-    for (let i = 0; i < -diff; i++) counts[i].count = Math.max(0, counts[i].count - 1);
-  }
-  // Build list
-  const beads = [];
-  counts.forEach(({ key, count }) => {
-    const color = (colors && colors[key]) || DEFAULT_COLOR;
-    for (let i = 0; i < count; i++) beads.push({ color });
+  // Same seed for both, so "regenerate" reshuffles the pair together
+  const usedSeed = givenSeed ?? randomSeed();
+  const body = { pair: {}, accents: { elements: accents, colors: accentColors }, strategy, seed: usedSeed };
+  who.forEach(w => {
+    const r = pair[w];
+    const colors = { ...r.colors, ...accentColors };
+    // Accent shades are generated around the shared color, identically on both sides
+    let palettes = null;
+    if (r.palettes || shadeCount) {
+      const own = { ...r.palettes };
+      accents.forEach(el => delete own[el]);
+      palettes = resolvePalettes(colors, own, shadeCount);
+    }
+    // Every accent shows up at least once, taken from the largest other element
+    const counts = allocateCounts(numBeads[w], r.goal);
+    accents.forEach(el => {
+      if (counts[el] > 0) return;
+      const donor = ELEMENTS.filter(e => !accents.includes(e)).sort((a, b) => counts[b] - counts[a])[0];
+      if (donor && counts[donor] > 0) { counts[donor]--; counts[el] = 1; }
+    });
+    const ordered = arrange(beadsFromCounts(numBeads[w], counts, colors, palettes), mulberry32(usedSeed));
+    const out = { beads: ordered.map(b => b.color) };
+    if (palettes) out.palettes = palettes;
+    if (sizing[w]) {
+      out.sizes = sizing[w].sizes.slice(0, ordered.length);
+      out.sizing = { numBeads: numBeads[w], lengthMm: sizing[w].lengthMm, targetMm: sizing[w].targetMm };
+    }
+    body.pair[w] = out;
   });
-  // Pad if needed
-  while (beads.length < numBeads) beads.push({ color: DEFAULT_COLOR });
-  return beads;
+  if (balance) body.balance = balance;
+  res.status(200).json(body);
 }
 
-module.exports = (req, res) => {
+module.exports = withLimits('arrange', async (req, res) => {
   if (req.method !== 'POST') {
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
   }
-  const { numBeads, ratios, seed } = req.body;
-  if (!numBeads || !ratios || !ratios.goal || !ratios.colors) {
+  if (req.body.pair) return arrangePair(req, res);
+  const {
+    DEFAULT_STRATEGY, DEFAULT_ELEMENT_COLORS, strategyFor, strategyNames, mulberry32, randomSeed, buildBracelet
+  } = await import('../client/src/shared/arrange.mjs');
+  const { ratios, seed, shades, candidates, strategy = DEFAULT_STRATEGY } = req.body;
+  const wantsInventory = req.body.inventory != null;
+  let { numBeads } = req.body;
+
+  // Wrist size + bead diameter ⇒ bead count (and per-bead sizes)
+  const { computeSizing, MAX_BEADS } = await import('../client/src/shared/sizing.mjs');
+  let sizing = null;
+  if (req.body.sizing) {
+    try {
+      sizing = computeSizing(req.body.sizing);
+    } catch (err) {
+      res.status(400).json({ error: 'Invalid sizing', details: err.message });
+      return;
+    }
+    numBeads = sizing.numBeads;
+  }
+
+  if (!numBeads || !ratios || !ratios.goal || (!ratios.colors && !wantsInventory)) {
     res.status(400).json({ error: 'Missing required parameters' });
     return;
   }
-  // Build and shuffle
-  let beads = buildBracelet(numBeads, ratios.goal, ratios.colors);
-  const rng = seed != null ? mulberry32(parseInt(seed, 10)) : Math.random;
-  shuffle(beads, rng);
-  // Return array of hex colors
-  res.status(200).json({ beads: beads.map(b => b.color) });
-};
+  numBeads = parseBeadCount(numBeads, MAX_BEADS);
+  if (Number.isNaN(numBeads)) {
+    res.status(400).json(invalidBeadCount(MAX_BEADS));
+    return;
+  }
+  let inventory = null;
+  if (wantsInventory) {
+    try {
+      inventory = normalizeInventory(req.body.inventory === 'catalog' ? beadCatalog : req.body.inventory);
+    } catch (err) {
+      res.status(400).json({ error: 'Invalid inventory', details: err.message });
+      return;
+    }
+  }
+  const arrange = strategyFor(strategy);
+  if (!arrange) {
+    res.status(400).json({ error: `Unknown strategy "${strategy}"`, strategies: strategyNames });
+    return;
+  }
+  const givenSeed = parseSeed(seed);
+  if (Number.isNaN(givenSeed)) {
+    res.status(400).json(INVALID_SEED);
+    return;
+  }
+  let shadeCount;
+  try {
+    shadeCount = shades == null ? undefined : parseShades(shades);
+  } catch (err) {
+    res.status(400).json({ error: 'Invalid shades', code: 'INVALID_REQUEST', details: err.message });
+    return;
+  }
+  let pattern = null;
+  if (req.body.pattern) {
+    if (inventory) {
+      res.status(400).json({ error: 'pattern cannot be combined with inventory' });
+      return;
+    }
+    try {
+      pattern = parsePattern(req.body.pattern, numBeads);
+    } catch (err) {
+      res.status(400).json({ error: 'Invalid pattern', details: err.message });
+      return;
+    }
+  }
+  // Build and order according to strategy
+  const palettes = !inventory && (ratios.palettes || shadeCount)
+    ? resolvePalettes(ratios.colors, ratios.palettes, shadeCount)
+    : null;
+  let beads = buildBracelet(numBeads, ratios.goal, ratios.colors, palettes);
+  let inventoryReport = null;
+  if (inventory) {
+    // Same per-element quota, but drawn from stock; pad beads (where the goal's
+    // counts fall short of numBeads) belong to no element and stay, without a SKU
+    const targets = {};
+    const pads = beads.filter(b => !b.element);
+    beads.forEach(b => { if (b.element) targets[b.element] = (targets[b.element] || 0) + 1; });
+    ({ beads, report: inventoryReport } = fillFromInventory(targets, inventory, ratios.goal));
+    beads.push(...pads);
+    inventoryReport.padded = pads.length;
+  }
+  let sizes = sizing ? sizing.sizes.slice(0, beads.length) : null;
+
+  // One ordering pass: a plain strategy, or a pattern whose free slots use the strategy
+  let roles = null;
+  let order = rng => arrange(beads, rng);
+  if (pattern) {
+    const targets = {};
+    beads.forEach(b => { targets[b.element] = (targets[b.element] || 0) + 1; });
+    const colorFor = (element, k) => {
+      const shades = palettes && palettes[element] && palettes[element].length
+        ? palettes[element]
+        : [(ratios.colors && ratios.colors[element]) || DEFAULT_ELEMENT_COLORS[element]];
+      return shades[k % shades.length];
+    };
+    order = rng => buildPattern(pattern, { numBeads, targets, colorFor, arrange, rng, sizes: sizes || undefined });
+    // Layout (roles, sizes) does not depend on the seed
+    const layout = order(mulberry32(0));
+    roles = layout.map(b => b.role);
+    sizes = layout.map(b => b.size || DEFAULT_BEAD_MM);
+  }
+
+  // Return array of hex colors plus the strategy that produced them
+  let body;
+  if (candidates != null) {
+    const count = Math.min(Math.max(parseInt(candidates, 10) || 1, 1), MAX_CANDIDATES);
+    const baseSeed = givenSeed ?? randomSeed();
+    const list = [];
+    const seen = new Set();
+    for (let i = 0; i < count * ATTEMPTS_PER_CANDIDATE && list.length < count; i++) {
+      const candSeed = (baseSeed + i) >>> 0;
+      const ordered = order(mulberry32(candSeed));
+      // Sizes are fixed per position, so a focal bead's color is part of the identity
+      const tokens = ordered.map((b, j) => (sizes ? `${b.color}@${sizes[j]}` : b.color));
+      const id = braceletId(tokens);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const cand = { id, seed: candSeed, beads: ordered.map(b => b.color) };
+      if (inventoryReport) cand.skus = ordered.map(b => b.sku);
+      list.push(cand);
+    }
+    body = { candidates: list, strategy };
+    // Fewer distinct arrangements exist than were asked for
+    if (list.length < count) body.exhausted = true;
+  } else {
+    // Always report the seed so the arrangement can be regenerated (also in the App)
+    const usedSeed = givenSeed ?? randomSeed();
+    const ordered = order(mulberry32(usedSeed));
+    body = { beads: ordered.map(b => b.color), strategy, seed: usedSeed };
+    if (inventoryReport) body.skus = ordered.map(b => b.sku);
+  }
+  if (roles) body.roles = roles;
+  if (palettes) body.palettes = palettes;
+  if (inventoryReport) body.inventory = inventoryReport;
+  if (sizes) body.sizes = sizes;
+  if (sizing) {
+    body.sizing = { numBeads, lengthMm: sizing.lengthMm, targetMm: sizing.targetMm };
+  }
+  res.status(200).json(body);
+});
 
 // Extend function timeout if needed
 module.exports.config = {
@@ -0,0 +1,28 @@
+// Serverless function for Vercel: Score an existing bracelet against the goal ratios
+// Usage: POST { beads: ["#RRGGBB", ...] | [{ color, element? }, ...], ratios: { goal: {...}, colors: {...}, palettes?: {...} } }
+// Returns achieved percentages, error vs goal, clumping and symmetry scores
+const { withLimits } = require('../../utils/rateLimit');
+
+module.exports = withLimits('score', async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+  const { beads, ratios } = req.body;
+  if (!Array.isArray(beads) || !beads.length || !ratios || !ratios.goal || !ratios.colors) {
+    res.status(400).json({ error: 'Missing required parameters' });
+    return;
+  }
+  // Symmetry compares every axis with every bead, so the list is held to the bead count bound
+  const { MAX_BEADS } = await import('../../client/src/shared/sizing.mjs');
+  if (beads.length > MAX_BEADS) {
+    res.status(400).json({ error: 'Too many beads', code: 'INVALID_REQUEST', details: `at most ${MAX_BEADS} beads` });
+    return;
+  }
+  const { scoreBracelet } = await import('../../client/src/shared/score.mjs');
+  res.status(200).json(scoreBracelet(beads, ratios.goal, ratios.colors, ratios.palettes));
+});
+
+module.exports.config = {
+  maxDuration: 60
+};
@@ -1,192 +1,461 @@
-// Serverless function for Vercel: Astrology analysis with DeepSeek + OpenAI
-const busboy  = require('busboy');
-const fetch = global.fetch || require('node-fetch');
-const OpenAI = require('openai');
+// Serverless function for Vercel: Astrology analysis with configurable LLM providers
+// (defaults: DeepSeek for analysis, OpenAI for extraction – see utils/llm.js)
 
-// Import prompt definitions
-const { systemPrompt, userPrompts } = require('./prompt');
+// Prompt templates (prompts/<name>.md) and their system prompts
+const { pickTemplate, renderPrompt } = require('../utils/promptRegistry');
 
-const loadFileHelpers = require('../utils/loadHelperModule');
-const fillVars    = require('../utils/fillVars');
-const compileHelper  = require('../utils/compileHelper');  // your existing inline-helper compiler
-const builtinHelpers     = require('../utils/builtin');        // whatever you already ship
+const { renderTemplate } = require('../utils/sandbox');
+const { readHelperRequest, fetchHelperSources } = require('../utils/helpers');
+const { loadProfile, loadPartner, promptVars } = require('../utils/profile');
+const { resolvePalettes } = require('../utils/palette');
+const { resolveProviders, describe, complete } = require('../utils/llm');
+const { parseRatios, splitSections } = require('../utils/parseRatios');
+const { balanceSummary } = require('../utils/compatibility');
+const { validateRatios } = require('../utils/validateRatios');
+const { serverEnv } = require('../utils/credentials');
+const { astroCache, cacheKey } = require('../utils/cache');
+const { reportStore, newReportId } = require('../utils/reports');
+const { withLimits, tokenOwner } = require('../utils/rateLimit');
+const { ApiError } = require('../utils/errors');
 
-module.exports = async (req, res) => {
+// Extraction methods tried in order: the local Markdown parser (utils/parseRatios.js)
+// and/or the extraction LLM
+const EXTRACTION_ORDER = {
+  'local-first': ['local', 'llm'],
+  'llm-first':   ['llm', 'local'],
+  local:         ['local'],
+  llm:           ['llm']
+};
+const DEFAULT_EXTRACTION = 'local-first';
+// Extra extraction LLM calls after unparsable or invalid JSON
+const EXTRACTION_REPROMPTS = 1;
+// The platform stops the function after MAX_DURATION_S; LLM calls and their
+// retries give up DEADLINE_MARGIN_MS before that, so the client still hears why
+const MAX_DURATION_S = 60;
+const DEADLINE_MARGIN_MS = 3000;
+
+const CACHE_MODES = ['default', 'bypass', 'refresh'];
+// Bump when the cached result shape changes
+const CACHE_VERSION = 4;
+
+// Birth data that identifies a person in the cache key
+const cacheBirth = ({ dob, birthTime, gender, place }) =>
+  ({ dob, birthTime, gender, timezone: place.timezone, longitude: place.longitude });
+
+// Birth data as recorded in a report (utils/reports.js)
+const reportBirth = ({ dob, birthTime, gender, place }) => ({ dob, birthTime, gender, ...place });
+
+// Extraction LLM: system prompt and JSON schema for the ratios
+const EXTRACTION_SYSTEM =
+  '你是一个JSON解析器，只输出包含 current（当前分布）、goal（最佳调节比例）和 colors（推荐颜色）三个对象，不要额外文字。' +
+  'current 和 goal 对象的属性金、木、水、火、土为数字百分比；colors 对象的属性金、木、水、火、土为十六进制颜色字符串。' +
+  '如果内容中为某个五行给出了多个颜色（如基础色、强化色），可另输出 palettes 对象，其属性金、木、水、火、土为十六进制颜色字符串数组。';
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    current: {
+      type: 'object',
+      properties: {
+        metal:  { type: 'number' },
+        wood:   { type: 'number' },
+        water:  { type: 'number' },
+        fire:   { type: 'number' },
+        earth:  { type: 'number' }
+      },
+      required: ['metal','wood','water','fire','earth'],
+      additionalProperties: false
+    },
+    goal: {
+      type: 'object',
+      properties: {
+        metal:  { type: 'number' },
+        wood:   { type: 'number' },
+        water:  { type: 'number' },
+        fire:   { type: 'number' },
+        earth:  { type: 'number' }
+      },
+      required: ['metal','wood','water','fire','earth'],
+      additionalProperties: false
+    },
+    colors: {
+      type: 'object',
+      properties: {
+        metal:  { type: 'string' },
+        wood:   { type: 'string' },
+        water:  { type: 'string' },
+        fire:   { type: 'string' },
+        earth:  { type: 'string' }
+      },
+      required: ['metal','wood','water','fire','earth'],
+      additionalProperties: false
+    },
+    // Optional: several shades per element; generated from colors when absent
+    palettes: {
+      type: 'object',
+      properties: {
+        metal:  { type: 'array', items: { type: 'string' } },
+        wood:   { type: 'array', items: { type: 'string' } },
+        water:  { type: 'array', items: { type: 'string' } },
+        fire:   { type: 'array', items: { type: 'string' } },
+        earth:  { type: 'array', items: { type: 'string' } }
+      },
+      additionalProperties: false
+    }
+  },
+  required: ['current','goal','colors'],
+  additionalProperties: false
+};
+
+module.exports = withLimits('astro', async (req, res) => {
   if (req.method !== 'POST') {
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
   }
+  const until = Date.now() + MAX_DURATION_S * 1000 - DEADLINE_MARGIN_MS;
 
   /* --------------------------------------------------------------
      1)  Accept BOTH  application/json  AND  multipart/form-data
   -------------------------------------------------------------- */
-  let F = {};           // all non-file fields
-  let fileCode = null;  // JS text from <input name="file">
-
-  if (req.headers['content-type']?.startsWith('multipart/form-data')) {
-    await new Promise((resolve, reject) => {
-      const bb = busboy({ headers: req.headers });
-      bb.on('field', (name, val) => (F[name] = val));
-      bb.on('file',  (name, stream) => {
-        if (name === 'file') {
-          let buf = '';
-          stream.on('data', d => (buf += d.toString('utf8')));
-          stream.on('end', () => (fileCode = buf));
-        } else stream.resume();
-      });
-      bb.on('finish', resolve);
-      bb.on('error',  reject);
-      req.pipe(bb);
-    });
-  } else {
-    F = req.body;                         // Express JSON middleware filled this
-    if (F.file && typeof F.file === 'string') {
-      // client sent base-64 in JSON
-      try { fileCode = Buffer.from(F.file, 'base64').toString('utf8'); } catch { /* ignore */ }
-    }
+  let F, fileCode;
+  try {
+    ({ fields: F, fileCode } = await readHelperRequest(req));
+  } catch (err) {
+    return res.status(400).json({ error: 'Malformed request body', code: 'INVALID_REQUEST', details: err.message });
   }
 
-  const { dob, birthTime, gender, deepseekKey, openaiKey,
-          customPrompt, promptType = 'basic',
+  const { customPrompt, promptType = 'basic',
           helpers: inline = {}, fileURL } = F;
 
-  if (!dob || !birthTime || !gender || !deepseekKey || !openaiKey) {
-    return res.status(400).json({ error:'missing dob, birthTime, gender, deepseekKey, or openaiKey' });
+  if (!F.dob || !F.birthTime || !F.gender) {
+    return res.status(400).json({ error:'missing dob, birthTime, or gender', code: 'INVALID_REQUEST' });
+  }
+  const self = await loadProfile(F);
+  if (self.error) return res.status(400).json(self.error);
+
+  // Compatibility (合婚) mode: a second birth profile in `partner` (JSON text in multipart)
+  const partner = await loadPartner(F);
+  if (partner?.error) return res.status(400).json(partner.error);
+
+  const custom = Boolean(customPrompt && customPrompt.trim());
+  let template;
+  try {
+    template = await pickTemplate(promptType, { pair: Boolean(partner), custom });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message, code: err.code, ...(err.promptTypes && { promptTypes: err.promptTypes }) });
+  }
+
+  // How ratios are extracted from the analysis: local Markdown parser and/or the extraction LLM
+  const extractionMode = F.extraction || process.env.EXTRACTION_MODE || DEFAULT_EXTRACTION;
+  if (!EXTRACTION_ORDER[extractionMode]) {
+    return res.status(400).json({ error: 'Invalid extraction mode', code: 'INVALID_REQUEST', modes: Object.keys(EXTRACTION_ORDER) });
+  }
+
+  // cache: 'bypass' skips the cache, 'refresh' recomputes and overwrites the entry
+  const cacheMode = F.cache || 'default';
+  if (!CACHE_MODES.includes(cacheMode)) {
+    return res.status(400).json({ error: 'Invalid cache mode', code: 'INVALID_REQUEST', modes: CACHE_MODES });
+  }
+
+  // Per-stage provider config: defaults < LLM_* env vars / secrets file < body (provider / providers / deepseekKey / openaiKey)
+  let providers;
+  let extractionProviderError = null;   // local-first runs without an extraction provider
+  try {
+    const env = serverEnv();
+    if (typeof F.provider === 'string') F.provider = JSON.parse(F.provider);    // multipart sends JSON text
+    if (typeof F.providers === 'string') F.providers = JSON.parse(F.providers);
+    providers = resolveProviders(F, env, ['analysis']);
+    if (EXTRACTION_ORDER[extractionMode].includes('llm')) {
+      try {
+        Object.assign(providers, resolveProviders(F, env, ['extraction']));
+      } catch (err) {
+        if (extractionMode !== 'local-first') throw err;
+        extractionProviderError = err;
+      }
+    }
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid provider config', code: err.code || 'INVALID_REQUEST', details: err.message });
   }
 
   /* --------------------------------------------------------------
-     2)  Assemble helpers  (fail-soft at every step)
+     2)  Collect helper sources  (fail-soft at every step; they are
+         compiled in the sandbox and the per-helper report is returned
+         as `helpers`)
   -------------------------------------------------------------- */
-  const helpers = { ...builtinHelpers };
+  const sources = await fetchHelperSources({ inline, fileCode, fileURL });
 
-  // 2-a inline tiny helpers  {"age":"(dob)=>…"}
-  if (inline && typeof inline === 'object') {
-    for (const [k, code] of Object.entries(inline)) {
-      try { helpers[k] = compileHelper(code); } catch {/* skip bad */ }
-    }
+  /* --------------------------------------------------------------
+     3)  Produce the prompt
+  -------------------------------------------------------------- */
+  // Pair mode: the partner's vars are prefixed ({partnerDob}, {partnerBazi}…);
+  // bazi and birth are reported per person
+  const vars = promptVars(self, partner);
+  let bazi = self.bazi;
+  let birth = self.birth;
+  if (partner) {
+    bazi = { self: self.bazi, partner: partner.bazi };
+    birth = { self: self.birth, partner: partner.birth };
   }
 
-  // 2-b helper JS file uploaded
-  if (fileCode) Object.assign(helpers, loadFileHelpers(fileCode));
+  // Determine final prompt: customPrompt overrides the template body
+  // customPrompt can now use {dob}, {birthTime}, {gender}, {bazi}, {pillars}, {lunarDob}, {birthplace}, {solarTime}…
+  // (and {partnerDob}… in pair mode), e.g. "My Info: {dob} {birthTime} {gender}"
+  let prompt, helperReport;
+  try {
+    ({ prompt, report: helperReport } = custom
+      ? await renderTemplate(customPrompt.trim(), vars, sources)
+      : await renderPrompt(template, vars, sources));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: 'Invalid prompt template', code: err.code, details: err.message });
+  }
+  const systemPrompt = template.system;
+  // Which template (and version) produced the analysis; saved with the report
+  const promptInfo = { name: template.name, version: template.version, ...(custom && { custom: true }) };
 
-  // 2-c helper JS via HTTPS URL
-  if (fileURL && /^https:\/\//.test(fileURL)) {
+  const usedProviders = {};
+  Object.entries(providers).forEach(([stage, cfg]) => { usedProviders[stage] = describe(cfg); });
+
+  // Every answered request is saved as a report (utils/reports.js) and
+  // returns its reportId; a failing store is logged, never fatal
+  const owner = tokenOwner(req);
+  const reportInput = {
+    ...reportBirth(self), calendar: F.calendar || 'gregorian',
+    ...(partner && { partner: reportBirth(partner) }),
+    promptType: template.name, prompt: promptInfo,
+    ...(custom && { customPrompt }), extraction: extractionMode
+  };
+  const saveReport = async result => {
+    try {
+      const reports = reportStore();
+      if (!reports) return undefined;
+      const now = new Date().toISOString();
+      const { cache, ...content } = result;
+      const report = {
+        id: newReportId(), createdAt: now, updatedAt: now, owner, mode: partner ? 'compatibility' : 'single',
+        input: reportInput,
+        ...content,
+        design: null
+      };
+      await reports.create(report);
+      return report.id;
+    } catch (err) {
+      console.error('report save failed:', err.message);
+      return undefined;
+    }
+  };
+  // A cache hit answers with the report saved for the entry when it is still
+  // there, belongs to the same token and records the same input; anonymous
+  // callers never share one (anyone holding the ID could change its design)
+  const reuseReport = async id => {
+    if (!id || owner == null) return undefined;
     try {
-      const txt = await fetch(fileURL, { timeout: 5_000 }).then(r => r.text());
-      Object.assign(helpers, loadFileHelpers(txt));
-    } catch {/* fetch error ⇒ ignore */}
+      const report = await reportStore()?.get(id);
+      if (report && report.owner === owner && JSON.stringify(report.input) === JSON.stringify(reportInput)) return report.id;
+    } catch (err) {
+      console.error('report lookup failed:', err.message);
+    }
+    return undefined;
+  };
+
+  /* --------------------------------------------------------------
+     4)  Cache lookup: same birth data, rendered prompt and model config
+         ⇒ same analysis and ratios (utils/cache.js)
+  -------------------------------------------------------------- */
+  let cacheStore = null, cacheTtlMs = 0;
+  try {
+    ({ store: cacheStore, ttlMs: cacheTtlMs } = astroCache());
+  } catch (err) {
+    console.error('astro cache disabled:', err.message);
+  }
+  const key = cacheKey({
+    version: CACHE_VERSION,
+    birth: partner ? { self: cacheBirth(self), partner: cacheBirth(partner) } : cacheBirth(self),
+    system: systemPrompt,
+    prompt,
+    template: promptInfo,
+    providers: usedProviders,
+    extraction: extractionMode
+  });
+  const cacheInfo = { hit: false, mode: cacheMode, key };
+  let cached = null;
+  if (cacheStore && cacheMode === 'default') {
+    try { cached = await cacheStore.get(key); } catch {/* cache down ⇒ miss */}
   }
+  if (cached) Object.assign(cacheInfo, { hit: true, storedAt: cached.storedAt });
 
   /* --------------------------------------------------------------
-     3)  Produce the prompt
+     5)  Streaming mode (SSE): `stream: true` or Accept: text/event-stream
+         events: start {bazi, birth, providers, prompt, helpers} → delta {text}… → ratios {ratios, extraction, warnings, reportId, cache} | error {error, code, details}
+         (pair mode: ratios also carries mode and balance)
   -------------------------------------------------------------- */
-  const vars = { dob, birthTime, gender };
+  const streaming = F.stream === true || F.stream === 'true' || /text\/event-stream/.test(req.headers.accept || '');
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const fail = (status, body) => {
+    if (!streaming) return res.status(status).json(body);
+    send('error', { status, ...body });
+    res.end();
+  };
+  if (streaming) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'   // don't let proxies buffer the stream
+    });
+    send('start', { bazi, birth, providers: usedProviders, prompt: promptInfo, helpers: helperReport });
+  }
 
-  // Determine final prompt: customPrompt overrides; else select named prompt > default to basic
-  let prompt;
-  if (customPrompt && customPrompt.trim()) {
-    // customPrompt can now use {dob}, {birthTime}, {gender}, e.g. "My Info: {dob} {birthTime} {gender}"
-    prompt = await fillVars(customPrompt.trim(), vars, helpers);
-  } else {
-    const fn = userPrompts[promptType] || userPrompts.basic;
-    // Generate prompt string by invoking the generator function
-    prompt = fn(vars);
+  if (cached) {
+    const { storedAt, reportId: cachedReportId, ...result } = cached;
+    // birth echoes this request (a lunar and a Gregorian dob can share an entry)
+    const reportId = await reuseReport(cachedReportId) || await saveReport({ ...result, birth });
+    if (!streaming) return res.status(200).json({ ...result, birth, reportId, helpers: helperReport, cache: cacheInfo });
+    send('delta', { text: result.analysis });
+    send('ratios', {
+      ...(result.mode && { mode: result.mode, balance: result.balance }),
+      ratios: result.ratios, extraction: result.extraction, warnings: result.warnings, reportId, cache: cacheInfo
+    });
+    res.end();
+    return;
   }
-  
-  // Call DeepSeek via OpenAI SDK
+
+  // Analysis stage (default: DeepSeek chat completions)
   let analysisText;
   try {
-    const dsClient = new OpenAI({ baseURL: 'https://api.deepseek.com', apiKey: deepseekKey });
-    const dsRes = await dsClient.chat.completions.create({
-      model: 'deepseek-chat',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user',   content: prompt }
-      ]
-    });
-    analysisText = dsRes.choices?.[0]?.message?.content;
+    const onDelta = streaming ? text => send('delta', { text }) : undefined;
+    analysisText = await complete(providers.analysis, { system: systemPrompt, user: prompt }, onDelta, { until });
   } catch (err) {
-    res.status(500).json({ error: 'DeepSeek API error', details: err.message });
-    return;
+    return fail(err.status || 500, {
+      error: 'Analysis LLM error', code: err.code || 'UPSTREAM_ERROR', details: err.message,
+      stage: 'analysis', attempts: err.attempts, provider: usedProviders.analysis
+    });
   }
-  // Use OpenAI Structured Response API to extract current and goal percentages
-  let ratios;
-  try {
-    const oaClient = new OpenAI({ apiKey: openaiKey });
-    const oaRes = await oaClient.responses.create({
-      model: 'gpt-4.1',
-      input: [
-        {
-          role: 'system',
-          content: '你是一个JSON解析器，只输出包含 current（当前分布）、goal（最佳调节比例）和 colors（推荐颜色）三个对象，不要额外文字。' +
-                   'current 和 goal 对象的属性金、木、水、火、土为数字百分比；colors 对象的属性金、木、水、火、土为十六进制颜色字符串。'
-        },
-        {
-          role: 'user',
-          content: `请从以下内容中抽取 current、goal 和 colors，并以纯JSON输出：\n\n${analysisText}`
-        }
-      ],
-      text: {
-        format: {
-          type: 'json_schema',
-          name: 'five_element_distribution',
-          schema: {
-            type: 'object',
-            properties: {
-              current: {
-                type: 'object',
-                properties: {
-                  metal:  { type: 'number' },
-                  wood:   { type: 'number' },
-                  water:  { type: 'number' },
-                  fire:   { type: 'number' },
-                  earth:  { type: 'number' }
-                },
-                required: ['metal','wood','water','fire','earth'],
-                additionalProperties: false
-              },
-              goal: {
-                type: 'object',
-                properties: {
-                  metal:  { type: 'number' },
-                  wood:   { type: 'number' },
-                  water:  { type: 'number' },
-                  fire:   { type: 'number' },
-                  earth:  { type: 'number' }
-                },
-                required: ['metal','wood','water','fire','earth'],
-                additionalProperties: false
-              },
-              colors: {
-                type: 'object',
-                properties: {
-                  metal:  { type: 'string' },
-                  wood:   { type: 'string' },
-                  water:  { type: 'string' },
-                  fire:   { type: 'string' },
-                  earth:  { type: 'string' }
-                },
-                required: ['metal','wood','water','fire','earth'],
-                additionalProperties: false
-              }
-            },
-            required: ['current','goal','colors'],
-            additionalProperties: false
+
+  /* --------------------------------------------------------------
+     6)  Extraction: methods tried in EXTRACTION_ORDER[extractionMode],
+         each result validated and repaired (utils/validateRatios.js)
+  -------------------------------------------------------------- */
+  const { DEFAULT_ELEMENT_COLORS } = await import('../client/src/shared/arrange.mjs');
+  const checked = raw => {
+    const v = validateRatios(raw, DEFAULT_ELEMENT_COLORS);
+    if (v.errors.length) throw new ApiError('VALIDATION_FAILED', v.errors.join('; '));
+    return v;
+  };
+  // Pair mode extracts each person from their 甲方 / 乙方 section
+  const people = partner ? { self: '甲方', partner: '乙方' } : null;
+  const sections = people ? splitSections(analysisText, Object.values(people)) : null;
+
+  // One person's ratios ({ ratios: null } when every method failed)
+  const runExtraction = async label => {
+    const extraction = { mode: extractionMode, method: null, errors: [] };
+    const extractors = {
+      local: async () => {
+        const source = label ? sections[label] : analysisText;
+        if (source === null) throw new ApiError('EXTRACTION_FAILED', `local parser found no ${label} section`);
+        const { ratios, sources, missing } = parseRatios(source);
+        if (!ratios) throw new ApiError('EXTRACTION_FAILED', `local parser found no ${missing.join(', ')}`);
+        return { ...checked(ratios), sources };
+      },
+      // Default: OpenAI Responses API with a JSON schema; re-prompted once on
+      // unparsable or invalid output
+      llm: async () => {
+        if (!providers.extraction) throw extractionProviderError;
+        const only = label ? `（只抽取${label}的数据，见“${label}五行比例”部分）` : '';
+        let feedback = '';
+        for (let attempt = 0; ; attempt++) {
+          const text = await complete(providers.extraction, {
+            system: EXTRACTION_SYSTEM,
+            user: `请从以下内容中抽取 current、goal 和 colors${only}，并以纯JSON输出：\n\n${analysisText}${feedback}`,
+            schema: { name: 'five_element_distribution', schema: EXTRACTION_SCHEMA }
+          }, undefined, { until });
+          try {
+            let raw;
+            try {
+              raw = JSON.parse(text);
+            } catch (err) {
+              throw new ApiError('VALIDATION_FAILED', `unparsable JSON: ${err.message}`);
+            }
+            return checked(raw);
+          } catch (err) {
+            if (attempt >= EXTRACTION_REPROMPTS || Date.now() + providers.extraction.timeoutMs > until) throw err;
+            extraction.errors.push({ method: 'llm', code: err.code, details: err.message });
+            extraction.reprompted = true;
+            feedback = `\n\n上一次输出无效（${err.message}）。请修正：五个百分比均为数字且合计100，颜色为 #RRGGBB。`;
           }
         }
       }
-    });
-    // The structured output is in output_text
-    const text = oaRes.output_text;
-    ratios = JSON.parse(text);
-  } catch (err) {
-    res.status(500).json({ error: 'OpenAI Structured Response API error or JSON parsing error', details: err.message });
+    };
+    for (const method of EXTRACTION_ORDER[extractionMode]) {
+      try {
+        const r = await extractors[method]();
+        extraction.method = method;
+        if (r.sources) extraction.sources = r.sources;
+        // Explicit shades win; otherwise generate a palette around each base color
+        r.ratios.palettes = resolvePalettes(r.ratios.colors, r.ratios.palettes);
+        return { ratios: r.ratios, warnings: r.warnings, extraction };
+      } catch (err) {
+        extraction.errors.push({ method, code: err.code || 'EXTRACTION_FAILED', details: err.message });
+      }
+    }
+    return { ratios: null, warnings: [], extraction };
+  };
+
+  // Single mode: ratios, warnings and extraction as is; pair mode: each keyed { self, partner }
+  let ratios, warnings, extraction, failed;
+  if (!people) {
+    ({ ratios, warnings, extraction } = await runExtraction(null));
+    failed = ratios ? [] : extraction.errors;
+  } else {
+    const runs = {};
+    for (const [who, label] of Object.entries(people)) runs[who] = await runExtraction(label);
+    const pick = field => Object.fromEntries(Object.entries(runs).map(([who, r]) => [who, r[field]]));
+    ratios = pick('ratios');
+    warnings = pick('warnings');
+    extraction = pick('extraction');
+    failed = Object.entries(runs)
+      .filter(([, r]) => !r.ratios)
+      .flatMap(([who, r]) => r.extraction.errors.map(e => ({ ...e, profile: who })));
+  }
+  const pair = people ? { mode: 'compatibility' } : {};
+  if (failed.length) {
+    // Partial result: the analysis (and in pair mode the other person's ratios)
+    // is still worth showing (not cached).
+    // VALIDATION_FAILED when every method produced ratios that didn't validate.
+    const partial = {
+      ...pair,
+      ratios: people ? ratios : null, partial: true,
+      error: 'Ratio extraction failed',
+      code: failed.every(e => e.code === 'VALIDATION_FAILED') ? 'VALIDATION_FAILED' : 'EXTRACTION_FAILED',
+      details: failed.map(e => `${e.profile ? `${e.profile} ` : ''}${e.method}: ${e.details}`).join('; '),
+      warnings: people ? warnings : [], extraction, cache: cacheInfo
+    };
+    partial.reportId = await saveReport({ analysis: analysisText, bazi, birth, providers: usedProviders, prompt: promptInfo, ...partial });
+    if (streaming) {
+      send('ratios', partial);
+      res.end();
+      return;
+    }
+    return res.status(200).json({ analysis: analysisText, bazi, birth, providers: usedProviders, prompt: promptInfo, helpers: helperReport, ...partial });
+  }
+  // How the two charts complement each other, and the accents both bracelets share
+  if (people) pair.balance = balanceSummary(ratios.self, ratios.partner);
+  const result = { ...pair, analysis: analysisText, ratios, warnings, extraction, bazi, birth, providers: usedProviders, prompt: promptInfo };
+  const reportId = await saveReport(result);
+  if (cacheStore && cacheMode !== 'bypass') {
+    try {
+      await cacheStore.set(key, { ...result, reportId, storedAt: new Date().toISOString() }, cacheTtlMs);
+    } catch (err) {
+      console.error('astro cache write failed:', err.message);
+    }
+  }
+  if (streaming) {
+    send('ratios', { ...pair, ratios, extraction, warnings, reportId, cache: cacheInfo });
+    res.end();
     return;
   }
   // Return both full analysis text and structured ratios
-  res.status(200).json({ analysis: analysisText, ratios });
-};
+  res.status(200).json({ ...result, reportId, helpers: helperReport, cache: cacheInfo });
+});
 // Configure Vercel function max execution duration (in seconds)
 module.exports.config = {
-  maxDuration: 60
+  maxDuration: MAX_DURATION_S
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Serverless function for Vercel: Local 四柱八字 calculation (no LLM call)
+// Usage: POST { dob: 'YYYY-MM-DD', birthTime: 'HH:MM', gender?: 'male'|'female', utcOffset?: number }
+const { computeBazi } = require('../utils/bazi');
+const { withLimits } = require('../utils/rateLimit');
+
+module.exports = withLimits('bazi', (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+  const { dob, birthTime, gender, utcOffset } = req.body;
+  if (!dob || !birthTime) {
+    res.status(400).json({ error: 'missing dob or birthTime' });
+    return;
+  }
+  try {
+    res.status(200).json(computeBazi({ dob, birthTime, gender, utcOffset }));
+  } catch (err) {
+    res.status(400).json({ error: 'Invalid birth data', details: err.message });
+  }
+});
+
+module.exports.config = {
+  maxDuration: 60
+};
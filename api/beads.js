@@ -1,18 +1,13 @@
 // Serverless function for Vercel: returns bead data
 // Equivalent to routes/beads.js but as a Vercel serverless handler
-module.exports = (req, res) => {
-  // Define bead data
-  const beadData = [
-    { id: 1, color: 'goldenrod' },
-    { id: 2, color: 'lightgreen' },
-    { id: 3, color: 'orange' },
-    { id: 4, color: 'white' },
-    { id: 5, color: 'darkgreen' }
-  ];
+const beadData = require('../utils/beadCatalog');
+const { withLimits } = require('../utils/rateLimit');
+
+module.exports = withLimits('beads', (req, res) => {
   // Only GET is supported
   if (req.method !== 'GET') {
     res.status(405).json({ error: 'Method not allowed' });
     return;
   }
   res.status(200).json(beadData);
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,17 @@
+// Serverless function for Vercel: what the server provides, so the App can adapt its form
+// Usage: GET → { credentials: { analysis: bool, extraction: bool }, limits: { astro: { perMinute, perDay } } }
+// credentials.<stage> is true when the stage runs without a key from the browser
+const { serverCredentials } = require('../utils/credentials');
+const { withLimits, policyFor } = require('../utils/rateLimit');
+
+module.exports = withLimits('config', (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+  try {
+    res.status(200).json({ credentials: serverCredentials(), limits: { astro: policyFor('astro') } });
+  } catch (err) {
+    res.status(500).json({ error: 'Invalid server configuration', details: err.message });
+  }
+});
@@ -1,135 +1,176 @@
 // api/prompt.js
-// Serverless function for GET /api/prompt and in-module prompt definitions
-// Provides named prompt generator functions for the astro endpoint
-// Collection of the user prompts to be chosen for use in astro passed to DeepSeek
+// Serverless function for the prompt template registry (utils/promptRegistry.js,
+// one prompts/<name>.md file per template)
+// Usage: GET /api/prompt                       → { <name>: <template text> } of the current templates
+//        GET /api/prompt/:name?version=2       → { name, version, description, locale, profiles,
+//                                                  requiredVars, optionalVars, system, template }
+//        POST /api/prompt/:name { template, … } → 201, version continues from any deleted one (409 when taken)
+//        PUT /api/prompt/:name { template?, …, version? } → the new version (409 when `version` is stale)
+//        DELETE /api/prompt/:name              → 204
+//        POST /api/prompt/render { …/api/astro body } → { prompt, system, template, vars, trace, helpers }
+//          renders the prompt /api/astro would send, without calling a model ("render" is reserved)
+// Writes need X-Admin-Token: <PROMPT_ADMIN_TOKEN>; vercel.json routes /api/prompt/:name here as ?name=
+const { renderTemplate } = require('../utils/sandbox');
+const { promptRegistry, pickTemplate, renderPrompt, checkPrompt, NAME_RE } = require('../utils/promptRegistry');
+const { readHelperRequest, fetchHelperSources } = require('../utils/helpers');
+const { loadProfile, loadPartner, promptVars } = require('../utils/profile');
+const { isAdmin } = require('../utils/credentials');
+const { withLimits } = require('../utils/rateLimit');
 
 /**
- * System role prompt (static) describing the expert persona
+ * Dry run of /api/astro's prompt stage: same body (JSON or multipart with the
+ * helper file), same helper sources and sandboxed render, no model call.
+ * trace – per {{ … }} expression and block: { expr, value, durationMs, error, line, column }
+ * (error set where the literal stays in the prompt, or a block was skipped)
  */
-const systemPrompt = `你是一位精通五行调节的命理大师，性格开放、灵活可变，不做传统算命，只专注于根据八字分析五行偏颇，并给出精准调节方案。`;
-
-/**
- * Basic user prompt: concise, modern energy focus
- * @param {{dob:string, birthTime:string, gender:string}} info
- */
-function basicPrompt({ dob, birthTime, gender }) {
-  return `作为融合古典命理学与现代能量疗愈的大师，你精研天干地支能量算法，能够基于用户信息深入分析五行短板或过亢问题，通过五行能量解析与视觉化调节，帮助用户建立与自然节律的深层共振。
-通过八字识别金木水火土能量偏差，指导运用方位、饮食、饰品进行自我调节，结合现代生活方式设计元素补给及执行方案。
-同时为了与用户八字共振，请为每个五行元素量身定制一个唯一的十六进制颜色(#RRGGBB)，该颜色需在视觉和能量层面显著辅助调节。
-
-接收用户输入的八字信息：
-- 性别：${gender}
-- 出生日期：${dob}
-- 出生时间：${birthTime}
-
-请直接按以下流程输出：
-
-1. 年柱、月柱、日柱、时柱（请计算并列出）。
-
-2. 日主与用神：结合《滴天髓》《穷通宝鉴》等经典，分析日主五行强弱，判定需补益或制约之五行。
-
-3. 五行调节比例：请使用Markdown表格，包含“推荐颜色”列，其值为为用户定制的专属HEX代码：
-| 五行 | 原局比例 | 调节目标 | 推荐颜色 |
-| ---- | ---- | ---- | -------- |
-| 金   | xx%   | yy%   | #RRGGBB |
-| 木   | xx%   | yy%   | #RRGGBB |
-| 水   | xx%   | yy%   | #RRGGBB |
-| 火   | xx%   | yy%   | #RRGGBB |
-| 土   | xx%   | yy%   | #RRGGBB |
-
-4. 物品搭配：为每一元素推荐可佩戴或摆放的物品/色彩/食品等，以补充相应能量。
+async function renderDryRun(req, res) {
+  let F, fileCode;
+  try {
+    ({ fields: F, fileCode } = await readHelperRequest(req));
+  } catch (err) {
+    res.status(400).json({ error: 'Malformed request body', code: 'INVALID_REQUEST', details: err.message });
+    return;
+  }
+  const { customPrompt, promptType = 'basic', helpers: inline, fileURL } = F;
 
-5. 使用说明：提供佩戴时间、放置方位、配色细节等实用建议。
+  if (!F.dob || !F.birthTime || !F.gender) {
+    res.status(400).json({ error: 'missing dob, birthTime, or gender', code: 'INVALID_REQUEST' });
+    return;
+  }
+  const self = await loadProfile(F);
+  if (self.error) {
+    res.status(400).json(self.error);
+    return;
+  }
+  const partner = await loadPartner(F);
+  if (partner?.error) {
+    res.status(400).json(partner.error);
+    return;
+  }
 
-请用现代白话文分段，格式简洁，术语准确。`;
+  const custom = Boolean(customPrompt && customPrompt.trim());
+  const sources = await fetchHelperSources({ inline, fileCode, fileURL });
+  const vars = promptVars(self, partner);
+  const trace = [];
+  let template, prompt, report;
+  try {
+    template = await pickTemplate(promptType, { pair: Boolean(partner), custom });
+    ({ prompt, report } = custom
+      ? await renderTemplate(customPrompt.trim(), vars, sources, { trace })
+      : await renderPrompt(template, vars, sources, { trace }));
+  } catch (err) {
+    // 400 for the request's template; anything else (a stored template that no longer parses…) is a 500
+    res.status(err.status || 500).json({
+      error: err.message,
+      code: err.code,
+      ...(err.promptTypes && { promptTypes: err.promptTypes }),
+      ...(err.line && { line: err.line, column: err.column })
+    });
+    return;
+  }
+  res.status(200).json({
+    prompt,
+    system: template.system,
+    template: { name: template.name, version: template.version, ...(custom && { custom: true }) },
+    vars,
+    trace,
+    helpers: report
+  });
 }
 
-/**
- * Advanced user prompt: deep dive with conflict highlighting
- * @param {{dob:string, birthTime:string, gender:string}} info
- */
-function advancedPrompt({ dob, birthTime, gender }) {
-  return `作为融合古典命理学（子平、盲派、调候论）与现代能量疗愈的顾问，你的任务是通过深度五行能量解析与视觉化调节，帮助用户建立与自然节律的深层共振。
-请交叉验证不同流派理论，标注核心矛盾并提供基础与激进方案对比，同时为每个五行元素指定专属十六进制颜色(#RRGGBB)，以实现精准共振。
-
----
-接收用户输入的八字信息：
-- 性别：${gender}
-- 出生日期：${dob}
-- 出生时间：${birthTime}
-
-#### **核心分析路径**
-**1. 能量溯源（专业深度）**
-- 交叉验证《滴天髓》调候论与盲派做功论，当结论冲突时需标注矛盾点（例："传统旺衰认为需补水，但盲派见子未相害损水根，建议优先解害而非补水"）
-- 必须标注关键推理节点（例："判定甲木身弱因：①酉月死地 ②辛金透干贴身克 ③子水被未土穿害"）
-
-**2. 矛盾揭示（启发思考）**
-- 明确列出命局中的三组核心矛盾（例："金旺需火制 vs 原局火绝 | 身弱需印 vs 财星坏印"），要求用户选择最想优先化解的矛盾
-- 通过提问引导认知（例："您认为近期困扰更多来自事业阻滞（金克木）还是情绪焦虑（火弱）？"）
-
-**3. 动态调节（科学思维）**
-- 提供五行调节的「基础方案」与「激进方案」对比（例：补水可通过每日饮水量微调【基础】，或居住地向北迁移200公里【激进】）
-- 标注能量干预的滞后效应（例："色彩调节见效周期约21天，方位调整需3个月显效"）
-
----
-
-#### **视觉化输出要求**
-**A. 能量图谱**
-\`\`\`ascii
-金 ████████ 35%
-水 █████ 20%
-木 ███ 15%    ← 用渐变色块展示当前与目标比例差
-火 ▏5%
-土 ██████ 25%
-\`\`\`
-
-**B. 色彩处方**
-|| 基础色（日常穿戴） | 强化色（环境主色） | 禁忌色 |
-|-|-|-|-|
-|**木**|#98FB98（薄荷绿）|#006400（深松绿）|...|
-*注：给出五种金木水火土所有五行对应颜色，务必是最符合所有之前命理分析五行解析等过程的，深入思考颜色种类，明细区别，给出针对个体所有信息最对应的五行元素最适合的调节颜色，需简要说明色相选择依据（例："深松绿含黑色调可助甲木扎根"）*
-`;
+// Registry failures as JSON: a read-only directory (the function bundle on Vercel) gets a hint
+function registryError(err) {
+  const readOnly = ['EROFS', 'EACCES', 'EPERM'].includes(err.code);
+  return {
+    error: 'Prompt registry error',
+    details: readOnly ? 'the prompt directory is not writable; set PROMPTS_DIR to writable storage' : err.message
+  };
 }
 
-// Supported prompt types
-const promptTypes = ['basic', 'advanced'];
-
-// Map of prompt generation functions
-const userPrompts = {
-  basic: basicPrompt,
-  advanced: advancedPrompt
-};
-
-// Static prompt templates for discovery (placeholders remain un-interpolated)
-const promptTemplates = {
-  basic: basicPrompt({ dob: '{dob}', birthTime: '{birthTime}', gender: '{gender}' }),
-  advanced: advancedPrompt({ dob: '{dob}', birthTime: '{birthTime}', gender: '{gender}' })
-};
+// Everything but the dry run: the registry itself
+async function registryRequest(req, res, name) {
+  const registry = promptRegistry();
+  if (!name) {
+    if (req.method !== 'GET') {
+      res.status(405).json({ error: 'Method Not Allowed' });
+      return;
+    }
+    // Raw templates with placeholders, for discovery of promptType names;
+    // files that don't parse are left out and named in X-Prompt-Errors
+    const skipped = [];
+    const prompts = await registry.list({ skipped });
+    if (skipped.length) res.setHeader('X-Prompt-Errors', skipped.map(p => p.name).join(','));
+    res.status(200).json(Object.fromEntries(prompts.map(p => [p.name, p.template])));
+    return;
+  }
 
-/**
- * Serverless handler: GET /api/prompt
- * Returns mapping of prompt names to template strings (placeholders)
- */
-/**
- * GET /api/prompt handler: return static prompt templates with placeholders
- */
-function handler(req, res) {
-  if (req.method !== 'GET') {
-    res.status(405).json({ error: 'Method Not Allowed' });
+  if (!NAME_RE.test(name)) {
+    res.status(400).json({ error: 'Invalid prompt name', code: 'INVALID_REQUEST' });
+    return;
+  }
+  if (req.method !== 'GET' && !isAdmin(req)) {
+    res.status(403).json({ error: 'Prompt editing needs the admin token', code: 'FORBIDDEN' });
     return;
   }
-  // Return raw prompt templates with placeholders
-  res.status(200).json(promptTemplates);
+  switch (req.method) {
+    case 'GET': {
+      const version = req.query.version === undefined ? undefined : Number(req.query.version);
+      if (version !== undefined && !Number.isInteger(version)) {
+        res.status(400).json({ error: 'Invalid version', code: 'INVALID_REQUEST' });
+        return;
+      }
+      const prompt = await registry.get(name, version);
+      if (!prompt) res.status(404).json({ error: 'Prompt not found' });
+      else res.status(200).json(prompt);
+      return;
+    }
+    case 'POST':
+    case 'PUT': {
+      const creating = req.method === 'POST';
+      const problem = checkPrompt(req.body, { partial: !creating });
+      if (problem) {
+        res.status(400).json({ error: 'Invalid prompt', code: 'INVALID_REQUEST', details: problem });
+        return;
+      }
+      const { template, description, locale, profiles, requiredVars, optionalVars, system, version } = req.body;
+      const fields = { template, description, locale, profiles, requiredVars, optionalVars, system };
+      let prompt;
+      try {
+        prompt = creating ? await registry.create(name, fields) : await registry.update(name, { ...fields, version });
+      } catch (err) {
+        if (err.code !== 'CONFLICT') throw err;
+        res.status(409).json({ error: 'Prompt version conflict', code: 'CONFLICT', details: err.message });
+        return;
+      }
+      if (!prompt && creating) res.status(409).json({ error: 'Prompt already exists', code: 'CONFLICT' });
+      else if (!prompt) res.status(404).json({ error: 'Prompt not found' });
+      else res.status(creating ? 201 : 200).json(prompt);
+      return;
+    }
+    case 'DELETE':
+      if (await registry.delete(name)) res.status(204).end();
+      else res.status(404).json({ error: 'Prompt not found' });
+      return;
+    default:
+      res.status(405).json({ error: 'Method Not Allowed' });
+  }
 }
 
-// Attach definitions for astro.js import
-handler.systemPrompt = systemPrompt;
-handler.basicPrompt = basicPrompt;
-handler.advancedPrompt = advancedPrompt;
-handler.promptTypes = promptTypes;
-handler.userPrompts = userPrompts;
+async function handler(req, res) {
+  const name = req.query?.name;
+  if (name === 'render') {
+    if (req.method !== 'POST') res.status(405).json({ error: 'Method Not Allowed' });
+    else await renderDryRun(req, res);
+    return;
+  }
+  try {
+    await registryRequest(req, res, name);
+  } catch (err) {
+    res.status(err.status || 500).json(registryError(err));
+  }
+}
 
 // Vercel function config
 handler.config = { maxDuration: 60 };
 
-module.exports = handler;
\ No newline at end of file
+module.exports = withLimits('prompt', handler);
@@ -0,0 +1,137 @@
+// Serverless function for Vercel: saved analyses (reports) written by /api/astro
+// Usage: GET /api/reports?limit=20&offset=0 → { reports: [summary…], total, limit, offset } (newest first)
+//          the caller's reports (access token), or all of them (X-Admin-Token)
+//        GET /api/reports?ids=a,b            → { reports, total } summaries of the given reports
+//        GET /api/reports/:id               → the full report
+//        PUT /api/reports/:id { design }     → attach the bracelet design shown in the App
+//        DELETE /api/reports/:id             → 204
+// PUT and DELETE on a token's reports only by that token (or the admin).
+// An ID is the key to a report, so IDs are only listed to their owner.
+// vercel.json routes /api/reports/:id here as ?id=; storage lives in utils/reports.js
+const { reportStore, summarize, ID_RE } = require('../utils/reports');
+const { withLimits, tokenOwner } = require('../utils/rateLimit');
+const { isAdmin } = require('../utils/credentials');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_DESIGN_BYTES = 64 * 1024;
+const HEX_RE = /^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/;
+
+// A design is free-form App state, but its bead lists must be colors
+function checkDesign(design) {
+  if (!design || typeof design !== 'object' || Array.isArray(design)) return 'design must be an object';
+  if (design.beads === undefined && !design.pair) return 'design needs beads or pair';
+  if (JSON.stringify(design).length > MAX_DESIGN_BYTES) return `design exceeds ${MAX_DESIGN_BYTES} bytes`;
+  const lists = [design.beads, design.pair?.self?.beads, design.pair?.partner?.beads].filter(l => l !== undefined);
+  if (lists.some(l => !Array.isArray(l) || !l.every(c => typeof c === 'string' && HEX_RE.test(c)))) {
+    return 'beads must be arrays of #RRGGBB colors';
+  }
+  return null;
+}
+
+// A token's reports are changed by that token or the admin; anonymous reports
+// go with their ID, as they were made
+const mayChange = (report, req) => !report.owner || report.owner === tokenOwner(req) || isAdmin(req);
+
+module.exports = withLimits('reports', async (req, res) => {
+  let store;
+  try {
+    store = reportStore();
+  } catch (err) {
+    res.status(500).json({ error: 'Invalid server configuration', details: err.message });
+    return;
+  }
+  if (!store) {
+    res.status(404).json({ error: 'Reports are disabled' });
+    return;
+  }
+  const id = req.query?.id;
+
+  if (!id) {
+    if (req.method !== 'GET') {
+      res.status(405).json({ error: 'Method Not Allowed' });
+      return;
+    }
+    if (req.query?.ids !== undefined) {
+      const ids = String(req.query.ids).split(',').filter(Boolean);
+      if (ids.length > MAX_LIMIT || !ids.every(i => ID_RE.test(i))) {
+        res.status(400).json({ error: 'Invalid report ids', code: 'INVALID_REQUEST', details: `up to ${MAX_LIMIT} report ids` });
+        return;
+      }
+      const reports = (await Promise.all(ids.map(i => store.get(i)))).filter(Boolean);
+      res.status(200).json({ reports: reports.map(summarize), total: reports.length });
+      return;
+    }
+    const admin = isAdmin(req);
+    const owner = admin ? undefined : tokenOwner(req);
+    if (!admin && !owner) {
+      res.status(403).json({ error: 'Listing reports needs an access token or the admin token', code: 'FORBIDDEN' });
+      return;
+    }
+    const limit = Math.min(Math.max(parseInt(req.query?.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query?.offset, 10) || 0, 0);
+    const { reports, total } = await store.list({ limit, offset, owner });
+    // a plugged-in store may not know `owner`
+    const own = reports.filter(r => admin || r.owner === owner);
+    res.status(200).json({ reports: own.map(summarize), total, limit, offset });
+    return;
+  }
+
+  if (!ID_RE.test(id)) {
+    res.status(400).json({ error: 'Invalid report id', code: 'INVALID_REQUEST' });
+    return;
+  }
+  switch (req.method) {
+    case 'GET': {
+      const report = await store.get(id);
+      if (!report) {
+        res.status(404).json({ error: 'Report not found' });
+        return;
+      }
+      const { owner, ...shown } = report;
+      res.status(200).json(shown);
+      return;
+    }
+    case 'PUT': {
+      const design = req.body?.design;
+      const problem = checkDesign(design);
+      if (problem) {
+        res.status(400).json({ error: 'Invalid design', code: 'INVALID_REQUEST', details: problem });
+        return;
+      }
+      const report = await store.get(id);
+      if (!report) {
+        res.status(404).json({ error: 'Report not found' });
+        return;
+      }
+      if (!mayChange(report, req)) {
+        res.status(403).json({ error: 'Only the access token that saved this report can change it', code: 'FORBIDDEN' });
+        return;
+      }
+      const updated = { ...report, design, updatedAt: new Date().toISOString() };
+      await store.put(updated);
+      res.status(200).json(summarize(updated));
+      return;
+    }
+    case 'DELETE': {
+      const report = await store.get(id);
+      if (!report) {
+        res.status(404).json({ error: 'Report not found' });
+        return;
+      }
+      if (!mayChange(report, req)) {
+        res.status(403).json({ error: 'Only the access token that saved this report can delete it', code: 'FORBIDDEN' });
+        return;
+      }
+      if (await store.delete(id)) res.status(204).end();
+      else res.status(404).json({ error: 'Report not found' });
+      return;
+    }
+    default:
+      res.status(405).json({ error: 'Method Not Allowed' });
+  }
+});
+
+module.exports.config = {
+  maxDuration: 60
+};
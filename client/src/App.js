@@ -2,9 +2,128 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import BraceletCanvas from './components/BraceletCanvas';
 import ElementHistogram from './components/ElementHistogram';
+import CandidateStrip from './components/CandidateStrip';
 import ReactMarkdown from 'react-markdown';
 import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
+import { BEAD_SIZES, FIT_EASE, DEFAULT_FIT, computeSizing, placeSizes } from './shared/sizing.mjs';
+import { scoreBracelet } from './shared/score.mjs';
+import { postSSE } from './shared/sse.mjs';
+import { CITIES } from './shared/gazetteer.mjs';
+import {
+  LUNAR_MONTH_NAMES, MIN_LUNAR_YEAR, MAX_LUNAR_YEAR, leapMonthOf, lunarDayName, lunarMonthDays, lunarToSolar
+} from './shared/lunar.mjs';
+import {
+  DEFAULT_ELEMENT_COLORS, DEFAULT_STRATEGY, PAD_COLOR, arrangeBracelet, randomSeed, strategyNames
+} from './shared/arrange.mjs';
+
+// Messages per /api/astro error `code` (utils/errors.js)
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: '输入有误，请检查出生信息',
+  MISSING_KEY: '缺少 API Key，请填写后重试',
+  INVALID_KEY: 'API Key 无效或无权限，请检查后重试',
+  INVALID_ACCESS_TOKEN: '访问令牌无效',
+  MODEL_NOT_FOUND: '模型名称或接口地址有误',
+  RATE_LIMITED: '请求过于频繁，请稍后再试',
+  QUOTA_EXCEEDED: '额度已用完（今日次数已满或模型账户余额不足）',
+  UPSTREAM_TIMEOUT: '模型响应超时，请稍后重试',
+  UPSTREAM_ERROR: '模型服务暂时不可用，请稍后重试',
+  EXTRACTION_FAILED: '分析已完成，但未能从结果中解析五行比例，可重新生成',
+  VALIDATION_FAILED: '分析已完成，但解析出的五行比例无效，可重新生成'
+};
+const errorMessage = data => {
+  const msg = ERROR_MESSAGES[data?.code] || '分析失败，请检查输入和 API Key';
+  const who = data?.profile === 'partner' ? '（乙方）' : '';
+  return data?.code === 'INVALID_REQUEST' && data.details ? `${msg}${who}：${data.details}` : msg + who;
+};
+// Labels of the two people in compatibility (合婚) mode
+const PAIR_LABELS = { self: '甲方', partner: '乙方' };
+// balanceSummary relations (utils/compatibility.js)
+const RELATION_LABELS = {
+  'partner-supplies': '乙方补甲方', 'self-supplies': '甲方补乙方', 'shared-need': '双方皆缺',
+  'shared-excess': '双方皆旺', 'self-needs': '甲方缺', 'partner-needs': '乙方缺',
+  'self-excess': '甲方旺', 'partner-excess': '乙方旺', balanced: '平衡'
+};
+const ELEMENT_NAMES = { metal: '金', wood: '木', water: '水', fire: '火', earth: '土' };
+// Reports per page in the history panel
+const HISTORY_PAGE = 10;
+// /api/reports lists reports only to their access token, so the App keeps
+// the IDs of the reports it saved (newest first) and asks for those
+const REPORTS_KEY = 'braceletReports';
+const savedReportIds = () => {
+  try {
+    const ids = JSON.parse(window.localStorage.getItem(REPORTS_KEY));
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+};
+const storeReportIds = ids => {
+  try {
+    window.localStorage.setItem(REPORTS_KEY, JSON.stringify(ids));
+  } catch {
+    // storage disabled: the history lasts as long as the page
+  }
+};
+const rememberReport = id => { if (id) storeReportIds([id, ...savedReportIds().filter(i => i !== id)]); };
+const forgetReports = gone => storeReportIds(savedReportIds().filter(i => !gone.includes(i)));
+
+// Drop onto a bead: a palette color fills it (keeping its size), another bead swaps with it
+function dropBead(list, from, toIndex, fromPalette) {
+  const next = [...list];
+  if (fromPalette) {
+    next[toIndex] = { ...next[toIndex], color: from };
+  } else {
+    if (from === toIndex) return list;
+    const temp = next[toIndex];
+    next[toIndex] = { ...next[from] };
+    next[from] = temp;
+  }
+  return next;
+}
+
+// Per-bead diameters (mm) in wrist mode, so BraceletCanvas draws them to scale
+function attachSizes(list, { sizeMode, beadMm, focalMm }) {
+  if (sizeMode !== 'wrist') return list;
+  const sizes = placeSizes(list.length, beadMm, focalMm ? [focalMm] : []);
+  return list.map((b, i) => ({ ...b, size: sizes[i] }));
+}
+
+// A bead list of length n from ratios with the shared (server-identical) arrangement
+function buildBeadsList(n, { ratios, seed, strategy, ...sizing }) {
+  if (!ratios?.goal) return attachSizes(Array(n).fill({ color: PAD_COLOR }), sizing);
+  const list = arrangeBracelet({
+    numBeads: n, goal: ratios.goal, colors: ratios.colors, palettes: ratios.palettes, seed, strategy
+  });
+  // Keep only the color: hand edits replace colors, so a stored element would go stale
+  return attachSizes(list.map(({ color }) => ({ color })), sizing);
+}
+
+// SidePalette beads for a result: every shade of each element color
+const ratioPalette = r => Object.entries(r.colors).flatMap(([key, color]) => {
+  const shades = r.palettes?.[key]?.length ? r.palettes[key] : [color];
+  return shades.map((shade, i) => ({ id: `${key}-${i}`, color: shade }));
+});
+
+// Template helpers as sent to /api/astro: the uploaded file travels base-64 encoded
+const toBase64 = text => btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+const HELPER_SOURCES = { builtin: '内置', inline: '内联', file: '文件', url: 'URL' };
+
+// Per-helper load report (utils/helpers.js): which helpers loaded, and why the others didn't
+function HelperReport({ report }) {
+  if (!report?.some(h => h.source !== 'builtin' || !h.accepted)) return null;
+  return (
+    <ul style={{ margin: '4px 0', paddingLeft: 18, fontSize: 13, textAlign: 'left' }}>
+      {report.map((h, i) => (
+        <li key={i} style={{ color: h.accepted ? '#2e7d32' : '#c0392b' }}>
+          {h.accepted ? '✓' : '✗'} {h.name ?? '（整个来源）'}（{HELPER_SOURCES[h.source] || h.source}）
+          {h.reason && `：${h.reason}`}
+          {h.shadowedBy && `，被${HELPER_SOURCES[h.shadowedBy] || h.shadowedBy}中的同名函数覆盖`}
+        </li>
+      ))}
+    </ul>
+  );
+}
 
 function App() {
   // Maximum beads allowed (matches input max attribute)
@@ -15,28 +134,110 @@ function App() {
   const [bracelet, setBracelet] = useState([]);
   // How many beads do we want initially?
   const [numBeads, setNumBeads] = useState(10);
+  // Sizing: 'count' uses numBeads directly, 'wrist' derives it from wrist/bead size
+  const [sizeMode, setSizeMode] = useState('count');
+  const [wristCm, setWristCm] = useState(16);
+  const [beadMm, setBeadMm] = useState(8);
+  const [fit, setFit] = useState(DEFAULT_FIT);
+  const [focalMm, setFocalMm] = useState(0); // 0 = no focal bead
   // Astrology analysis inputs & results
   const [dob, setDob] = useState('');
+  // 农历 input: year, month ('5', or '5L' for 闰五月) and day; sent as dob with calendar: 'lunar'
+  const [calendar, setCalendar] = useState('gregorian');
+  const [lunarYear, setLunarYear] = useState('');
+  const [lunarMonth, setLunarMonth] = useState('1');
+  const [lunarDay, setLunarDay] = useState('1');
   const [birthTime, setBirthTime] = useState('');
   const [gender, setGender] = useState('');
+  // Birthplace (gazetteer name) or raw coordinates, for true solar time
+  const [birthplace, setBirthplace] = useState('');
+  const [longitude, setLongitude] = useState('');
+  const [latitude, setLatitude] = useState('');
+  const [timezone, setTimezone] = useState('');
+  // `birth` from /api/astro: timezone offset, DST, corrected solar time
+  const [birthInfo, setBirthInfo] = useState(null);
+  // Compatibility (合婚) mode: a second profile; results carry ratios per person
+  const [pairMode, setPairMode] = useState(false);
+  const [partner, setPartner] = useState({ dob: '', birthTime: '', gender: '', birthplace: '' });
+  const [partnerBirthInfo, setPartnerBirthInfo] = useState(null);
+  const [partnerRatios, setPartnerRatios] = useState(null);
+  const [balance, setBalance] = useState(null);
+  // Matched pair from /api/arrange { pair }: { self, partner, accents }
+  const [pairBracelets, setPairBracelets] = useState(null);
+  const [pairLoading, setPairLoading] = useState(false);
+  // Saved reports (/api/reports): the current one and the history panel
+  const [reportId, setReportId] = useState(null);
+  // Prompt template { name, version } behind the current analysis
+  const [promptUsed, setPromptUsed] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [history, setHistory] = useState({ reports: [], total: 0, offset: 0 });
+  // Bead layout of a reopened report, applied instead of the next rebuild
+  const restoredLayout = React.useRef(null);
   const [deepseekKey, setDeepseekKey] = useState('');
   const [openaiKey, setOpenaiKey] = useState('');
+  // Stages the server can run with its own keys (GET /api/config); their key fields are hidden
+  const [serverKeys, setServerKeys] = useState({ analysis: false, extraction: false });
   // Prompt settings: built-in or custom prompt
   const [promptOption, setPromptOption] = useState('default');
   const [promptType, setPromptType] = useState('basic');
   const [customPrompt, setCustomPrompt] = useState('');
   const [showPromptSettings, setShowPromptSettings] = useState(false);
   const [promptTemplates, setPromptTemplates] = useState({});
+  // Dry run from /api/prompt/render: { prompt, trace, helpers }
+  const [promptPreview, setPromptPreview] = useState(null);
+  // Template helpers: inline JSON { name: "(dob)=>…" }, an uploaded JS file, a JS file URL
+  const [helperJson, setHelperJson] = useState('');
+  const [helperFile, setHelperFile] = useState(null);   // { name, code }
+  const [helperURL, setHelperURL] = useState('');
+  // Load report of the helpers behind the current analysis
+  const [helperReport, setHelperReport] = useState(null);
   const [analysis, setAnalysis] = useState('');
   const [analysisExpanded, setAnalysisExpanded] = useState(false);
   const [ratios, setRatios] = useState(null);
+  // Repairs the server made to the extracted ratios ({ field, code, message })
+  const [ratioWarnings, setRatioWarnings] = useState([]);
+  // Partial result: analysis arrived but ratios didn't (EXTRACTION_FAILED / VALIDATION_FAILED)
+  const [analysisNotice, setAnalysisNotice] = useState('');
   const [loading, setLoading] = useState(false);
+  // Whether the shown analysis came from the server cache
+  const [cacheHit, setCacheHit] = useState(false);
+  // Stream the analysis over SSE instead of waiting for the whole response
+  const [streamAnalysis, setStreamAnalysis] = useState(true);
   // Animation states
   const [isAnimating, setIsAnimating] = useState(false);
   const [growthAnimating, setGrowthAnimating] = useState(false);
   const [speedMultiplier, setSpeedMultiplier] = useState(1);
+  // Arrangement seed & strategy: same values reproduce the same bracelet via /api/arrange
+  const [seed, setSeed] = useState(() => randomSeed());
+  const [strategy, setStrategy] = useState(DEFAULT_STRATEGY);
+  // Distinct candidate arrangements from /api/arrange { candidates }
+  const [candidates, setCandidates] = useState([]);
+  const [candidateSizes, setCandidateSizes] = useState(null);
+  const [candidateRoles, setCandidateRoles] = useState(null);
+  const [selectedCandidate, setSelectedCandidate] = useState(null);
+  const [candidatesLoading, setCandidatesLoading] = useState(false);
+  // Pattern DSL (focal bead, spacers, motif) sent to /api/arrange as JSON
+  const [showPattern, setShowPattern] = useState(false);
+  const [patternText, setPatternText] = useState(JSON.stringify({
+    motif: '*',
+    fixed: [{ index: 0, element: 'water', sizeMm: 12, role: 'focal' }],
+    spacers: { aroundFixed: true, color: '#C0C0C0', sizeMm: 4 }
+  }, null, 2));
+  const [patternActive, setPatternActive] = useState(false);
   const speedRef = React.useRef(speedMultiplier);
   // Fetch prompt templates for built-in prompts
+  useEffect(() => {
+    async function fetchConfig() {
+      try {
+        const res = await axios.get('/api/config');
+        setServerKeys(res.data.credentials);
+      } catch (err) {
+        console.error('Error fetching server config:', err);
+      }
+    }
+    fetchConfig();
+  }, []);
+
   useEffect(() => {
     async function fetchPrompts() {
       try {
@@ -62,86 +263,222 @@ function App() {
     fetchBeads();
   }, []);
 
-  // Initialize the user's bracelet whenever numBeads changes
+  // Physical sizing (wrist mode only); null when inputs are incomplete
+  const accents = focalMm ? [{ sizeMm: focalMm }] : [];
+  let sizing = null;
+  if (sizeMode === 'wrist') {
+    try { sizing = computeSizing({ wristCm, beadMm, fit, accents }); } catch { sizing = null; }
+  }
+  const beadCount = sizing ? sizing.numBeads : numBeads;
+  // Growth animation target: the computed count in wrist mode
+  const maxBeads = sizing ? sizing.numBeads : MAX_BEADS;
+
+  // Attach per-bead diameters (mm) in wrist mode so BraceletCanvas draws them to scale
+  const withSizes = list => attachSizes(list, { sizeMode, beadMm, focalMm });
+
+  // Initialize the user's bracelet whenever the bead count or sizes change
   useEffect(() => {
     // Fill array with placeholder color objects
-    const initialBracelet = Array(numBeads).fill({ color: '#ccc' });
+    const initialBracelet = attachSizes(Array(beadCount).fill({ color: '#ccc' }), { sizeMode, beadMm, focalMm });
     setBracelet(initialBracelet);
-  }, [numBeads]);
+    setCandidates([]);
+  }, [beadCount, sizeMode, beadMm, focalMm]);
 
   // Drag/drop handler for bracelet beads and palette beads
   const handleBeadDrop = (from, toIndex, fromPalette) => {
-    const newBracelet = [...bracelet];
-    if (fromPalette) {
-      // Drag from palette: fill or replace bead
-      newBracelet[toIndex] = { color: from };
-      setBracelet(newBracelet);
-    } else {
-      // Drag from bracelet: move color (swap)
-      if (from === toIndex) return;
-      // Swap colors
-      const temp = newBracelet[toIndex];
-      newBracelet[toIndex] = { ...newBracelet[from] };
-      newBracelet[from] = temp;
-      setBracelet(newBracelet);
-    }
+    setBracelet(dropBead(bracelet, from, toIndex, fromPalette));
+  };
+  const handlePairBeadDrop = who => (from, toIndex, fromPalette) => {
+    setPairBracelets(prev => ({ ...prev, [who]: dropBead(prev[who], from, toIndex, fromPalette) }));
   };
 
-  // Prepare beads for SidePalette: use dynamic colors if available, otherwise default beads
+  // Prepare beads for SidePalette: use dynamic colors (every shade) if available, otherwise default beads
   const paletteBeads = ratios && ratios.colors
-    ? Object.entries(ratios.colors).map(([key, color]) => ({ id: key, color }))
+    ? ratioPalette(ratios)
     : beads.map((b) => ({ id: b.id, img: b.img || b.image || b.url || '', color: b.color }));
 
-  // Default colors in case API colors missing
-  const defaultElementColors = {
-    metal: '#FFD700', wood: '#228B22', water: '#1E90FF', fire: '#FF4500', earth: '#DEB887'
+  // Build a bead list of length n from ratios with the shared (server-identical) arrangement
+  const generateBeadsList = (n, s = seed) => buildBeadsList(n, { ratios, seed: s, strategy, sizeMode, beadMm, focalMm });
+  // Drift of the current (possibly hand-edited) bracelet from the goal balance
+  const score = ratios?.goal && bracelet.length
+    ? scoreBracelet(bracelet, ratios.goal, ratios.colors || DEFAULT_ELEMENT_COLORS, ratios.palettes)
+    : null;
+  // Randomize: draw a new seed (drops any applied pattern); the effect below rebuilds
+  const randomizeBracelet = () => {
+    setPatternActive(false);
+    setSeed(randomSeed());
   };
-  // Generate a randomized bead list of length n based on ratios.goal and ratios.colors
-  const generateBeadsList = (n) => {
-    if (!ratios?.goal) return Array(n).fill({ color: '#ccc' });
-    const elements = ['metal','wood','water','fire','earth'];
-    // compute float counts
-    const floats = elements.map(key => ({
-      key,
-      floatCount: (ratios.goal[key] || 0) * n / 100
-    }));
-    // floor counts & remainders
-    const counts = floats.map(({ key, floatCount }) => ({
-      key,
-      count: Math.floor(floatCount),
-      rem: floatCount - Math.floor(floatCount)
-    }));
-    // adjust to total n
-    let total = counts.reduce((sum, e) => sum + e.count, 0);
-    let diff = n - total;
-    if (diff > 0) {
-      counts.sort((a,b) => b.rem - a.rem);
-      for (let i = 0; i < diff; i++) counts[i].count++;
-    } else if (diff < 0) {
-      counts.sort((a,b) => a.rem - b.rem);
-      for (let i = 0; i < -diff; i++) counts[i].count = Math.max(0, counts[i].count - 1);
+  // Rebuild on result, bead count, seed or strategy change
+  useEffect(() => {
+    if (restoredLayout.current) {
+      setBracelet(restoredLayout.current);
+      restoredLayout.current = null;
+      return;
+    }
+    if (ratios?.goal && !patternActive) {
+      setBracelet(buildBeadsList(beadCount, { ratios, seed, strategy, sizeMode, beadMm, focalMm }));
     }
-    // build list
-    const beadsList = [];
-    counts.forEach(({ key, count }) => {
-      const color = ratios.colors?.[key] || defaultElementColors[key];
-      for (let i = 0; i < count; i++) beadsList.push({ color });
+  }, [ratios, beadCount, sizeMode, beadMm, focalMm, seed, strategy, patternActive]);
+
+  // Fetch N arrangements that are unique up to rotation/reflection
+  const CANDIDATE_COUNT = 6;
+  // Common /api/arrange body: ratios + bead count or wrist sizing (+ pattern when applied)
+  const arrangeBody = (extra) => {
+    const body = { ratios, strategy, ...extra };
+    if (sizing) body.sizing = { wristCm, beadMm, fit, accents };
+    else body.numBeads = beadCount;
+    if (patternActive && !body.pattern) body.pattern = JSON.parse(patternText);
+    return body;
+  };
+  // Server layouts (pattern mode) carry their own sizes and roles per bead
+  const fromServer = (colors, sizes, roles) => roles
+    ? colors.map((color, i) => ({ color, size: sizes?.[i], role: roles[i] }))
+    : withSizes(colors.map(color => ({ color })));
+  const applyPattern = async () => {
+    let pattern;
+    try {
+      pattern = JSON.parse(patternText);
+    } catch (err) {
+      alert('图案 JSON 格式错误');
+      return;
+    }
+    try {
+      const res = await axios.post('/api/arrange', arrangeBody({ pattern, seed }));
+      setBracelet(fromServer(res.data.beads, res.data.sizes, res.data.roles));
+      setPatternActive(true);
+    } catch (err) {
+      console.error('Error applying pattern:', err);
+      alert(`图案无效：${err.response?.data?.details || err.message}`);
+    }
+  };
+  const fetchCandidates = async () => {
+    setCandidatesLoading(true);
+    try {
+      const res = await axios.post('/api/arrange', arrangeBody({ candidates: CANDIDATE_COUNT }));
+      setCandidates(res.data.candidates);
+      setCandidateSizes(res.data.sizes || null);
+      setCandidateRoles(res.data.roles || null);
+      setSelectedCandidate(null);
+    } catch (err) {
+      console.error('Error fetching candidates:', err);
+      alert('获取方案失败');
+    }
+    setCandidatesLoading(false);
+  };
+  // Couple's bracelets: /api/arrange { pair } gives both the same accent colors and seed
+  const fetchPair = async () => {
+    setPairLoading(true);
+    try {
+      const body = { pair: { self: ratios, partner: partnerRatios }, strategy, seed };
+      if (sizing) body.sizing = { wristCm, beadMm, fit };
+      else body.numBeads = beadCount;
+      const res = await axios.post('/api/arrange', body);
+      const toBracelet = ({ beads, sizes }) => beads.map((color, i) => ({ color, size: sizes?.[i] }));
+      setPairBracelets({
+        self: toBracelet(res.data.pair.self),
+        partner: toBracelet(res.data.pair.partner),
+        accents: res.data.accents
+      });
+    } catch (err) {
+      console.error('Error arranging pair:', err);
+      alert('生成情侣手串失败');
+    }
+    setPairLoading(false);
+  };
+  // History: list, reopen (with the saved bracelet) and delete saved reports
+  const loadHistory = async (offset = 0) => {
+    const ids = savedReportIds().slice(offset, offset + HISTORY_PAGE);
+    try {
+      const { data } = ids.length
+        ? await axios.get('/api/reports', { params: { ids: ids.join(',') } })
+        : { data: { reports: [] } };
+      // reports deleted elsewhere or gone from the store drop out
+      forgetReports(ids.filter(id => !data.reports.some(r => r.id === id)));
+      setHistory({ reports: data.reports, total: savedReportIds().length, offset });
+    } catch (err) {
+      console.error('Error fetching history:', err);
+    }
+  };
+  const toggleHistory = () => {
+    if (!showHistory) loadHistory(0);
+    setShowHistory(!showHistory);
+  };
+  const toLayout = ({ beads, sizes, roles }) => beads.map((color, i) => ({
+    color, ...(sizes?.[i] && { size: sizes[i] }), ...(roles?.[i] && { role: roles[i] })
+  }));
+  const openReport = async (id) => {
+    try {
+      const { data: report } = await axios.get(`/api/reports/${id}`);
+      setAnalysis(report.analysis || '');
+      applyBirth(report.birth);
+      applyRatios(report);
+      setReportId(report.id);
+      setPromptUsed(report.prompt || report.input?.prompt || null);
+      setHelperReport(null);
+      setCacheHit(false);
+      setAnalysisNotice(report.partial ? errorMessage(report) : '');
+      setPatternActive(false);
+      setPairBracelets(null);
+      const design = report.design;
+      if (design) {
+        if (design.seed != null) setSeed(design.seed);
+        if (design.strategy) setStrategy(design.strategy);
+        if (design.sizeMode) setSizeMode(design.sizeMode);
+        if (design.numBeads) setNumBeads(design.numBeads);
+        if (design.wristCm) setWristCm(design.wristCm);
+        if (design.beadMm) setBeadMm(design.beadMm);
+        if (design.fit) setFit(design.fit);
+        if (design.focalMm != null) setFocalMm(design.focalMm);
+        if (design.beads) restoredLayout.current = toLayout(design);
+        if (design.pair) {
+          setPairBracelets({ self: toLayout(design.pair.self), partner: toLayout(design.pair.partner), accents: design.pair.accents });
+        }
+      }
+    } catch (err) {
+      console.error('Error opening report:', err);
+      alert('打开记录失败');
+    }
+  };
+  const deleteReport = async (id) => {
+    if (!window.confirm('删除这条记录？')) return;
+    try {
+      await axios.delete(`/api/reports/${id}`);
+      forgetReports([id]);
+      if (id === reportId) setReportId(null);
+    } catch (err) {
+      if (err.response?.status === 404) forgetReports([id]);
+      console.error('Error deleting report:', err);
+    }
+    loadHistory(history.offset);
+  };
+  // Attach the current bracelet (and the couple's pair) to the report
+  const saveDesign = async () => {
+    const fromLayout = list => ({
+      beads: list.map(b => b.color),
+      ...(list.some(b => b.size) && { sizes: list.map(b => b.size || null) }),
+      ...(list.some(b => b.role) && { roles: list.map(b => b.role || null) })
     });
-    // shuffle
-    for (let i = beadsList.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [beadsList[i], beadsList[j]] = [beadsList[j], beadsList[i]];
+    const design = {
+      ...fromLayout(bracelet),
+      seed, strategy, sizeMode, numBeads, wristCm, beadMm, fit, focalMm,
+      ...(pairBracelets && {
+        pair: { self: fromLayout(pairBracelets.self), partner: fromLayout(pairBracelets.partner), accents: pairBracelets.accents }
+      })
+    };
+    try {
+      await axios.put(`/api/reports/${reportId}`, { design });
+      alert('手串已保存到历史记录');
+      if (showHistory) loadHistory(history.offset);
+    } catch (err) {
+      console.error('Error saving design:', err);
+      alert('保存失败');
     }
-    // pad
-    while (beadsList.length < n) beadsList.push({ color: '#ccc' });
-    return beadsList;
   };
-  // Randomize bracelet to match goal distribution with colors
-  const randomizeBracelet = () => setBracelet(generateBeadsList(numBeads));
-  // Auto-randomize on result or bead count change
-  useEffect(() => {
-    if (ratios?.goal) randomizeBracelet();
-  }, [ratios, numBeads]);
+  const selectCandidate = (c) => {
+    setSelectedCandidate(c.id);
+    setSeed(c.seed);
+    setBracelet(fromServer(c.beads, candidateSizes, candidateRoles));
+  };
 
   // Animate randomization: flash randomize for 5 seconds
   // timing dynamically responds to speedRef.current
@@ -162,12 +499,12 @@ function App() {
     };
     run();
   };
-  // Animate growth: beads count from 1 to maximum (MAX_BEADS) in 5s
+  // Animate growth: beads count from 1 to maximum (maxBeads) in 5s
   // timing dynamically responds to speedRef.current
   const animateGrow = () => {
     if (!ratios?.goal || growthAnimating) return;
     setGrowthAnimating(true);
-    const target = MAX_BEADS;
+    const target = maxBeads;
     let step = 1;
     setBracelet(generateBeadsList(step));
     const baseTime = 5000; // ms for full grow
@@ -183,7 +520,127 @@ function App() {
     runGrow();
   };
   
+  // Lunar date as sent to the server, and its Gregorian equivalent for the preview
+  const lunarValid = Number(lunarYear) >= MIN_LUNAR_YEAR && Number(lunarYear) <= MAX_LUNAR_YEAR;
+  const lunarLeap = lunarMonth.endsWith('L');
+  const lunarDob = lunarValid
+    ? `${lunarYear}-${String(parseInt(lunarMonth, 10)).padStart(2, '0')}-${String(lunarDay).padStart(2, '0')}`
+    : '';
+  let lunarPreview = '';
+  try {
+    if (lunarValid) lunarPreview = lunarToSolar({ year: lunarYear, month: parseInt(lunarMonth, 10), day: lunarDay, leap: lunarLeap });
+  } catch { /* day or leap month doesn't exist in that year */ }
+  const birthDate = calendar === 'lunar' ? (lunarPreview && lunarDob) : dob;
+  const partnerReady = !pairMode || (partner.dob && partner.birthTime && partner.gender);
+  const setPartnerField = (key, value) => setPartner(prev => ({ ...prev, [key]: value }));
+
+  // Single results carry birth, ratios and warnings as is; pair results key them { self, partner }
+  const applyBirth = birth => {
+    setBirthInfo(birth?.self || birth || null);
+    setPartnerBirthInfo(birth?.partner || null);
+  };
+  const applyRatios = data => {
+    const pair = data.mode === 'compatibility';
+    setRatios((pair ? data.ratios?.self : data.ratios) || null);
+    setPartnerRatios((pair && data.ratios?.partner) || null);
+    setBalance(data.balance || null);
+    setRatioWarnings(pair
+      ? Object.entries(data.warnings || {}).flatMap(([who, list]) =>
+          (list || []).map(w => ({ ...w, field: `${PAIR_LABELS[who]} ${w.field}` })))
+      : data.warnings || []);
+  };
+
+  const helperFields = () => ({
+    ...(helperJson.trim() && { helpers: helperJson }),
+    ...(helperFile && { file: toBase64(helperFile.code) }),
+    ...(helperURL.trim() && { fileURL: helperURL.trim() })
+  });
+  const loadHelperFile = file => {
+    if (!file) {
+      setHelperFile(null);
+      return;
+    }
+    file.text().then(code => setHelperFile({ name: file.name, code }));
+  };
+
+  // The prompt /api/astro would send, with the result of every {{ }} expression (no model call)
+  const previewPrompt = async () => {
+    try {
+      const { data } = await axios.post('/api/prompt/render', {
+        dob: birthDate, birthTime, gender, customPrompt, promptType,
+        ...(calendar === 'lunar' && { calendar, leapMonth: lunarLeap }),
+        birthplace, longitude, latitude, timezone,
+        ...(pairMode && { partner }),
+        ...helperFields()
+      });
+      setPromptPreview(data);
+    } catch (err) {
+      console.error(err);
+      alert(errorMessage(err.response?.data));
+    }
+  };
+
   // Render
+  // Run /api/astro; cache: 'refresh' recomputes instead of reusing a cached result
+  const runAnalysis = async (cache) => {
+    setLoading(true);
+    setAnalysisNotice('');
+    setPairBracelets(null);
+    setReportId(null);
+    setPromptUsed(null);
+    setHelperReport(null);
+    // Keys only travel when the server doesn't hold them
+    const body = {
+      dob: birthDate, birthTime, gender, customPrompt, promptType, cache,
+      ...(calendar === 'lunar' && { calendar, leapMonth: lunarLeap }),
+      birthplace, longitude, latitude, timezone,
+      ...(pairMode && { partner }),
+      ...helperFields(),
+      ...(!serverKeys.analysis && { deepseekKey }),
+      ...(!serverKeys.extraction && { openaiKey })
+    };
+    try {
+      if (streamAnalysis) {
+        // Tokens arrive as `delta` events; `ratios` closes the stream
+        setAnalysis('');
+        applyRatios({});
+        let failed = null;
+        await postSSE('/api/astro', body, (event, data) => {
+          if (event === 'start') {
+            applyBirth(data.birth);
+            setPromptUsed(data.prompt || null);
+            setHelperReport(data.helpers || null);
+          }
+          else if (event === 'delta') setAnalysis(prev => prev + data.text);
+          else if (event === 'ratios') {
+            applyRatios(data);
+            setReportId(data.reportId || null);
+            rememberReport(data.reportId);
+            setCacheHit(Boolean(data.cache?.hit));
+            if (data.partial) setAnalysisNotice(errorMessage(data));
+          }
+          else if (event === 'error') failed = data;
+        });
+        if (failed) throw Object.assign(new Error(failed.details || failed.error), { data: failed });
+      } else {
+        const res = await axios.post('/api/astro', body);
+        setAnalysis(res.data.analysis);
+        applyBirth(res.data.birth);
+        setPromptUsed(res.data.prompt || null);
+        setHelperReport(res.data.helpers || null);
+        applyRatios(res.data);
+        setReportId(res.data.reportId || null);
+        rememberReport(res.data.reportId);
+        setCacheHit(Boolean(res.data.cache?.hit));
+        if (res.data.partial) setAnalysisNotice(errorMessage(res.data));
+      }
+    } catch (err) {
+      console.error(err);
+      alert(errorMessage(err.response?.data ?? err.data));
+    }
+    setLoading(false);
+  };
+
   return (
     <DndProvider backend={HTML5Backend}>
       <div className="App" style={{ textAlign: 'center', minHeight: '100vh', background: 'linear-gradient(135deg,#e3e8f0 0%,#f7fafc 100%)' }}>
@@ -192,9 +649,39 @@ function App() {
         <div style={{ background: '#fff', padding: 20, borderRadius: 12, boxShadow: '0 2px 12px rgba(0,0,0,0.08)', maxWidth: 360, margin: '0 auto 24px' }}>
           <h2 style={{ marginTop: 0 }}>命理五行分析</h2>
           <div style={{ display: 'flex', flexDirection: 'column', gap: 12, textAlign: 'left' }}>
-            <label>出生日期:
-              <input type="date" value={dob} onChange={e => setDob(e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+            <label>历法:
+              <select value={calendar} onChange={e => setCalendar(e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}>
+                <option value="gregorian">公历</option>
+                <option value="lunar">农历</option>
+              </select>
             </label>
+            {calendar === 'gregorian' ? (
+              <label>出生日期:
+                <input type="date" value={dob} onChange={e => setDob(e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              </label>
+            ) : (
+              <label>农历出生日期:
+                <div style={{ display: 'flex', gap: 8, marginTop: 4 }}>
+                  <input type="number" min={MIN_LUNAR_YEAR} max={MAX_LUNAR_YEAR} value={lunarYear} onChange={e => setLunarYear(e.target.value)} placeholder="年" style={{ flex: 1, padding: 6, borderRadius: 4, border: '1px solid #ccc' }}/>
+                  <select value={lunarMonth} onChange={e => setLunarMonth(e.target.value)} style={{ padding: 6, borderRadius: 4, border: '1px solid #ccc' }}>
+                    {LUNAR_MONTH_NAMES.flatMap((name, i) => [
+                      <option key={i + 1} value={String(i + 1)}>{name}月</option>,
+                      ...(lunarValid && leapMonthOf(Number(lunarYear)) === i + 1
+                        ? [<option key={`${i + 1}L`} value={`${i + 1}L`}>闰{name}月</option>]
+                        : [])
+                    ])}
+                  </select>
+                  <select value={lunarDay} onChange={e => setLunarDay(e.target.value)} style={{ padding: 6, borderRadius: 4, border: '1px solid #ccc' }}>
+                    {Array.from({ length: lunarValid ? lunarMonthDays(Number(lunarYear), parseInt(lunarMonth, 10), lunarLeap) : 30 }, (_, i) => (
+                      <option key={i + 1} value={String(i + 1)}>{lunarDayName(i + 1)}</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ fontSize: 12, color: '#888', marginTop: 4 }}>
+                  {lunarPreview ? `公历 ${lunarPreview}` : `请选择 ${MIN_LUNAR_YEAR}–${MAX_LUNAR_YEAR} 年内存在的日期`}
+                </div>
+              </label>
+            )}
             <label>出生时间:
               <input type="time" value={birthTime} onChange={e => setBirthTime(e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
             </label>
@@ -205,12 +692,61 @@ function App() {
                 <option value="female">女</option>
               </select>
             </label>
-            <label>DeepSeek API Key:
-              <input type="password" value={deepseekKey} onChange={e => setDeepseekKey(e.target.value)} placeholder="输入 DeepSeek Key" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+            <label>出生地:
+              <input list="birthplaces" value={birthplace} onChange={e => setBirthplace(e.target.value)} placeholder="可选：用于真太阳时校正" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              <datalist id="birthplaces">
+                {CITIES.map(c => <option key={c.name} value={c.name}>{c.en}</option>)}
+              </datalist>
             </label>
-            <label>OpenAI API Key:
-              <input type="password" value={openaiKey} onChange={e => setOpenaiKey(e.target.value)} placeholder="输入 OpenAI Key" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <label style={{ flex: 1 }}>经度:
+                <input type="number" step="0.001" min="-180" max="180" value={longitude} onChange={e => setLongitude(e.target.value)} placeholder="东经为正" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              </label>
+              <label style={{ flex: 1 }}>纬度:
+                <input type="number" step="0.001" min="-90" max="90" value={latitude} onChange={e => setLatitude(e.target.value)} placeholder="北纬为正" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              </label>
+            </div>
+            <label>时区:
+              <input list="timezones" value={timezone} onChange={e => setTimezone(e.target.value)} placeholder="默认按出生地，否则 Asia/Shanghai" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              <datalist id="timezones">
+                {[...new Set(CITIES.map(c => c.tz))].map(tz => <option key={tz} value={tz} />)}
+              </datalist>
+            </label>
+            <label style={{ fontSize: 14 }}>
+              <input type="checkbox" checked={pairMode} onChange={e => setPairMode(e.target.checked)} />
+              {' '}合婚模式（双人分析与情侣手串）
             </label>
+            {pairMode && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 12, background: '#f9f9f9', padding: 12, border: '1px solid #ccc', borderRadius: 6 }}>
+                <div style={{ fontSize: 14, color: '#555' }}>乙方（公历）</div>
+                <label>出生日期:
+                  <input type="date" value={partner.dob} onChange={e => setPartnerField('dob', e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+                </label>
+                <label>出生时间:
+                  <input type="time" value={partner.birthTime} onChange={e => setPartnerField('birthTime', e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+                </label>
+                <label>性别:
+                  <select value={partner.gender} onChange={e => setPartnerField('gender', e.target.value)} style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}>
+                    <option value="">请选择</option>
+                    <option value="male">男</option>
+                    <option value="female">女</option>
+                  </select>
+                </label>
+                <label>出生地:
+                  <input list="birthplaces" value={partner.birthplace} onChange={e => setPartnerField('birthplace', e.target.value)} placeholder="可选：用于真太阳时校正" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+                </label>
+              </div>
+            )}
+            {!serverKeys.analysis && (
+              <label>DeepSeek API Key:
+                <input type="password" value={deepseekKey} onChange={e => setDeepseekKey(e.target.value)} placeholder="输入 DeepSeek Key" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              </label>
+            )}
+            {!serverKeys.extraction && (
+              <label>OpenAI API Key:
+                <input type="password" value={openaiKey} onChange={e => setOpenaiKey(e.target.value)} placeholder="可选：表格解析失败时用于抽取比例" style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}/>
+              </label>
+            )}
             {/* Prompt Settings Toggle */}
             <div style={{ marginTop: 8, textAlign: 'left' }}>
               <button
@@ -233,7 +769,7 @@ function App() {
                   />
                   <label htmlFor="defaultPrompt" style={{ marginLeft: 4 }}>内置提示</label>
                 </div>
-                {promptOption === 'default' && (
+                {promptOption === 'default' && !pairMode && (
                   <div style={{ marginLeft: 16, marginBottom: 8 }}>
                     <label>选择提示类型:
                       <select
@@ -241,7 +777,7 @@ function App() {
                         onChange={e => setPromptType(e.target.value)}
                         style={{ marginLeft: 4, padding: 4, borderRadius: 4, border: '1px solid #ccc' }}
                       >
-                        {Object.keys(promptTemplates).map(key => (
+                        {Object.keys(promptTemplates).filter(key => key !== 'compatibility').map(key => (
                           <option key={key} value={key}>{key}</option>
                         ))}
                       </select>
@@ -268,38 +804,120 @@ function App() {
                     style={{ width: '100%', padding: 6, borderRadius: 4, border: '1px solid #ccc' }}
                   />
                 )}
+                <details style={{ marginBottom: 8 }}>
+                  <summary style={{ cursor: 'pointer', fontSize: 14 }}>辅助函数（模板中用 {'{{ name(dob) }}'} 调用）</summary>
+                  <textarea
+                    value={helperJson}
+                    onChange={e => setHelperJson(e.target.value)}
+                    rows={3}
+                    placeholder={'{"age": "(dob) => 2025 - +dob.slice(0, 4)"}'}
+                    style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc', fontFamily: 'monospace' }}
+                  />
+                  <label style={{ display: 'block', fontSize: 13, marginTop: 4 }}>JS 文件：
+                    <input type="file" accept=".js,text/javascript" onChange={e => loadHelperFile(e.target.files[0])} />
+                  </label>
+                  <input
+                    value={helperURL}
+                    onChange={e => setHelperURL(e.target.value)}
+                    placeholder="或 https:// 地址"
+                    style={{ width: '100%', padding: 6, marginTop: 4, borderRadius: 4, border: '1px solid #ccc' }}
+                  />
+                </details>
+                <button
+                  onClick={previewPrompt}
+                  disabled={!birthDate || !birthTime || !gender || !partnerReady}
+                  style={{ padding: '4px 10px', fontSize: 13, borderRadius: 4, border: '1px solid #4a90e2', background: '#fff', color: '#4a90e2', cursor: 'pointer' }}
+                >预览提示词</button>
+                {promptPreview && (
+                  <div style={{ marginTop: 8, fontSize: 13 }}>
+                    <div style={{ color: '#888' }}>
+                      {promptPreview.template.name} v{promptPreview.template.version}{promptPreview.template.custom ? '（自定义）' : ''}
+                    </div>
+                    <HelperReport report={promptPreview.helpers} />
+                    {promptPreview.trace.filter(t => t.error).map((t, i) => (
+                      <div key={i} style={{ color: '#c0392b' }}>
+                        第{t.line}行 {`{{ ${t.expr} }}`}：{t.error}
+                      </div>
+                    ))}
+                    <pre style={{ whiteSpace: 'pre-wrap', maxHeight: 240, overflowY: 'auto', background: '#fff', border: '1px solid #eee', padding: 6 }}>
+                      {promptPreview.prompt}
+                    </pre>
+                  </div>
+                )}
               </div>
             )}
-            <button onClick={async () => {
-                setLoading(true);
-                try {
-                  const res = await axios.post('/api/astro', { dob, birthTime, gender, deepseekKey, openaiKey, customPrompt, promptType });
-                  setAnalysis(res.data.analysis);
-                  setRatios(res.data.ratios);
-                } catch (err) {
-                  console.error(err);
-                  alert('分析失败，请检查输入和 API Key');
-                }
-                setLoading(false);
-              }}
-              disabled={!dob || !birthTime || !gender || !deepseekKey || !openaiKey || loading}
+            <label style={{ fontSize: 14 }}>
+              <input type="checkbox" checked={streamAnalysis} onChange={e => setStreamAnalysis(e.target.checked)} />
+              {' '}流式输出
+            </label>
+            <button onClick={() => runAnalysis()}
+              disabled={!birthDate || !birthTime || !gender || !partnerReady || (!deepseekKey && !serverKeys.analysis) || loading}
               style={{ padding: '10px', fontSize: 16, borderRadius: 6, border: 'none', background: '#4a90e2', color: '#fff', cursor: 'pointer' }}>
               {loading ? '分析中...' : '开始分析'}
             </button>
           </div>
         </div>
-        <div style={{ marginBottom: '20px' }}>
-          <label htmlFor="numBeads">Number of Beads: </label>
-          <input
-            type="number"
-            id="numBeads"
-            min={1}
-            max={MAX_BEADS}
-            value={numBeads}
-            onChange={(e) => setNumBeads(Number(e.target.value))}
+        <div style={{ marginBottom: '20px', display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+          <select
+            value={sizeMode}
+            onChange={e => setSizeMode(e.target.value)}
             disabled={isAnimating || growthAnimating}
-            style={{fontSize: 18, width: 60, marginLeft: 8, borderRadius: 6, border: '1px solid #bbb', padding: '2px 8px', background: (isAnimating||growthAnimating) ? '#eee' : '#fff'}}
-          />
+            style={{ padding: 4, borderRadius: 6, border: '1px solid #bbb' }}
+          >
+            <option value="count">按颗数</option>
+            <option value="wrist">按手围</option>
+          </select>
+          {sizeMode === 'count' ? (
+            <span>
+              <label htmlFor="numBeads">Number of Beads: </label>
+              <input
+                type="number"
+                id="numBeads"
+                min={1}
+                max={MAX_BEADS}
+                value={numBeads}
+                onChange={(e) => setNumBeads(Number(e.target.value))}
+                disabled={isAnimating || growthAnimating}
+                style={{fontSize: 18, width: 60, marginLeft: 8, borderRadius: 6, border: '1px solid #bbb', padding: '2px 8px', background: (isAnimating||growthAnimating) ? '#eee' : '#fff'}}
+              />
+            </span>
+          ) : (
+            <>
+              <label>手围 (cm):
+                <input
+                  type="number"
+                  min={10}
+                  max={30}
+                  step={0.5}
+                  value={wristCm}
+                  onChange={e => setWristCm(Number(e.target.value))}
+                  disabled={isAnimating || growthAnimating}
+                  style={{ width: 60, marginLeft: 4, borderRadius: 6, border: '1px solid #bbb', padding: '2px 6px' }}
+                />
+              </label>
+              <label>珠径:
+                <select value={beadMm} onChange={e => setBeadMm(Number(e.target.value))} disabled={isAnimating || growthAnimating} style={{ marginLeft: 4, padding: 4, borderRadius: 6, border: '1px solid #bbb' }}>
+                  {BEAD_SIZES.map(mm => <option key={mm} value={mm}>{mm} mm</option>)}
+                </select>
+              </label>
+              <label>松紧:
+                <select value={fit} onChange={e => setFit(e.target.value)} disabled={isAnimating || growthAnimating} style={{ marginLeft: 4, padding: 4, borderRadius: 6, border: '1px solid #bbb' }}>
+                  {Object.keys(FIT_EASE).map(key => (
+                    <option key={key} value={key}>{{ snug: '贴合', comfortable: '舒适', loose: '宽松' }[key]}</option>
+                  ))}
+                </select>
+              </label>
+              <label>主珠:
+                <select value={focalMm} onChange={e => setFocalMm(Number(e.target.value))} disabled={isAnimating || growthAnimating} style={{ marginLeft: 4, padding: 4, borderRadius: 6, border: '1px solid #bbb' }}>
+                  <option value={0}>无</option>
+                  {[10, 12, 14, 16].map(mm => <option key={mm} value={mm}>{mm} mm</option>)}
+                </select>
+              </label>
+              <span style={{ fontSize: 14, color: '#555' }}>
+                {sizing ? `共 ${sizing.numBeads} 颗 · 周长 ${sizing.lengthMm / 10} cm` : '请输入有效手围'}
+              </span>
+            </>
+          )}
         </div>
         <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'flex-start', gap: 36 }}>
           <BraceletCanvas
@@ -309,6 +927,21 @@ function App() {
             paletteBeads={paletteBeads}
           />
         </div>
+        {/* Composition drift vs. goal (same metrics as POST /api/arrange/score) */}
+        {score && (
+          <div style={{ fontSize: 14, color: '#555', marginTop: 8 }}>
+            偏离目标：平均 {score.error.meanAbsolute}% · 最大 {score.error.maxAbsolute}%
+            {' · '}相邻同元素 {Math.round(score.adjacency.clumping * 100)}%
+            {' · '}对称度 {Math.round(score.symmetry.score * 100)}%
+            <div style={{ display: 'flex', justifyContent: 'center', gap: 12, marginTop: 4 }}>
+              {Object.entries(score.error.absolute).map(([key, diff]) => (
+                <span key={key} style={{ color: Math.abs(diff) >= 5 ? '#d0021b' : '#555' }}>
+                  {key} {score.achieved[key]}% ({diff > 0 ? '+' : ''}{diff})
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
         {/* Randomize, Flash Animate & Growth Animate Controls */}
         <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 16, marginTop: 16, marginBottom: 32, flexWrap: 'wrap' }}>
           <button
@@ -326,6 +959,31 @@ function App() {
             disabled={!ratios?.goal || isAnimating || growthAnimating}
             style={{ padding: '8px 16px', fontSize: 14, borderRadius: 6, border: 'none', background: !ratios?.goal || isAnimating || growthAnimating ? '#ccc' : '#4a90e2', color: '#fff', cursor: !ratios?.goal || isAnimating || growthAnimating ? 'not-allowed' : 'pointer' }}
           >{growthAnimating ? '增长中...' : '增长动画'}</button>
+          <button
+            onClick={fetchCandidates}
+            disabled={!ratios?.goal || isAnimating || growthAnimating || candidatesLoading}
+            style={{ padding: '8px 16px', fontSize: 14, borderRadius: 6, border: 'none', background: !ratios?.goal || isAnimating || growthAnimating || candidatesLoading ? '#ccc' : '#4a90e2', color: '#fff', cursor: !ratios?.goal || isAnimating || growthAnimating || candidatesLoading ? 'not-allowed' : 'pointer' }}
+          >{candidatesLoading ? '生成中...' : `${CANDIDATE_COUNT} 个方案`}</button>
+          <label style={{ fontSize: 14 }}>排列:
+            <select
+              value={strategy}
+              onChange={e => setStrategy(e.target.value)}
+              disabled={isAnimating || growthAnimating}
+              style={{ marginLeft: 4, padding: 4, borderRadius: 6, border: '1px solid #bbb' }}
+            >
+              {strategyNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          <label style={{ fontSize: 14 }}>种子:
+            <input
+              type="number"
+              min={0}
+              value={seed}
+              onChange={e => setSeed(Math.max(0, Math.floor(Number(e.target.value) || 0)))}
+              disabled={isAnimating || growthAnimating}
+              style={{ width: 110, marginLeft: 4, borderRadius: 6, border: '1px solid #bbb', padding: '2px 6px', fontFamily: 'monospace' }}
+            />
+          </label>
           <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginLeft: 8 }}>
             <label style={{ fontSize: 14 }}>速度:</label>
             <input
@@ -340,12 +998,158 @@ function App() {
             <span style={{ fontSize: 14, width: 36, textAlign: 'center' }}>{speedMultiplier.toFixed(1)}x</span>
           </div>
         </div>
+        {/* Saved reports: reopen an analysis with its bracelet */}
+        <div style={{ maxWidth: 480, margin: '0 auto 16px', textAlign: 'left' }}>
+          <button
+            onClick={toggleHistory}
+            style={{ background: 'none', border: 'none', padding: 0, color: '#4a90e2', cursor: 'pointer', fontSize: 14 }}
+          >
+            🕘 历史记录 {showHistory ? '▲' : '▼'}
+          </button>
+          {showHistory && (
+            <div style={{ background: '#f9f9f9', padding: 12, border: '1px solid #ccc', borderRadius: 6, marginTop: 8, fontSize: 13 }}>
+              {history.reports.length === 0 ? (
+                <div style={{ color: '#888' }}>暂无记录</div>
+              ) : (
+                <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+                  {history.reports.map(r => (
+                    <li key={r.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, padding: '4px 0', borderBottom: '1px solid #eee', fontWeight: r.id === reportId ? 'bold' : 'normal' }}>
+                      <span>
+                        {new Date(r.createdAt).toLocaleString()} · {r.input.dob} {r.input.birthTime}
+                        {r.input.partner && ` ＆ ${r.input.partner.dob} ${r.input.partner.birthTime}`}
+                        {r.hasDesign && ' · 含手串'}
+                        {r.partial && ' · 比例缺失'}
+                      </span>
+                      <span style={{ whiteSpace: 'nowrap' }}>
+                        <button onClick={() => openReport(r.id)} style={{ background: 'none', border: 'none', padding: 0, color: '#4a90e2', cursor: 'pointer', fontSize: 13 }}>打开</button>
+                        {' '}
+                        <button onClick={() => deleteReport(r.id)} style={{ background: 'none', border: 'none', padding: 0, color: '#d0021b', cursor: 'pointer', fontSize: 13 }}>删除</button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {history.total > HISTORY_PAGE && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 8 }}>
+                  <button onClick={() => loadHistory(history.offset - HISTORY_PAGE)} disabled={history.offset === 0}>上一页</button>
+                  <span>{history.offset + 1}–{Math.min(history.offset + HISTORY_PAGE, history.total)} / {history.total}</span>
+                  <button onClick={() => loadHistory(history.offset + HISTORY_PAGE)} disabled={history.offset + HISTORY_PAGE >= history.total}>下一页</button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+        {/* Pattern editor: focal bead, spacers and motif (see utils/pattern.js) */}
+        <div style={{ maxWidth: 480, margin: '0 auto 16px', textAlign: 'left' }}>
+          <button
+            onClick={() => setShowPattern(!showPattern)}
+            style={{ background: 'none', border: 'none', padding: 0, color: '#4a90e2', cursor: 'pointer', fontSize: 14 }}
+          >
+            🧩 图案设置 {patternActive ? '(已应用)' : ''} {showPattern ? '▲' : '▼'}
+          </button>
+          {showPattern && (
+            <div style={{ background: '#f9f9f9', padding: 12, border: '1px solid #ccc', borderRadius: 6, marginTop: 8 }}>
+              <div style={{ fontSize: 12, color: '#666', marginBottom: 6 }}>
+                motif: 元素名 / * (自由) / 字母 (同字母同元素)，如 "A-B-A-C"；fixed: 固定位置的主珠；spacers: every（每 N 颗）或 aroundFixed（主珠两侧）。隔珠不计入五行比例。
+              </div>
+              <textarea
+                value={patternText}
+                onChange={e => setPatternText(e.target.value)}
+                rows={8}
+                style={{ width: '100%', padding: 6, borderRadius: 4, border: '1px solid #ccc', fontFamily: 'monospace', fontSize: 12 }}
+              />
+              <button
+                onClick={applyPattern}
+                disabled={!ratios?.goal}
+                style={{ marginTop: 8, padding: '6px 12px', fontSize: 14, borderRadius: 4, border: '1px solid #4a90e2', background: '#fff', color: '#4a90e2', cursor: 'pointer' }}
+              >应用图案</button>
+            </div>
+          )}
+        </div>
+        <CandidateStrip
+          candidates={candidates}
+          sizes={candidateSizes}
+          selectedId={selectedCandidate}
+          onSelect={selectCandidate}
+        />
+        {/* Couple's bracelets (合婚 mode): same seed, shared accent colors */}
+        {ratios && partnerRatios && (
+          <div style={{ margin: '0 auto 16px' }}>
+            <button
+              onClick={fetchPair}
+              disabled={pairLoading}
+              style={{ padding: '8px 16px', fontSize: 14, borderRadius: 6, border: 'none', background: pairLoading ? '#ccc' : '#4a90e2', color: '#fff', cursor: pairLoading ? 'not-allowed' : 'pointer' }}
+            >{pairLoading ? '生成中...' : '生成情侣手串'}</button>
+            {pairBracelets && (
+              <>
+                <div style={{ fontSize: 14, color: '#555', margin: '8px 0' }}>
+                  呼应色：
+                  {pairBracelets.accents.elements.map(el => (
+                    <span key={el} style={{ marginLeft: 8 }}>
+                      <span style={{ display: 'inline-block', width: 12, height: 12, borderRadius: '50%', background: pairBracelets.accents.colors[el], verticalAlign: 'middle', marginRight: 4 }} />
+                      {ELEMENT_NAMES[el]} {pairBracelets.accents.colors[el]}
+                    </span>
+                  ))}
+                </div>
+                <div style={{ display: 'flex', justifyContent: 'center', gap: 24, flexWrap: 'wrap' }}>
+                  {Object.entries(PAIR_LABELS).map(([who, label]) => (
+                    <div key={who}>
+                      <div style={{ fontSize: 14, color: '#555', marginBottom: 4 }}>{label}</div>
+                      <BraceletCanvas
+                        bracelet={pairBracelets[who]}
+                        onBeadClick={() => {}}
+                        onBeadDrop={handlePairBeadDrop(who)}
+                        paletteBeads={[
+                          ...ratioPalette(who === 'self' ? ratios : partnerRatios),
+                          ...pairBracelets.accents.elements.map(el => ({ id: `accent-${el}`, color: pairBracelets.accents.colors[el] }))
+                        ]}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        )}
         {/* Display analysis and histogram */}
         {analysis && (
           <div style={{ background: '#fff', padding: 20, borderRadius: 12, boxShadow: '0 2px 12px rgba(0,0,0,0.08)', maxWidth: 600, margin: '24px auto', position: 'relative' }}>
             <h3 style={{ marginTop: 0, textAlign: 'center', cursor: 'pointer' }} onClick={() => setAnalysisExpanded(!analysisExpanded)}>
               命理分析结果 {analysisExpanded ? '🔽' : '🔼'}
             </h3>
+            {birthInfo?.lunar && (
+              <div style={{ textAlign: 'center', fontSize: 13, color: '#888', marginBottom: 4 }}>
+                公历 {birthInfo.dob} · 农历 {birthInfo.lunar.text}
+              </div>
+            )}
+            {birthInfo?.solar && (
+              <div style={{ textAlign: 'center', fontSize: 13, color: '#888', marginBottom: 8 }}>
+                {birthInfo.birthplace || `${birthInfo.longitude}°`} 真太阳时 {birthInfo.solar.dob} {birthInfo.solar.birthTime}
+                （钟表时间 {birthInfo.birthTime}，UTC{birthInfo.utcOffset >= 0 ? '+' : ''}{birthInfo.utcOffset}{birthInfo.dst ? ' 夏令时' : ''}，
+                校正 {birthInfo.solar.correctionMinutes > 0 ? '+' : ''}{birthInfo.solar.correctionMinutes} 分钟）
+              </div>
+            )}
+            {[birthInfo?.warning, partnerBirthInfo?.warning && `乙方：${partnerBirthInfo.warning}`].filter(Boolean).map(warning => (
+              <div key={warning} style={{ textAlign: 'center', fontSize: 13, color: '#8a6d3b', marginBottom: 8 }}>
+                {warning}
+              </div>
+            ))}
+            {promptUsed && (
+              <div style={{ textAlign: 'center', fontSize: 13, color: '#888', marginBottom: 8 }}>
+                提示词 {promptUsed.custom ? `自定义（系统提示：${promptUsed.name} v${promptUsed.version}）` : `${promptUsed.name} v${promptUsed.version}`}
+              </div>
+            )}
+            <HelperReport report={helperReport} />
+            {cacheHit && (
+              <div style={{ textAlign: 'center', fontSize: 13, color: '#888', marginBottom: 8 }}>
+                缓存结果{' '}
+                <button
+                  onClick={() => runAnalysis('refresh')}
+                  disabled={loading}
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#4a90e2', cursor: 'pointer', fontSize: 13 }}
+                >重新生成</button>
+              </div>
+            )}
             <div
               className="markdown-body"
               style={{
@@ -366,17 +1170,63 @@ function App() {
               )}
               <ReactMarkdown>{analysis}</ReactMarkdown>
             </div>
-            {ratios && <ElementHistogram current={ratios.current} goal={ratios.goal} colors={ratios.colors} />}
+            {analysisNotice && (
+              <div style={{ fontSize: 13, color: '#8a6d3b', marginBottom: 8 }}>
+                {analysisNotice}{' '}
+                <button
+                  onClick={() => runAnalysis('refresh')}
+                  disabled={loading}
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#4a90e2', cursor: 'pointer', fontSize: 13 }}
+                >重新生成</button>
+              </div>
+            )}
+            {partnerRatios ? (
+              <div style={{ display: 'flex', justifyContent: 'center', gap: 16, flexWrap: 'wrap' }}>
+                {[['self', ratios], ['partner', partnerRatios]].filter(([, r]) => r).map(([who, r]) => (
+                  <div key={who}>
+                    <div style={{ fontSize: 14, color: '#555' }}>{PAIR_LABELS[who]}</div>
+                    <ElementHistogram current={r.current} goal={r.goal} colors={r.colors} />
+                  </div>
+                ))}
+              </div>
+            ) : ratios && <ElementHistogram current={ratios.current} goal={ratios.goal} colors={ratios.colors} />}
+            {balance && (
+              <div style={{ fontSize: 13, color: '#555', marginTop: 8 }}>
+                五行互补度 {balance.score}%
+                {' · '}呼应元素 {balance.accents.map(el => ELEMENT_NAMES[el]).join('、')}
+                <div style={{ display: 'flex', justifyContent: 'center', gap: 12, flexWrap: 'wrap', marginTop: 4 }}>
+                  {Object.entries(balance.elements).map(([el, e]) => (
+                    <span key={el}>{ELEMENT_NAMES[el]}：{RELATION_LABELS[e.relation]}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+            {ratioWarnings.length > 0 && (
+              <details style={{ marginTop: 8, fontSize: 13, color: '#8a6d3b', textAlign: 'left' }}>
+                <summary style={{ cursor: 'pointer' }}>比例已自动修正 {ratioWarnings.length} 处</summary>
+                <ul style={{ margin: '4px 0', paddingLeft: 20 }}>
+                  {ratioWarnings.map((w, i) => <li key={i}><code>{w.field}</code> {w.message}</li>)}
+                </ul>
+              </details>
+            )}
             {/* Copy report button */}
             <button
               onClick={() => {
-                const report = JSON.stringify({ analysis, ratios }, null, 2);
+                const report = JSON.stringify({
+                  reportId, prompt: promptUsed, birth: birthInfo, analysis, ratios, warnings: ratioWarnings, arrangement: { seed, strategy, numBeads: beadCount },
+                  ...(partnerRatios && { partner: { birth: partnerBirthInfo, ratios: partnerRatios }, balance })
+                }, null, 2);
                 navigator.clipboard.writeText(report)
                   .then(() => alert('报告已复制到剪贴板'))
                   .catch(() => alert('复制失败'));
               }}
               style={{ marginTop: 12, padding: '6px 12px', fontSize: 14, borderRadius: 4, border: '1px solid #4a90e2', background: '#fff', color: '#4a90e2', cursor: 'pointer' }}
             >复制报告</button>
+            <button
+              onClick={saveDesign}
+              disabled={!reportId}
+              style={{ marginTop: 12, marginLeft: 8, padding: '6px 12px', fontSize: 14, borderRadius: 4, border: '1px solid #4a90e2', background: '#fff', color: '#4a90e2', cursor: reportId ? 'pointer' : 'not-allowed' }}
+            >保存手串</button>
           </div>
         )}
       </div>
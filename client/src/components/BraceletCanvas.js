@@ -82,7 +82,7 @@ function SidePalette({ beads, visible, x, y, onMouseEnter, onMouseLeave, onSelec
   );
 }
 
-function Bead({ bead, index, cx, cy, onBeadDrop, onHover, onUnhover, dropRef }) {
+function Bead({ bead, index, cx, cy, r, onBeadDrop, onHover, onUnhover, dropRef }) {
   const [{ isOver, canDrop }, drop] = useDrop({
     accept: ItemTypes.BEAD,
     drop: (item) => {
@@ -113,7 +113,7 @@ function Bead({ bead, index, cx, cy, onBeadDrop, onHover, onUnhover, dropRef })
       }}
       cx={cx}
       cy={cy}
-      r="28"
+      r={r}
       fill={bead.color}
       stroke="#444"
       strokeWidth="2.5"
@@ -128,12 +128,36 @@ function Bead({ bead, index, cx, cy, onBeadDrop, onHover, onUnhover, dropRef })
   );
 }
 
+// Fallback bead diameter (mm) when a bead carries no `size`
+const DEFAULT_BEAD_MM = 8;
+// Upper bound on px per mm so short bracelets don't balloon
+const MAX_PX_PER_MM = 7;
+
+// Place beads along the circle by their physical diameter: each bead takes
+// an arc proportional to its size, and is drawn with a matching radius.
+function layoutBeads(bracelet, centerX, centerY, radius) {
+  const sizes = bracelet.map(b => b.size || DEFAULT_BEAD_MM);
+  const totalMm = sizes.reduce((sum, d) => sum + d, 0) || 1;
+  const pxPerMm = Math.min((2 * Math.PI * radius) / totalMm, MAX_PX_PER_MM);
+  let acc = 0;
+  return sizes.map(d => {
+    const angle = (2 * Math.PI * (acc + d / 2)) / totalMm;
+    acc += d;
+    return {
+      x: centerX + radius * Math.cos(angle),
+      y: centerY + radius * Math.sin(angle),
+      r: (d / 2) * pxPerMm * 0.92 // small gap between neighbours
+    };
+  });
+}
+
 function BraceletCanvas({ bracelet, onBeadClick, onBeadDrop, paletteBeads }) {
   const width = 600;
   const height = 600;
   const centerX = width / 2;
   const centerY = height / 2;
   const radius = 210;
+  const layout = layoutBeads(bracelet, centerX, centerY, radius);
 
   const [hoveredIndex, setHoveredIndex] = useState(null);
   const [paletteOpen, setPaletteOpen] = useState(false);
@@ -142,14 +166,14 @@ function BraceletCanvas({ bracelet, onBeadClick, onBeadDrop, paletteBeads }) {
   const beadDomRef = useRef(null);
 
   // Open palette when bead is hovered
-  const handleBeadHover = (index, cx, cy) => {
+  const handleBeadHover = (index, cx, cy, r) => {
     setHoveredIndex(index);
     setPaletteOpen(true);
     // Convert SVG (cx, cy) to screen coordinates
     const svg = document.querySelector('svg');
     if (svg) {
       const pt = svg.createSVGPoint();
-      pt.x = cx + 32; // offset to the right of the bead
+      pt.x = cx + r + 4; // offset to the right of the bead
       pt.y = cy;
       const screenCTM = svg.getScreenCTM();
       if (screenCTM) {
@@ -195,9 +219,7 @@ function BraceletCanvas({ bracelet, onBeadClick, onBeadDrop, paletteBeads }) {
     <div style={{ position: 'relative', width, height }}>
       <svg width={width} height={height} style={{ border: '1px solid #ccc', background: '#f7fafc', borderRadius: '50%' }}>
         {bracelet.map((bead, index) => {
-          const angle = (2 * Math.PI * index) / bracelet.length;
-          const x = centerX + radius * Math.cos(angle);
-          const y = centerY + radius * Math.sin(angle);
+          const { x, y, r } = layout[index];
           return (
             <Bead
               key={index}
@@ -205,8 +227,9 @@ function BraceletCanvas({ bracelet, onBeadClick, onBeadDrop, paletteBeads }) {
               index={index}
               cx={x}
               cy={y}
+              r={r}
               onBeadDrop={onBeadDrop}
-              onHover={() => handleBeadHover(index, x, y)}
+              onHover={() => handleBeadHover(index, x, y, r)}
               onUnhover={handleBeadUnhover}
               dropRef={beadDomRef}
             />
@@ -0,0 +1,59 @@
+import React from 'react';
+
+// Small static bracelet preview (no drag/drop)
+function BraceletThumbnail({ beads, sizes, size = 96 }) {
+  const center = size / 2;
+  const radius = size * 0.36;
+  const total = beads.reduce((sum, _, i) => sum + ((sizes && sizes[i]) || 1), 0) || 1;
+  let acc = 0;
+  return (
+    <svg width={size} height={size}>
+      {beads.map((color, i) => {
+        const d = (sizes && sizes[i]) || 1;
+        const angle = (2 * Math.PI * (acc + d / 2)) / total;
+        acc += d;
+        const r = Math.min((Math.PI * radius * d) / total, size / 10);
+        return (
+          <circle
+            key={i}
+            cx={center + radius * Math.cos(angle)}
+            cy={center + radius * Math.sin(angle)}
+            r={r}
+            fill={color}
+            stroke="#666"
+            strokeWidth="0.5"
+          />
+        );
+      })}
+    </svg>
+  );
+}
+
+// Horizontal strip of candidate arrangements returned by /api/arrange { candidates: n }
+function CandidateStrip({ candidates, sizes, selectedId, onSelect }) {
+  if (!candidates || !candidates.length) return null;
+  return (
+    <div style={{ display: 'flex', justifyContent: 'center', gap: 12, flexWrap: 'wrap', margin: '12px auto', maxWidth: 720 }}>
+      {candidates.map(c => (
+        <div
+          key={c.id}
+          onClick={() => onSelect(c)}
+          title={`seed ${c.seed}`}
+          style={{
+            cursor: 'pointer',
+            background: '#fff',
+            borderRadius: 8,
+            padding: 4,
+            border: c.id === selectedId ? '2px solid #4a90e2' : '2px solid transparent',
+            boxShadow: '0 1px 4px rgba(0,0,0,0.1)',
+          }}
+        >
+          <BraceletThumbnail beads={c.beads} sizes={sizes} />
+          <div style={{ fontSize: 11, color: '#888', fontFamily: 'monospace' }}>{c.id.slice(0, 6)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default CandidateStrip;
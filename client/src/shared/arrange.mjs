@@ -0,0 +1,89 @@
+// client/src/shared/arrange.mjs
+// Isomorphic bracelet arrangement: the App and /api/arrange both build beads
+// through this module, so the same seed, ratios and bead count give the same
+// bead list in the browser and from the API.
+import { strategies, strategyNames, strategyFor } from './strategies.mjs';
+
+export { strategies, strategyNames, strategyFor };
+
+export const ELEMENTS = ['metal', 'wood', 'water', 'fire', 'earth'];
+export const DEFAULT_STRATEGY = 'random';
+// Fallback colors when ratios.colors misses an element
+export const DEFAULT_ELEMENT_COLORS = {
+  metal: '#FFD700', wood: '#228B22', water: '#1E90FF', fire: '#FF4500', earth: '#DEB887'
+};
+// Placeholder for beads that belong to no element
+export const PAD_COLOR = '#ccc';
+
+// Simple seedable PRNG (mulberry32)
+export function mulberry32(seed) {
+  return function() {
+    let t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh random seed for a new arrangement (fits in a 32-bit unsigned int)
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+/**
+ * Largest-remainder rounding of goal percentages to whole beads.
+ * @returns {{[element:string]: number}}
+ */
+export function allocateCounts(numBeads, goal) {
+  const counts = ELEMENTS.map(key => {
+    const floatCount = (goal[key] || 0) * numBeads / 100;
+    return { key, count: Math.floor(floatCount), rem: floatCount - Math.floor(floatCount) };
+  });
+  const diff = numBeads - counts.reduce((sum, e) => sum + e.count, 0);
+  if (diff > 0) {
+    const order = [...counts].sort((a, b) => b.rem - a.rem);
+    for (let i = 0; i < diff; i++) order[i % order.length].count++;
+  } else if (diff < 0) {
+    const order = [...counts].sort((a, b) => a.rem - b.rem);
+    for (let i = 0; i < -diff; i++) order[i % order.length].count = Math.max(0, order[i % order.length].count - 1);
+  }
+  return Object.fromEntries(counts.map(({ key, count }) => [key, count]));
+}
+
+/**
+ * Build the unordered bead list for the goal ratios
+ * (with palettes, each element's beads cycle through its shades).
+ * @returns {Array<{color:string, element:string|null}>}
+ */
+export function buildBracelet(numBeads, goal, colors, palettes) {
+  return beadsFromCounts(numBeads, allocateCounts(numBeads, goal), colors, palettes);
+}
+
+/**
+ * Unordered bead list for explicit per-element counts, padded to numBeads.
+ * @returns {Array<{color:string, element:string|null}>}
+ */
+export function beadsFromCounts(numBeads, counts, colors, palettes) {
+  const beads = [];
+  ELEMENTS.forEach(key => {
+    const color = (colors && colors[key]) || DEFAULT_ELEMENT_COLORS[key];
+    const shades = (palettes && palettes[key] && palettes[key].length) ? palettes[key] : [color];
+    for (let i = 0; i < (counts[key] || 0); i++) beads.push({ color: shades[i % shades.length], element: key });
+  });
+  // Pad if needed (goal summing to less than 100)
+  while (beads.length < numBeads) beads.push({ color: PAD_COLOR, element: null });
+  return beads;
+}
+
+/**
+ * Build and order a bracelet in one go.
+ * @param {{numBeads:number, goal:object, colors?:object, palettes?:object,
+ *          seed:number, strategy?:string}} opts
+ * @returns {Array<{color:string, element:string|null}>}
+ * @throws {Error} for an unknown strategy
+ */
+export function arrangeBracelet({ numBeads, goal, colors, palettes, seed, strategy = DEFAULT_STRATEGY }) {
+  const arrange = strategyFor(strategy);
+  if (!arrange) throw new Error(`Unknown strategy "${strategy}"`);
+  return arrange(buildBracelet(numBeads, goal, colors, palettes), mulberry32(seed));
+}
@@ -0,0 +1,82 @@
+// client/src/shared/gazetteer.mjs
+// Small offline gazetteer for birthplaces: the App offers these names and
+// /api/astro resolves them to coordinates and an IANA timezone.
+// lat/lon in degrees (east and north positive).
+
+export const CITIES = [
+  // Mainland China (one official zone, so longitude matters a lot)
+  { name: '北京', en: 'Beijing', country: 'CN', lat: 39.904, lon: 116.407, tz: 'Asia/Shanghai' },
+  { name: '上海', en: 'Shanghai', country: 'CN', lat: 31.230, lon: 121.474, tz: 'Asia/Shanghai' },
+  { name: '天津', en: 'Tianjin', country: 'CN', lat: 39.084, lon: 117.201, tz: 'Asia/Shanghai' },
+  { name: '重庆', en: 'Chongqing', country: 'CN', lat: 29.563, lon: 106.551, tz: 'Asia/Shanghai' },
+  { name: '广州', en: 'Guangzhou', country: 'CN', lat: 23.129, lon: 113.264, tz: 'Asia/Shanghai' },
+  { name: '深圳', en: 'Shenzhen', country: 'CN', lat: 22.543, lon: 114.058, tz: 'Asia/Shanghai' },
+  { name: '杭州', en: 'Hangzhou', country: 'CN', lat: 30.274, lon: 120.155, tz: 'Asia/Shanghai' },
+  { name: '南京', en: 'Nanjing', country: 'CN', lat: 32.060, lon: 118.797, tz: 'Asia/Shanghai' },
+  { name: '苏州', en: 'Suzhou', country: 'CN', lat: 31.299, lon: 120.585, tz: 'Asia/Shanghai' },
+  { name: '武汉', en: 'Wuhan', country: 'CN', lat: 30.593, lon: 114.305, tz: 'Asia/Shanghai' },
+  { name: '成都', en: 'Chengdu', country: 'CN', lat: 30.573, lon: 104.066, tz: 'Asia/Shanghai' },
+  { name: '西安', en: "Xi'an", country: 'CN', lat: 34.342, lon: 108.940, tz: 'Asia/Shanghai' },
+  { name: '郑州', en: 'Zhengzhou', country: 'CN', lat: 34.747, lon: 113.625, tz: 'Asia/Shanghai' },
+  { name: '长沙', en: 'Changsha', country: 'CN', lat: 28.228, lon: 112.939, tz: 'Asia/Shanghai' },
+  { name: '济南', en: 'Jinan', country: 'CN', lat: 36.651, lon: 117.120, tz: 'Asia/Shanghai' },
+  { name: '青岛', en: 'Qingdao', country: 'CN', lat: 36.067, lon: 120.383, tz: 'Asia/Shanghai' },
+  { name: '沈阳', en: 'Shenyang', country: 'CN', lat: 41.805, lon: 123.431, tz: 'Asia/Shanghai' },
+  { name: '大连', en: 'Dalian', country: 'CN', lat: 38.914, lon: 121.615, tz: 'Asia/Shanghai' },
+  { name: '哈尔滨', en: 'Harbin', country: 'CN', lat: 45.803, lon: 126.535, tz: 'Asia/Shanghai' },
+  { name: '长春', en: 'Changchun', country: 'CN', lat: 43.817, lon: 125.324, tz: 'Asia/Shanghai' },
+  { name: '石家庄', en: 'Shijiazhuang', country: 'CN', lat: 38.042, lon: 114.515, tz: 'Asia/Shanghai' },
+  { name: '太原', en: 'Taiyuan', country: 'CN', lat: 37.871, lon: 112.549, tz: 'Asia/Shanghai' },
+  { name: '呼和浩特', en: 'Hohhot', country: 'CN', lat: 40.842, lon: 111.749, tz: 'Asia/Shanghai' },
+  { name: '合肥', en: 'Hefei', country: 'CN', lat: 31.821, lon: 117.227, tz: 'Asia/Shanghai' },
+  { name: '福州', en: 'Fuzhou', country: 'CN', lat: 26.074, lon: 119.296, tz: 'Asia/Shanghai' },
+  { name: '厦门', en: 'Xiamen', country: 'CN', lat: 24.480, lon: 118.089, tz: 'Asia/Shanghai' },
+  { name: '南昌', en: 'Nanchang', country: 'CN', lat: 28.682, lon: 115.858, tz: 'Asia/Shanghai' },
+  { name: '南宁', en: 'Nanning', country: 'CN', lat: 22.817, lon: 108.366, tz: 'Asia/Shanghai' },
+  { name: '海口', en: 'Haikou', country: 'CN', lat: 20.044, lon: 110.199, tz: 'Asia/Shanghai' },
+  { name: '贵阳', en: 'Guiyang', country: 'CN', lat: 26.647, lon: 106.630, tz: 'Asia/Shanghai' },
+  { name: '昆明', en: 'Kunming', country: 'CN', lat: 25.038, lon: 102.718, tz: 'Asia/Shanghai' },
+  { name: '拉萨', en: 'Lhasa', country: 'CN', lat: 29.652, lon: 91.172, tz: 'Asia/Shanghai' },
+  { name: '兰州', en: 'Lanzhou', country: 'CN', lat: 36.061, lon: 103.834, tz: 'Asia/Shanghai' },
+  { name: '西宁', en: 'Xining', country: 'CN', lat: 36.617, lon: 101.778, tz: 'Asia/Shanghai' },
+  { name: '银川', en: 'Yinchuan', country: 'CN', lat: 38.487, lon: 106.231, tz: 'Asia/Shanghai' },
+  { name: '乌鲁木齐', en: 'Urumqi', country: 'CN', lat: 43.825, lon: 87.617, tz: 'Asia/Shanghai' },
+  // Hong Kong, Macau, Taiwan
+  { name: '香港', en: 'Hong Kong', country: 'HK', lat: 22.319, lon: 114.169, tz: 'Asia/Hong_Kong' },
+  { name: '澳门', en: 'Macau', country: 'MO', lat: 22.199, lon: 113.544, tz: 'Asia/Macau' },
+  { name: '台北', en: 'Taipei', country: 'TW', lat: 25.033, lon: 121.565, tz: 'Asia/Taipei' },
+  { name: '高雄', en: 'Kaohsiung', country: 'TW', lat: 22.627, lon: 120.301, tz: 'Asia/Taipei' },
+  // Abroad
+  { name: '新加坡', en: 'Singapore', country: 'SG', lat: 1.352, lon: 103.820, tz: 'Asia/Singapore' },
+  { name: '吉隆坡', en: 'Kuala Lumpur', country: 'MY', lat: 3.139, lon: 101.687, tz: 'Asia/Kuala_Lumpur' },
+  { name: '曼谷', en: 'Bangkok', country: 'TH', lat: 13.756, lon: 100.502, tz: 'Asia/Bangkok' },
+  { name: '东京', en: 'Tokyo', country: 'JP', lat: 35.676, lon: 139.650, tz: 'Asia/Tokyo' },
+  { name: '首尔', en: 'Seoul', country: 'KR', lat: 37.567, lon: 126.978, tz: 'Asia/Seoul' },
+  { name: '悉尼', en: 'Sydney', country: 'AU', lat: -33.869, lon: 151.209, tz: 'Australia/Sydney' },
+  { name: '墨尔本', en: 'Melbourne', country: 'AU', lat: -37.814, lon: 144.963, tz: 'Australia/Melbourne' },
+  { name: '奥克兰', en: 'Auckland', country: 'NZ', lat: -36.848, lon: 174.763, tz: 'Pacific/Auckland' },
+  { name: '伦敦', en: 'London', country: 'GB', lat: 51.507, lon: -0.128, tz: 'Europe/London' },
+  { name: '巴黎', en: 'Paris', country: 'FR', lat: 48.857, lon: 2.352, tz: 'Europe/Paris' },
+  { name: '柏林', en: 'Berlin', country: 'DE', lat: 52.520, lon: 13.405, tz: 'Europe/Berlin' },
+  { name: '莫斯科', en: 'Moscow', country: 'RU', lat: 55.756, lon: 37.617, tz: 'Europe/Moscow' },
+  { name: '迪拜', en: 'Dubai', country: 'AE', lat: 25.205, lon: 55.271, tz: 'Asia/Dubai' },
+  { name: '纽约', en: 'New York', country: 'US', lat: 40.713, lon: -74.006, tz: 'America/New_York' },
+  { name: '波士顿', en: 'Boston', country: 'US', lat: 42.360, lon: -71.059, tz: 'America/New_York' },
+  { name: '芝加哥', en: 'Chicago', country: 'US', lat: 41.878, lon: -87.630, tz: 'America/Chicago' },
+  { name: '洛杉矶', en: 'Los Angeles', country: 'US', lat: 34.052, lon: -118.244, tz: 'America/Los_Angeles' },
+  { name: '旧金山', en: 'San Francisco', country: 'US', lat: 37.775, lon: -122.419, tz: 'America/Los_Angeles' },
+  { name: '西雅图', en: 'Seattle', country: 'US', lat: 47.606, lon: -122.332, tz: 'America/Los_Angeles' },
+  { name: '温哥华', en: 'Vancouver', country: 'CA', lat: 49.283, lon: -123.121, tz: 'America/Vancouver' },
+  { name: '多伦多', en: 'Toronto', country: 'CA', lat: 43.653, lon: -79.383, tz: 'America/Toronto' }
+];
+
+/**
+ * Look a city up by Chinese or English name (case-insensitive; a trailing
+ * 市 is ignored).
+ * @returns {object|null} gazetteer entry
+ */
+export function findCity(query) {
+  const q = String(query || '').trim().replace(/市$/, '').toLowerCase();
+  if (!q) return null;
+  return CITIES.find(c => c.name === q || c.en.toLowerCase() === q) || null;
+}
@@ -0,0 +1,137 @@
+// client/src/shared/lunar.mjs
+// Offline Chinese lunar calendar (农历) for 1900–2100: lunar ⇄ Gregorian
+// dates, used by the App's lunar date input and by /api/astro.
+//
+// One entry per lunar year:
+//   bits 0–3    leap month (0 = none)
+//   bits 4–15   months 12…1 (0x10 = 腊月 … 0x8000 = 正月): 1 = 30 days, 0 = 29
+//   bit 16      the leap month has 30 days
+
+const LUNAR_INFO = [
+  0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0, 0x09ad0, 0x055d2, // 1900
+  0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x1d255, 0x0b540, 0x0d6a0, 0x0ada2, 0x095b0, 0x14977, // 1910
+  0x04970, 0x0a4b0, 0x0b4b5, 0x06a50, 0x06d40, 0x1ab54, 0x02b60, 0x09570, 0x052f2, 0x04970, // 1920
+  0x06566, 0x0d4a0, 0x0ea50, 0x16a95, 0x05ad0, 0x02b60, 0x186e3, 0x092e0, 0x1c8d7, 0x0c950, // 1930
+  0x0d4a0, 0x1d8a6, 0x0b550, 0x056a0, 0x1a5b4, 0x025d0, 0x092d0, 0x0d2b2, 0x0a950, 0x0b557, // 1940
+  0x06ca0, 0x0b550, 0x15355, 0x04da0, 0x0a5b0, 0x14573, 0x052b0, 0x0a9a8, 0x0e950, 0x06aa0, // 1950
+  0x0aea6, 0x0ab50, 0x04b60, 0x0aae4, 0x0a570, 0x05260, 0x0f263, 0x0d950, 0x05b57, 0x056a0, // 1960
+  0x096d0, 0x04dd5, 0x04ad0, 0x0a4d0, 0x0d4d4, 0x0d250, 0x0d558, 0x0b540, 0x0b6a0, 0x195a6, // 1970
+  0x095b0, 0x049b0, 0x0a974, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x0af46, 0x0ab60, 0x09570, // 1980
+  0x04af5, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06b58, 0x05ac0, 0x0ab60, 0x096d5, 0x092e0, // 1990
+  0x0c960, 0x0d954, 0x0d4a0, 0x0da50, 0x07552, 0x056a0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5, // 2000
+  0x0a950, 0x0b4a0, 0x0baa4, 0x0ad50, 0x055d9, 0x04ba0, 0x0a5b0, 0x15176, 0x052b0, 0x0a930, // 2010
+  0x07954, 0x06aa0, 0x0ad50, 0x05b52, 0x04b60, 0x0a6e6, 0x0a4e0, 0x0d260, 0x0ea65, 0x0d530, // 2020
+  0x05aa0, 0x076a3, 0x096d0, 0x04afb, 0x04ad0, 0x0a4d0, 0x1d0b6, 0x0d250, 0x0d520, 0x0dd45, // 2030
+  0x0b5a0, 0x056d0, 0x055b2, 0x049b0, 0x0a577, 0x0a4b0, 0x0aa50, 0x1b255, 0x06d20, 0x0ada0, // 2040
+  0x14b63, 0x09370, 0x049f8, 0x04970, 0x064b0, 0x168a6, 0x0ea50, 0x06b20, 0x1a6c4, 0x0aae0, // 2050
+  0x092e0, 0x0d2e3, 0x0c960, 0x0d557, 0x0d4a0, 0x0da50, 0x05d55, 0x056a0, 0x0a6d0, 0x055d4, // 2060
+  0x052d0, 0x0a9b8, 0x0a950, 0x0b4a0, 0x0b6a6, 0x0ad50, 0x055a0, 0x0aba4, 0x0a5b0, 0x052b0, // 2070
+  0x0b273, 0x06930, 0x07337, 0x06aa0, 0x0ad50, 0x14b55, 0x04b60, 0x0a570, 0x054e4, 0x0d160, // 2080
+  0x0e968, 0x0d520, 0x0daa0, 0x16aa6, 0x056d0, 0x04ae0, 0x0a9d4, 0x0a2d0, 0x0d150, 0x0f252, // 2090
+  0x0d520                                                                                    // 2100
+];
+
+export const MIN_LUNAR_YEAR = 1900;
+export const MAX_LUNAR_YEAR = 2100;
+// 1900 正月初一
+const EPOCH = Date.UTC(1900, 0, 31);
+const DAY = 86400000;
+
+export const LUNAR_MONTH_NAMES = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '冬', '腊'];
+const DAY_TENS = ['初', '十', '廿', '三'];
+const DAY_UNITS = ['一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+const info = year => LUNAR_INFO[year - MIN_LUNAR_YEAR];
+const pad = n => String(n).padStart(2, '0');
+
+/** Leap month of a lunar year (1–12), 0 when there is none. */
+export function leapMonthOf(year) {
+  return info(year) & 0xf;
+}
+
+/** Days in a lunar month (29 or 30); `leap` selects the leap month. */
+export function lunarMonthDays(year, month, leap = false) {
+  if (leap) return info(year) & 0x10000 ? 30 : 29;
+  return info(year) & (0x10000 >> month) ? 30 : 29;
+}
+
+// Months of a lunar year in order, leap month after its regular month
+function monthsOf(year) {
+  const months = [];
+  for (let m = 1; m <= 12; m++) {
+    months.push({ month: m, leap: false, days: lunarMonthDays(year, m) });
+    if (leapMonthOf(year) === m) months.push({ month: m, leap: true, days: lunarMonthDays(year, m, true) });
+  }
+  return months;
+}
+
+// Days from EPOCH to 正月初一 of each year (and one past the last)
+let yearStarts;
+function yearStart(year) {
+  if (!yearStarts) {
+    yearStarts = [0];
+    for (let y = MIN_LUNAR_YEAR; y <= MAX_LUNAR_YEAR; y++) {
+      yearStarts.push(yearStarts[yearStarts.length - 1] + monthsOf(y).reduce((sum, m) => sum + m.days, 0));
+    }
+  }
+  return yearStarts[year - MIN_LUNAR_YEAR];
+}
+
+/**
+ * Lunar date → Gregorian 'YYYY-MM-DD'.
+ * @param {{year:number, month:number, day:number, leap?:boolean}} lunar
+ * @throws {Error} when out of range, or the leap month / day does not exist
+ */
+export function lunarToSolar({ year, month, day, leap = false }) {
+  [year, month, day] = [year, month, day].map(Number);
+  if (!Number.isInteger(year) || year < MIN_LUNAR_YEAR || year > MAX_LUNAR_YEAR) {
+    throw new Error(`lunar year must be ${MIN_LUNAR_YEAR}–${MAX_LUNAR_YEAR}`);
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) throw new Error('lunar month must be 1–12');
+  if (leap && leapMonthOf(year) !== month) {
+    throw new Error(`${year} has no leap month ${month}` + (leapMonthOf(year) ? ` (leap month is ${leapMonthOf(year)})` : ''));
+  }
+  const days = lunarMonthDays(year, month, leap);
+  if (!Number.isInteger(day) || day < 1 || day > days) throw new Error(`lunar day must be 1–${days}`);
+
+  let offset = yearStart(year);
+  for (const m of monthsOf(year)) {
+    if (m.month === month && m.leap === Boolean(leap)) break;
+    offset += m.days;
+  }
+  const t = new Date(EPOCH + (offset + day - 1) * DAY);
+  return `${t.getUTCFullYear()}-${pad(t.getUTCMonth() + 1)}-${pad(t.getUTCDate())}`;
+}
+
+/**
+ * Gregorian 'YYYY-MM-DD' → lunar date.
+ * @returns {{year:number, month:number, day:number, leap:boolean}}
+ * @throws {Error} on a malformed or out-of-range date
+ */
+export function solarToLunar(dob) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dob || '');
+  if (!m) throw new Error('date must be YYYY-MM-DD');
+  let offset = Math.round((Date.UTC(+m[1], +m[2] - 1, +m[3]) - EPOCH) / DAY);
+  if (offset < 0 || offset >= yearStart(MAX_LUNAR_YEAR + 1)) throw new Error('date is outside the lunar table (1900-01-31 onwards, lunar years 1900–2100)');
+  let year = MIN_LUNAR_YEAR;
+  while (yearStart(year + 1) <= offset) year++;
+  offset -= yearStart(year);
+  for (const mo of monthsOf(year)) {
+    if (offset < mo.days) return { year, month: mo.month, day: offset + 1, leap: mo.leap };
+    offset -= mo.days;
+  }
+  throw new Error('lunar table is inconsistent');   // unreachable
+}
+
+/** 初一 … 三十 */
+export function lunarDayName(day) {
+  if (day === 10) return '初十';
+  if (day === 20) return '二十';
+  if (day === 30) return '三十';
+  return DAY_TENS[Math.floor(day / 10)] + DAY_UNITS[(day - 1) % 10];
+}
+
+/** '1990年闰五月初十' */
+export function formatLunar({ year, month, day, leap }) {
+  return `${year}年${leap ? '闰' : ''}${LUNAR_MONTH_NAMES[month - 1]}月${lunarDayName(day)}`;
+}
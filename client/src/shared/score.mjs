@@ -0,0 +1,100 @@
+// client/src/shared/score.mjs
+// Score an existing bracelet against the recommended 五行 balance.
+// Used by POST /api/arrange/score and by the App after hand edits.
+import { ELEMENTS, allocateCounts } from './arrange.mjs';
+
+const round2 = x => Math.round(x * 100) / 100;
+
+// Map a bead (hex string or { color, element }) to its element, or null
+function elementOf(bead, colorToElement) {
+  if (bead && typeof bead === 'object') {
+    if (bead.element) return bead.element;
+    bead = bead.color;
+  }
+  return colorToElement[String(bead || '').toLowerCase()] || null;
+}
+
+// Fraction of neighbouring pairs (circular) that share an element
+function clumping(elements) {
+  const n = elements.length;
+  if (n < 2) return 0;
+  let same = 0;
+  for (let i = 0; i < n; i++) {
+    if (elements[i] && elements[i] === elements[(i + 1) % n]) same++;
+  }
+  return same / n;
+}
+
+// Best mirror symmetry over every reflection axis of the circle.
+// Axis k maps bead i onto bead (k - i) mod n.
+function symmetry(elements) {
+  const n = elements.length;
+  if (n < 2) return { score: 1, axis: 0 };
+  let best = { score: -1, axis: 0 };
+  for (let k = 0; k < n; k++) {
+    let match = 0;
+    for (let i = 0; i < n; i++) {
+      if (elements[i] === elements[(((k - i) % n) + n) % n]) match++;
+    }
+    if (match / n > best.score) best = { score: match / n, axis: k };
+  }
+  return best;
+}
+
+/**
+ * Spacer beads ({ role: 'spacer' }) are ignored: they carry no element.
+ * @param {Array<string|{color:string, element?:string, role?:string}>} beads
+ * @param {{metal:number, wood:number, water:number, fire:number, earth:number}} goal
+ * @param {{[element:string]: string}} colors – element → hex
+ * @param {{[element:string]: string[]}} [palettes] – element → shades
+ */
+export function scoreBracelet(beads, goal, colors = {}, palettes = {}) {
+  beads = beads.filter(b => !(b && b.role === 'spacer'));
+  const n = beads.length;
+  const colorToElement = {};
+  Object.entries(palettes || {}).forEach(([key, shades]) => {
+    (shades || []).forEach(hex => { colorToElement[String(hex).toLowerCase()] = key; });
+  });
+  Object.entries(colors || {}).forEach(([key, hex]) => {
+    colorToElement[String(hex).toLowerCase()] = key;
+  });
+  const elements = beads.map(b => elementOf(b, colorToElement));
+
+  const counts = Object.fromEntries(ELEMENTS.map(key => [key, 0]));
+  let unmatched = 0;
+  elements.forEach(el => {
+    if (el in counts) counts[el]++;
+    else unmatched++;
+  });
+
+  const expected = allocateCounts(n, goal);
+  const achieved = {};
+  const absolute = {};
+  const relative = {};
+  ELEMENTS.forEach(key => {
+    const pct = n ? counts[key] * 100 / n : 0;
+    const target = goal[key] || 0;
+    achieved[key] = round2(pct);
+    absolute[key] = round2(pct - target);
+    relative[key] = target ? round2((pct - target) / target) : null;
+  });
+  const absValues = ELEMENTS.map(key => Math.abs(absolute[key]));
+
+  const sym = symmetry(elements);
+  const clump = clumping(elements);
+  return {
+    numBeads: n,
+    counts,
+    expectedCounts: expected,
+    unmatched,
+    achieved,
+    error: {
+      absolute,
+      relative,
+      meanAbsolute: round2(absValues.reduce((sum, v) => sum + v, 0) / ELEMENTS.length),
+      maxAbsolute: round2(Math.max(...absValues))
+    },
+    adjacency: { clumping: round2(clump), score: round2(1 - clump) },
+    symmetry: { score: round2(sym.score), axis: sym.axis }
+  };
+}
@@ -0,0 +1,78 @@
+// client/src/shared/sizing.mjs
+// Bracelet sizing shared by the browser (App.js) and the server (/api/arrange).
+// Kept as a plain ES module so CRA can bundle it and Node can `import()` it.
+
+// Common round-bead diameters offered in the UI (mm)
+export const BEAD_SIZES = [6, 8, 10, 12];
+
+// Extra length added on top of the wrist circumference (mm)
+export const FIT_EASE = {
+  snug: 10,
+  comfortable: 15,
+  loose: 20
+};
+
+export const DEFAULT_FIT = 'comfortable';
+
+// Accepted inputs: anything outside is a typo, and the bead list grows with them
+export const WRIST_CM_RANGE = [5, 40];
+export const BEAD_MM_RANGE = [2, 30];
+export const MAX_ACCENTS = 50;
+// Most beads computeSizing can give (largest wrist, loosest fit, thinnest beads);
+// a bead count sent as is must stay within it too
+export const MAX_BEADS = Math.round((WRIST_CM_RANGE[1] * 10 + Math.max(...Object.values(FIT_EASE))) / BEAD_MM_RANGE[0]);
+
+const inRange = (value, [min, max]) => value >= min && value <= max;
+
+/**
+ * Work out how many beads a bracelet needs and the diameter of each one.
+ * The string runs through the bead centres, so the beads' diameters must
+ * add up to wrist circumference + fit ease. Accent beads (e.g. a 14 mm 主珠)
+ * take their own length first; the rest is filled with base beads.
+ *
+ * @param {{wristCm:number, beadMm:number, fit?:string,
+ *          accents?:Array<{sizeMm:number, count?:number}>}} sizing
+ * @returns {{numBeads:number, sizes:number[], lengthMm:number, targetMm:number}}
+ */
+export function computeSizing({ wristCm, beadMm, fit = DEFAULT_FIT, accents = [] }) {
+  const wrist = Number(wristCm);
+  const base = Number(beadMm);
+  if (!inRange(wrist, WRIST_CM_RANGE)) throw new Error(`wristCm must be a number from ${WRIST_CM_RANGE.join(' to ')}`);
+  if (!inRange(base, BEAD_MM_RANGE)) throw new Error(`beadMm must be a number from ${BEAD_MM_RANGE.join(' to ')}`);
+  if (!(fit in FIT_EASE)) throw new Error(`fit must be one of ${Object.keys(FIT_EASE).join(', ')}`);
+
+  const targetMm = wrist * 10 + FIT_EASE[fit];
+
+  const accentSizes = [];
+  (accents || []).forEach(({ sizeMm, count = 1 }) => {
+    const size = Number(sizeMm);
+    if (!inRange(size, BEAD_MM_RANGE)) throw new Error(`accent sizeMm must be a number from ${BEAD_MM_RANGE.join(' to ')}`);
+    if (!Number.isInteger(count) || count < 1 || accentSizes.length + count > MAX_ACCENTS) {
+      throw new Error(`accent count must be a positive integer, ${MAX_ACCENTS} accents in all at most`);
+    }
+    for (let i = 0; i < count; i++) accentSizes.push(size);
+  });
+  const accentMm = accentSizes.reduce((sum, d) => sum + d, 0);
+  const baseCount = Math.max(0, Math.round((targetMm - accentMm) / base));
+  const numBeads = baseCount + accentSizes.length;
+  if (numBeads < 1) throw new Error('bracelet would have no beads');
+
+  return {
+    numBeads,
+    sizes: placeSizes(numBeads, base, accentSizes),
+    lengthMm: accentMm + baseCount * base,
+    targetMm
+  };
+}
+
+/**
+ * Spread accent beads evenly around the circle, first one at index 0
+ * (the focal position used by the "symmetric" strategy).
+ */
+export function placeSizes(numBeads, baseMm, accentSizes = []) {
+  const sizes = Array(numBeads).fill(baseMm);
+  accentSizes.forEach((size, i) => {
+    sizes[Math.floor((i * numBeads) / accentSizes.length)] = size;
+  });
+  return sizes;
+}
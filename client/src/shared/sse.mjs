@@ -0,0 +1,57 @@
+// client/src/shared/sse.mjs
+// Minimal Server-Sent Events client for POST endpoints (EventSource only
+// supports GET). Used by the App for streaming /api/astro.
+
+/**
+ * Split an SSE buffer into complete events.
+ * @returns {{events:Array<{event:string, data:string}>, rest:string}} rest – unfinished tail
+ */
+export function parseSSE(buffer) {
+  const events = [];
+  const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  blocks.forEach(block => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+    if (data.length) events.push({ event, data: data.join('\n') });
+  });
+  return { events, rest };
+}
+
+/**
+ * POST a JSON body and call onEvent(event, data) for every SSE event
+ * (data is JSON-parsed when possible). Resolves when the stream ends.
+ * @throws {Error} when the response is not OK; err.status is the HTTP status, err.data a JSON error body
+ */
+export async function postSSE(url, body, onEvent) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok || !res.body) {
+    const err = new Error(`HTTP ${res.status}`);
+    err.status = res.status;
+    err.data = await res.json().catch(() => null);
+    throw err;
+  }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const { events, rest } = parseSSE(done ? buffer + '\n\n' : buffer);
+    buffer = rest;
+    events.forEach(({ event, data }) => {
+      let parsed = data;
+      try { parsed = JSON.parse(data); } catch { /* plain text */ }
+      onEvent(event, parsed);
+    });
+    if (done) return;
+  }
+}
@@ -0,0 +1,135 @@
+// client/src/shared/strategies.mjs
+// Bead ordering strategies, shared by the App and /api/arrange.
+// Every strategy takes the unordered bead list (each bead tagged with its
+// `element`) plus a rng, and returns a NEW ordered list. Given the same rng
+// seed the output is always identical.
+
+// 相生 (generating) cycle: 金 → 水 → 木 → 火 → 土 → 金 …
+export const GENERATING_CYCLE = ['metal', 'water', 'wood', 'fire', 'earth'];
+
+// Shuffle array in-place using provided random function
+export function shuffle(array, rng) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Group beads by element, keeping first-seen element order
+function groupByElement(beads) {
+  const groups = new Map();
+  beads.forEach(b => {
+    if (!groups.has(b.element)) groups.set(b.element, []);
+    groups.get(b.element).push(b);
+  });
+  return groups;
+}
+
+// Rotate a circular list so that it starts at `offset`
+function rotate(list, offset) {
+  if (!list.length) return list;
+  const k = ((offset % list.length) + list.length) % list.length;
+  return list.slice(k).concat(list.slice(0, k));
+}
+
+/* ─── random: uniform Fisher–Yates (original behaviour) ─────────────── */
+function random(beads, rng) {
+  return shuffle([...beads], rng);
+}
+
+/* ─── spread: maximise distance between same-element beads ────────────
+   Each element with c beads gets ideal slots at (k + phase) / c around
+   the circle; merging all slots by position interleaves elements as
+   evenly as their counts allow. */
+function spread(beads, rng) {
+  const slots = [];
+  const groups = [...groupByElement(beads).values()];
+  shuffle(groups, rng);
+  groups.forEach(group => {
+    const phase = rng();
+    group.forEach((bead, k) => slots.push({ pos: (k + phase) / group.length, bead }));
+  });
+  slots.sort((a, b) => a.pos - b.pos);
+  return slots.map(s => s.bead);
+}
+
+/* ─── generating-cycle: walk 金→水→木→火→土 round-robin ───────────────
+   One bead per element per lap, skipping exhausted elements. The seed
+   only decides where on the circle the first lap starts. */
+function generatingCycle(beads, rng) {
+  const groups = groupByElement(beads);
+  const order = [
+    ...GENERATING_CYCLE.filter(k => groups.has(k)),
+    ...[...groups.keys()].filter(k => !GENERATING_CYCLE.includes(k))
+  ];
+  const queues = order.map(k => shuffle([...groups.get(k)], rng));
+  const out = [];
+  while (out.length < beads.length) {
+    queues.forEach(q => { if (q.length) out.push(q.shift()); });
+  }
+  return rotate(out, Math.floor(rng() * out.length));
+}
+
+/* ─── symmetric: mirror-symmetric around a focal bead at index 0 ───────
+   Positions i and n-i mirror each other. Index 0 (and n/2 when n is even)
+   mirror onto themselves, so they take the odd leftovers; any further
+   odd leftovers are paired up as far from the focal bead as possible. */
+function symmetric(beads, rng) {
+  const n = beads.length;
+  if (n < 3) return [...beads];
+
+  const pairs = [];
+  let singles = [];
+  for (const group of groupByElement(beads).values()) {
+    const g = shuffle([...group], rng);
+    while (g.length >= 2) pairs.push([g.pop(), g.pop()]);
+    if (g.length) singles.push(g.pop());
+  }
+  const selfSlots = n % 2 ? 1 : 2;
+  // n even with no odd leftovers: split one pair across index 0 and n/2
+  if (singles.length < selfSlots) {
+    const idx = Math.floor(rng() * pairs.length);
+    singles = singles.concat(pairs.splice(idx, 1)[0]);
+  }
+  // Focal bead: the single from the most plentiful element
+  const total = el => beads.filter(b => b.element === el).length;
+  shuffle(singles, rng);
+  singles.sort((a, b) => total(b.element) - total(a.element));
+
+  const out = new Array(n);
+  out[0] = singles.shift();
+  if (selfSlots === 2) out[n / 2] = singles.shift();
+  // Leftover singles form (unavoidably) mismatched pairs
+  const broken = [];
+  while (singles.length) broken.push([singles.shift(), singles.shift()]);
+
+  const half = shuffle(pairs, rng).concat(broken);
+  half.forEach(([a, b], i) => {
+    out[i + 1] = a;
+    out[n - 1 - i] = b;
+  });
+  return out;
+}
+
+/* ─── clustered: one contiguous block per element ──────────────────── */
+function clustered(beads, rng) {
+  const groups = shuffle([...groupByElement(beads).values()], rng);
+  const out = [].concat(...groups);
+  return rotate(out, Math.floor(rng() * out.length));
+}
+
+export const strategies = {
+  random,
+  spread,
+  'generating-cycle': generatingCycle,
+  symmetric,
+  clustered
+};
+
+export const strategyNames = Object.keys(strategies);
+
+// The strategy called `name`, or null: own names only, so "toString" is no strategy
+export function strategyFor(name) {
+  return strategyNames.includes(name) ? strategies[name] : null;
+}
@@ -0,0 +1,72 @@
+// test/arrange.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.RATE_LIMIT_DISABLED = 'true';
+const arrange = require('../api/arrange');
+
+const RATIOS = {
+  goal: { metal: 20, wood: 20, water: 20, fire: 20, earth: 20 },
+  colors: { metal: '#ffffff', wood: '#00ff00', water: '#0000ff', fire: '#ff0000', earth: '#aa8800' }
+};
+
+function post(body) {
+  return new Promise(resolve => {
+    const res = {
+      setHeader() {},
+      status(code) { this.code = code; return this; },
+      json(json) { resolve({ status: this.code, body: json }); }
+    };
+    arrange({ method: 'POST', headers: {}, socket: {}, body }, res);
+  });
+}
+
+test('shades is a whole number from 1 to 8', async () => {
+  const { status, body } = await post({ numBeads: 10, ratios: RATIOS, shades: '8' });
+  assert.strictEqual(status, 200);
+  assert.ok(body.palettes.metal.length > 1);
+  for (const shades of [1e9, 9, 0, 2.5, 'many']) {
+    const res = await post({ numBeads: 10, ratios: RATIOS, shades });
+    assert.strictEqual(res.status, 400, `shades ${shades}`);
+    assert.strictEqual(res.body.code, 'INVALID_REQUEST');
+  }
+  const pair = await post({ pair: { self: RATIOS, partner: RATIOS }, numBeads: 10, shades: 1e9 });
+  assert.strictEqual(pair.status, 400);
+});
+
+test('only the listed strategies are strategies', async () => {
+  for (const strategy of ['toString', 'constructor', '__proto__']) {
+    for (const body of [{ numBeads: 10, ratios: RATIOS, strategy }, { pair: { self: RATIOS, partner: RATIOS }, numBeads: 10, strategy }]) {
+      const res = await post(body);
+      assert.strictEqual(res.status, 400, strategy);
+      assert.ok(res.body.strategies.includes('spread'));
+    }
+  }
+});
+
+test('numBeads is a whole number no larger than sizing can give', async () => {
+  const { MAX_BEADS } = await import('../client/src/shared/sizing.mjs');
+  assert.strictEqual((await post({ numBeads: MAX_BEADS, ratios: RATIOS })).body.beads.length, MAX_BEADS);
+  assert.strictEqual((await post({ numBeads: '12', ratios: RATIOS })).body.beads.length, 12);
+  for (const numBeads of [1e9, MAX_BEADS + 1, 2.5, -3, 'lots']) {
+    const res = await post({ numBeads, ratios: RATIOS });
+    assert.strictEqual(res.status, 400, `numBeads ${numBeads}`);
+    assert.strictEqual(res.body.code, 'INVALID_REQUEST');
+  }
+  const pair = await post({ pair: { self: RATIOS, partner: RATIOS }, numBeads: [18, 1e9] });
+  assert.strictEqual(pair.status, 400);
+  assert.strictEqual(pair.body.profile, 'partner');
+});
+
+test('score takes no more beads than an arrangement can have', async () => {
+  const score = require('../api/arrange/score');
+  const { MAX_BEADS } = await import('../client/src/shared/sizing.mjs');
+  const send = beads => new Promise(resolve => {
+    const res = { setHeader() {}, status(code) { this.code = code; return this; }, json(body) { resolve({ status: this.code, body }); } };
+    score({ method: 'POST', headers: {}, socket: {}, body: { beads, ratios: RATIOS } }, res);
+  });
+  assert.strictEqual((await send(Array(MAX_BEADS).fill('#ffffff'))).status, 200);
+  const res = await send(Array(MAX_BEADS + 1).fill('#ffffff'));
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'INVALID_REQUEST');
+});
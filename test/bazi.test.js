@@ -0,0 +1,48 @@
+// test/bazi.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { computeBazi, formatBazi } = require('../utils/bazi');
+
+test('2000-01-01 is a 戊午 day, still in the 己卯 year before 立春', () => {
+  const bazi = computeBazi({ dob: '2000-01-01', birthTime: '12:00', gender: 'male' });
+  assert.strictEqual(bazi.eightCharacters, '己卯 丙子 戊午 戊午');
+  assert.strictEqual(bazi.dayMaster.stem, '戊');
+  assert.strictEqual(bazi.solarTerm.current, '大雪');
+  assert.match(formatBazi(bazi), /日柱：戊午/);
+});
+
+test('the year and month pillars switch at 立春', () => {
+  // 立春 2024 falls at about 16:27 Beijing time on 4 February
+  const before = computeBazi({ dob: '2024-02-04', birthTime: '16:00' });
+  const after = computeBazi({ dob: '2024-02-04', birthTime: '17:00' });
+  assert.strictEqual(before.pillars.year.name, '癸卯');
+  assert.strictEqual(before.pillars.month.name, '乙丑');
+  assert.strictEqual(after.pillars.year.name, '甲辰');
+  assert.strictEqual(after.solarTerm.current, '立春');
+  assert.ok(before.solarTerm.nearBoundary && after.solarTerm.nearBoundary);
+});
+
+test('五虎遁 gives the month stem and 五鼠遁 the hour stem', () => {
+  // 甲己之年丙作首: 寅月 of a 甲 year is 丙寅
+  assert.strictEqual(computeBazi({ dob: '2024-02-04', birthTime: '17:00' }).pillars.month.name, '丙寅');
+  // 戊癸何方发，壬子是真途: the 子 hour of a 戊 day is 壬子
+  assert.strictEqual(computeBazi({ dob: '2000-01-01', birthTime: '00:30' }).pillars.hour.name, '壬子');
+  // 甲己还加甲: six days after 戊午 comes a 甲子 day, whose 子 hour is 甲子
+  const jiaDay = computeBazi({ dob: '2000-01-07', birthTime: '00:30' });
+  assert.strictEqual(jiaDay.pillars.day.name, '甲子');
+  assert.strictEqual(jiaDay.pillars.hour.name, '甲子');
+});
+
+test('late 子 hour rolls the day over unless lateZiNextDay is off', () => {
+  const next = computeBazi({ dob: '1999-12-31', birthTime: '23:30' });
+  const same = computeBazi({ dob: '1999-12-31', birthTime: '23:30', lateZiNextDay: false });
+  assert.strictEqual(next.pillars.day.name, '戊午');
+  assert.strictEqual(same.pillars.day.name, '丁巳');
+});
+
+test('malformed input throws', () => {
+  assert.throws(() => computeBazi({ dob: '2000-02-30', birthTime: '12:00' }), /valid date/);
+  assert.throws(() => computeBazi({ dob: '2000-01-01', birthTime: '25:00' }), /birthTime/);
+  assert.throws(() => computeBazi({ dob: '2000-01-01', birthTime: '12:00', utcOffset: 'east' }), /utcOffset/);
+});
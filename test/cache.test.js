@@ -0,0 +1,15 @@
+// test/cache.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../utils/cache');
+
+test('the memory store drops the least recently used entry when full', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, 60_000);
+  await store.set('b', 2, 60_000);
+  assert.strictEqual(await store.get('a'), 1);
+  await store.set('c', 3, 60_000);
+  assert.strictEqual(await store.get('b'), null);
+  assert.strictEqual(await store.get('a'), 1);
+  assert.strictEqual(await store.get('c'), 3);
+});
@@ -0,0 +1,34 @@
+// test/fillVars.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fillVars = require('../utils/fillVars');
+
+const render = template => fillVars(template, { name: 'Ann' });
+
+test('a block tag sharing its line keeps the spaces around it', async () => {
+  assert.strictEqual(await render("{{#each ['a','b'] as item, i}}{{i}}:{{item}} {{/each}}"), '0:a 1:b ');
+  assert.strictEqual(await render('{{#if true}} {{ name }} {{/if}}!'), ' Ann !');
+});
+
+test('a block tag alone on its line takes the line with it', async () => {
+  const template = '{{#each [1, 2] as x}}\n{{#if x > 1}}\nbig {x}\n{{else}}\nsmall {x}\n{{/if}}\n{{/each}}\nend';
+  assert.strictEqual(await render(template), 'small 1\nbig 2\nend');
+});
+
+test('tags that are no block of ours stay literal', async () => {
+  const template = '{{#with person}}{{ name }}{{/with}} {{else}} {{/if}} {{#each people}}x{{/each}}';
+  assert.strictEqual(await render(template), '{{#with person}}Ann{{/with}} {{else}} {{/if}} {{#each people}}x{{/each}}');
+  assert.strictEqual(fillVars.checkTemplate(template), null);
+});
+
+test('a mismatched block is an error with its position', () => {
+  assert.deepStrictEqual(fillVars.checkTemplate('{{#if a}}\n{{#each xs as x}}\n{{/if}}\n{{/each}}'), {
+    message: 'template line 3, column 1: {{/if}} closes the {{#each}} at line 2, column 1', line: 3, column: 1
+  });
+});
+
+test('the {bazi} variable is not shadowed by the 四柱 helper', async () => {
+  const vars = { bazi: '四柱', dob: '1990-07-02', birthTime: '08:05', utcOffset: 9 };
+  const template = "{{ bazi ? bazi : 'none' }} {{ computeBazi(dob, birthTime, '', utcOffset).input.utcOffset }} {{ computeBazi(dob, birthTime).input.utcOffset }}";
+  assert.strictEqual(await fillVars(template, vars), '四柱 9 8');
+});
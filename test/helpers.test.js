@@ -0,0 +1,40 @@
+// test/helpers.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+
+process.env.RATE_LIMIT_DISABLED = 'true';
+const { readHelperRequest } = require('../utils/helpers');
+const prompt = require('../api/prompt');
+const astro = require('../api/astro');
+
+// A multipart request whose body stops in the middle of a part
+function truncatedUpload(contentType = 'multipart/form-data; boundary=xyz') {
+  const req = new PassThrough();
+  req.method = 'POST';
+  req.headers = { 'content-type': contentType };
+  req.socket = {};
+  req.query = { name: 'render' };
+  req.end('--xyz\r\nContent-Disposition: form-data; name="dob"\r\n\r\n1990-07-02');
+  return req;
+}
+
+const respond = handler => req => new Promise(resolve => {
+  const res = {
+    setHeader() {},
+    status(code) { this.code = code; return this; },
+    json(body) { resolve({ status: this.code, body }); }
+  };
+  handler(req, res);
+});
+
+test('a truncated or malformed multipart body is a 400', async () => {
+  await assert.rejects(readHelperRequest(truncatedUpload()));
+  for (const handler of [prompt, astro]) {
+    for (const req of [truncatedUpload(), truncatedUpload('multipart/form-data')]) {
+      const { status, body } = await respond(handler)(req);
+      assert.strictEqual(status, 400);
+      assert.strictEqual(body.code, 'INVALID_REQUEST');
+    }
+  }
+});
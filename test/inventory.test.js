@@ -0,0 +1,25 @@
+// test/inventory.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeInventory } = require('../utils/inventory');
+
+process.env.RATE_LIMIT_DISABLED = 'true';
+const arrange = require('../api/arrange');
+
+test('inventory entries must be objects', () => {
+  for (const item of [null, 7, 'BLU-8', []]) {
+    assert.throws(() => normalizeInventory([item]), { message: 'inventory[0] must be an object' });
+  }
+});
+
+test('pad beads are kept, so the bracelet still has numBeads beads', async () => {
+  // a share that is not a number gets no beads; pads make up the count
+  const goal = { metal: 50, wood: 'n/a' };
+  const body = await new Promise(resolve => {
+    const res = { setHeader() {}, status() { return this; }, json: resolve };
+    arrange({ method: 'POST', headers: {}, socket: {}, body: { numBeads: 10, ratios: { goal }, inventory: 'catalog' } }, res);
+  });
+  assert.strictEqual(body.beads.length, 10);
+  assert.strictEqual(body.skus.length, 10);
+  assert.strictEqual(body.inventory.padded, 5);
+});
@@ -0,0 +1,47 @@
+// test/llm.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { complete, resolveProviders, DEFAULTS } = require('../utils/llm');
+
+// An OpenAI-compatible server that never answers
+function silentServer() {
+  const server = http.createServer(() => {});
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('retries stop at the request deadline', async () => {
+  const server = await silentServer();
+  const cfg = {
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`, model: 'm', api: 'chat', apiKey: 'k',
+    timeoutMs: 200, retries: 3, backoffMs: 10
+  };
+  try {
+    const started = Date.now();
+    await assert.rejects(complete(cfg, { system: 's', user: 'u' }, undefined, { until: started + 300 }), err => {
+      assert.strictEqual(err.code, 'UPSTREAM_TIMEOUT');
+      assert.strictEqual(err.attempts, 1);
+      return true;
+    });
+    await assert.rejects(complete(cfg, { system: 's', user: 'u' }, undefined, { until: Date.now() + 100 }), /before the request deadline/);
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('request providers are opt-in and never run on a server key', () => {
+  const env = { LLM_API_KEY: 'server-key' };
+  const body = { provider: { baseURL: 'http://169.254.169.254/v1', model: 'pricey-model' } };
+  const { analysis } = resolveProviders(body, env, ['analysis']);
+  assert.strictEqual(analysis.baseURL, DEFAULTS.analysis.baseURL);
+  assert.strictEqual(analysis.model, DEFAULTS.analysis.model);
+  assert.strictEqual(analysis.apiKey, 'server-key');
+
+  const allowed = { ...env, LLM_ALLOW_REQUEST_PROVIDERS: 'true' };
+  assert.notStrictEqual(resolveProviders(body, allowed, ['analysis']).analysis.apiKey, 'server-key');
+  assert.throws(() => resolveProviders({ provider: { model: 'pricey-model' } }, allowed, ['analysis']), { code: 'MISSING_KEY' });
+  const own = resolveProviders({ provider: { model: 'pricey-model', apiKey: 'own-key' } }, allowed, ['analysis']);
+  assert.strictEqual(own.analysis.apiKey, 'own-key');
+});
@@ -0,0 +1,39 @@
+// test/lunar.test.mjs
+import test from 'node:test';
+import assert from 'node:assert';
+import { leapMonthOf, lunarMonthDays, lunarToSolar, solarToLunar, formatLunar } from '../client/src/shared/lunar.mjs';
+
+test('正月初一 lands on the Spring Festival', () => {
+  assert.strictEqual(lunarToSolar({ year: 2020, month: 1, day: 1 }), '2020-01-25');
+  assert.strictEqual(lunarToSolar({ year: 2023, month: 1, day: 1 }), '2023-01-22');
+  assert.strictEqual(lunarToSolar({ year: 2024, month: 1, day: 1 }), '2024-02-10');
+});
+
+test('leap months: 2020 闰四月 and 2023 闰二月', () => {
+  assert.strictEqual(leapMonthOf(2020), 4);
+  assert.strictEqual(lunarToSolar({ year: 2020, month: 4, day: 1 }), '2020-04-23');
+  assert.strictEqual(lunarToSolar({ year: 2020, month: 4, day: 1, leap: true }), '2020-05-23');
+  assert.deepStrictEqual(solarToLunar('2020-05-23'), { year: 2020, month: 4, day: 1, leap: true });
+
+  assert.strictEqual(leapMonthOf(2023), 2);
+  assert.strictEqual(lunarMonthDays(2023, 2, true), 29);
+  assert.strictEqual(lunarToSolar({ year: 2023, month: 2, day: 1, leap: true }), '2023-03-22');
+  assert.deepStrictEqual(solarToLunar('2023-04-19'), { year: 2023, month: 2, day: 29, leap: true });
+  assert.deepStrictEqual(solarToLunar('2023-04-20'), { year: 2023, month: 3, day: 1, leap: false });
+  assert.strictEqual(formatLunar(solarToLunar('2023-03-22')), '2023年闰二月初一');
+});
+
+test('converting there and back is the identity', () => {
+  for (const dob of ['1900-01-31', '1990-07-02', '2000-02-05', '2020-06-21', '2100-12-31']) {
+    assert.strictEqual(lunarToSolar(solarToLunar(dob)), dob);
+  }
+  assert.strictEqual(formatLunar(solarToLunar('1990-07-02')), '1990年闰五月初十');
+});
+
+test('dates that do not exist throw', () => {
+  assert.throws(() => lunarToSolar({ year: 2024, month: 4, day: 1, leap: true }), /no leap month/);
+  assert.throws(() => lunarToSolar({ year: 2023, month: 2, day: 30, leap: true }), /lunar day must be 1–29/);
+  assert.throws(() => lunarToSolar({ year: 1899, month: 1, day: 1 }), /lunar year/);
+  assert.throws(() => solarToLunar('1900-01-30'), /outside the lunar table/);
+  assert.throws(() => solarToLunar('2023/01/22'), /YYYY-MM-DD/);
+});
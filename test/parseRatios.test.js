@@ -0,0 +1,59 @@
+// test/parseRatios.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseRatios } = require('../utils/parseRatios');
+
+const BASIC_TABLE = [
+  '| 五行 | 原局比例 | 调节目标 | 推荐颜色 |',
+  '|------|----------|----------|----------|',
+  '| **金** | 30% | 20% | #FFFFFF |',
+  '| 木 | 10% | 25% | #2e8b57 |',
+  '| 水 | 20% | 20% | #0000ff |',
+  '| 火 | 10% | 15% | #f00 |',
+  '| 土（Earth） | 30% | 20% | #aa8800 |'
+].join('\n');
+
+test('reads the basic prompt table', () => {
+  const { ratios, sources, missing } = parseRatios(`## 五行分析\n\n${BASIC_TABLE}\n\n结语`);
+  assert.deepStrictEqual(missing, []);
+  assert.deepStrictEqual(ratios.current, { metal: 30, wood: 10, water: 20, fire: 10, earth: 30 });
+  assert.deepStrictEqual(ratios.goal, { metal: 20, wood: 25, water: 20, fire: 15, earth: 20 });
+  assert.strictEqual(ratios.colors.metal, '#FFFFFF');
+  assert.strictEqual(ratios.colors.fire, '#f00');
+  assert.strictEqual(ratios.palettes, undefined);
+  assert.deepStrictEqual(sources, { current: 'table', goal: 'table', colors: 'table' });
+});
+
+test('reads the advanced prompt bars and 色彩处方, ignoring 禁忌色', () => {
+  const text = [
+    '### 能量图谱',
+    '金 ████████ 35% → 25%',
+    '木 ██ 10% → 20%',
+    '**水**：███ 15% → 20%',
+    '火 ████ 20% → 15%',
+    '土 ████ 20% → 20%',
+    '',
+    '### 色彩处方',
+    '| | 基础色 | 强化色 | 禁忌色 |',
+    '|--|--|--|--|',
+    '| 金 | #ffffff | #c0c0c0 | #ff0000 |',
+    '| 木 | #00ff00 | #006400 | #ffffff |',
+    '| 水 | #0000ff | #000080 | #aa8800 |',
+    '| 火 | #ff0000 | #ff4500 | #0000ff |',
+    '| 土 | #aa8800 | #8b4513 | #00ff00 |'
+  ].join('\n');
+  const { ratios, sources } = parseRatios(text);
+  assert.deepStrictEqual(ratios.current, { metal: 35, wood: 10, water: 15, fire: 20, earth: 20 });
+  assert.deepStrictEqual(ratios.goal, { metal: 25, wood: 20, water: 20, fire: 15, earth: 20 });
+  assert.strictEqual(ratios.colors.metal, '#ffffff');
+  assert.deepStrictEqual(ratios.palettes.metal, ['#ffffff', '#c0c0c0']);
+  assert.deepStrictEqual(sources, { current: 'bars', goal: 'bars', colors: 'table', palettes: 'table' });
+});
+
+test('reports what it could not find', () => {
+  const partial = parseRatios(BASIC_TABLE.split('\n').slice(0, 6).join('\n'));
+  assert.strictEqual(partial.ratios, null);
+  assert.deepStrictEqual(partial.missing, ['current', 'goal', 'colors']);
+  assert.deepStrictEqual(parseRatios(undefined).missing, ['current', 'goal', 'colors']);
+});
@@ -0,0 +1,23 @@
+// test/pattern.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePattern } = require('../utils/pattern');
+
+test('a motif has at most one letter per element', () => {
+  assert.doesNotThrow(() => parsePattern({ motif: 'A-B-C-D-E' }, 20));
+  assert.throws(() => parsePattern({ motif: 'A-B-C-D-E-F' }, 20), /at most 5/);
+});
+
+test('fixed and spacer colors must be hex', () => {
+  assert.doesNotThrow(() => parsePattern({ fixed: [{ index: 0, element: 'water', color: '#123' }], spacers: { color: '#C0C0C0' } }, 10));
+  assert.throws(() => parsePattern({ fixed: [{ index: 0, element: 'water', color: 'red' }] }, 10), /fixed\[0\]\.color/);
+  assert.throws(() => parsePattern({ spacers: { color: '"><script>' } }, 10), /spacers\.color/);
+});
+
+test('fixed and spacer sizes are bead diameters', () => {
+  assert.doesNotThrow(() => parsePattern({ fixed: [{ index: 0, element: 'water', sizeMm: 14 }], spacers: { sizeMm: 4 } }, 10));
+  for (const sizeMm of [0, -8, 1e6, '14', NaN]) {
+    assert.throws(() => parsePattern({ fixed: [{ index: 0, element: 'water', sizeMm }] }, 10), /fixed\[0\]\.sizeMm/);
+    assert.throws(() => parsePattern({ spacers: { sizeMm } }, 10), /spacers\.sizeMm/);
+  }
+});
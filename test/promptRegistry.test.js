@@ -0,0 +1,56 @@
+// test/promptRegistry.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-test-'));
+const dir = path.join(root, 'prompts');
+Object.assign(process.env, { PROMPTS_DIR: dir, PROMPT_ADMIN_TOKEN: 'admin', RATE_LIMIT_DISABLED: 'true' });
+const prompt = require('../api/prompt');
+const { createRegistry } = require('../utils/promptRegistry');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function call(method, name, body) {
+  return new Promise(resolve => {
+    const headers = {};
+    const res = {
+      setHeader(k, v) { headers[k] = v; },
+      status(code) { this.code = code; return this; },
+      json(json) { resolve({ status: this.code, headers, body: json }); },
+      end() { resolve({ status: this.code, headers }); }
+    };
+    prompt({ method, headers: { 'x-admin-token': 'admin' }, socket: {}, query: name ? { name } : {}, body }, res);
+  });
+}
+
+test('a new PROMPTS_DIR starts with the bundled templates', async () => {
+  const { status, body } = await call('GET');
+  assert.strictEqual(status, 200);
+  assert.ok(body.basic && body.compatibility);
+});
+
+test('a template file that does not parse is left out of the listing', async () => {
+  fs.writeFileSync(path.join(dir, 'broken.md'), '---\ndescription: never closed\n');
+  const skipped = [];
+  const names = (await createRegistry(dir).list({ skipped })).map(p => p.name);
+  assert.ok(names.includes('basic') && !names.includes('broken'));
+  assert.deepStrictEqual(skipped.map(s => s.name), ['broken']);
+
+  const { status, headers, body } = await call('GET');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(headers['X-Prompt-Errors'], 'broken');
+  assert.ok(body.basic);
+  assert.strictEqual((await call('GET', 'broken')).status, 500);
+  fs.rmSync(path.join(dir, 'broken.md'));
+});
+
+test('a failing write is a JSON 500', async () => {
+  fs.writeFileSync(path.join(dir, '.versions'), 'not a directory');
+  const { status, body } = await call('PUT', 'basic', { description: 'changed' });
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.error, 'Prompt registry error');
+  fs.rmSync(path.join(dir, '.versions'));
+});
@@ -0,0 +1,20 @@
+// test/rateLimit.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ACCESS_TOKENS = 'good-token';
+const { withLimits, tokenOwner } = require('../utils/rateLimit');
+
+const request = token => ({ method: 'GET', headers: { authorization: `Bearer ${token}` }, socket: {} });
+
+test('only configured tokens are access tokens', async () => {
+  assert.strictEqual(tokenOwner(request('good-token')), 'token-1');
+  const handler = withLimits('tokens-test', (req, res) => res.status(200).json({ owner: tokenOwner(req) }));
+  for (const token of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.strictEqual(tokenOwner(request(token)), null, token);
+    const status = await new Promise(resolve => {
+      handler(request(token), { setHeader() {}, status(code) { resolve(code); return this; }, json() {} });
+    });
+    assert.strictEqual(status, 401, token);
+  }
+});
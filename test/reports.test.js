@@ -0,0 +1,44 @@
+// test/reports.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+Object.assign(process.env, { REPORTS: 'memory', RATE_LIMIT_DISABLED: 'true', ACCESS_TOKENS: 'alice-token,bob-token' });
+const reports = require('../api/reports');
+const { reportStore, createMemoryStore } = require('../utils/reports');
+
+function call(method, id, { token, body } = {}) {
+  return new Promise(resolve => {
+    const res = {
+      setHeader() {},
+      status(code) { this.code = code; return this; },
+      json(json) { resolve({ status: this.code, body: json }); },
+      end() { resolve({ status: this.code }); }
+    };
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    reports({ method, headers, socket: {}, query: { id }, body }, res);
+  });
+}
+
+test("a token's report is changed and deleted only by that token", async () => {
+  const id = 'owned-report-1';
+  await reportStore().create({ id, owner: 'token-1', input: {}, createdAt: new Date().toISOString() });
+  const design = { beads: ['#ffffff'] };
+  assert.strictEqual((await call('PUT', id, { body: { design } })).status, 403);
+  assert.strictEqual((await call('PUT', id, { token: 'bob-token', body: { design } })).status, 403);
+  assert.strictEqual((await call('DELETE', id, { token: 'bob-token' })).status, 403);
+  assert.strictEqual((await call('PUT', id, { token: 'alice-token', body: { design } })).status, 200);
+  assert.strictEqual((await call('DELETE', id, { token: 'alice-token' })).status, 204);
+});
+
+test('a report past its TTL is gone from get and list', async () => {
+  const store = createMemoryStore({ ttlMs: 24 * 60 * 60 * 1000 });
+  const old = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+  await store.create({ id: 'expired-report', input: {}, createdAt: old });
+  await store.put({ id: 'expired-report', input: {}, createdAt: old, updatedAt: new Date().toISOString() });
+  await store.create({ id: 'fresh-report', input: {}, createdAt: new Date().toISOString() });
+  assert.strictEqual(await store.get('expired-report'), null);
+  assert.ok(await store.get('fresh-report'));
+  const { reports, total } = await store.list({ limit: 10, offset: 0 });
+  assert.deepStrictEqual(reports.map(r => r.id), ['fresh-report']);
+  assert.strictEqual(total, 1);
+});
@@ -0,0 +1,77 @@
+// test/sandbox.test.js
+// Template code must not get out of its context: not to the worker's
+// process, not to fetch beyond HELPER_FETCH_DOMAINS.
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate, sandboxConfig } = require('../utils/sandbox');
+
+const VARS = { dob: '1990-07-02', birthTime: '08:05', gender: 'male' };
+
+async function render(template, env = {}, sources = {}) {
+  const trace = [];
+  const { prompt } = await renderTemplate(template, VARS, sources, { trace, config: sandboxConfig(env) });
+  return { prompt, errors: trace.map(e => e.error).filter(Boolean) };
+}
+
+const ESCAPES = {
+  filter: "{{ __filters.format.constructor('return process')().mainModule.require('child_process').execSync('id').toString() }}",
+  builtin: "{{ dayOfWeek.constructor('return process')().pid }}",
+  global: "{{ this.constructor.constructor('return process')().pid }}",
+  vars: "{{ ({}).constructor.constructor('return process')().pid }}"
+};
+
+for (const [name, template] of Object.entries(ESCAPES)) {
+  test(`no way out through a ${name} function`, async () => {
+    const { prompt, errors } = await render(template);
+    assert.doesNotMatch(prompt, /uid=|^\d+$/);
+    assert.match(errors[0], /Code generation from strings disallowed/);
+  });
+}
+
+test('builtins and filters still work', async () => {
+  const { prompt } = await render('{{ dayOfWeek(dob) }} {{ dob | lunar }} {{ birthTime | format("H点") }}');
+  assert.strictEqual(prompt, '星期一 1990年闰五月初十 8点');
+});
+
+test('no way out through the fetch capability', async () => {
+  const env = { HELPER_CAPABILITIES: 'fetch', HELPER_FETCH_DOMAINS: 'example.com' };
+  const { prompt } = await render("{{ typeof fetch.constructor('return fetch')() }}|{{ await fetch('https://evil.test/') }}", env);
+  assert.strictEqual(prompt, "{{typeof fetch.constructor('return fetch')()}}|{{await fetch('https://evil.test/')}}");
+});
+
+test('no way out through a helper file', async () => {
+  const fileCode = "function pid() { return module.constructor.constructor('return process')().pid; }";
+  const { prompt, errors } = await render('{{ pid() }}', {}, { fileCode });
+  assert.strictEqual(prompt, '{{pid()}}');
+  assert.match(errors[0], /Code generation from strings disallowed/);
+});
+
+test('no resolve functions of the renderer through Promise.prototype.then', async () => {
+  const template = [
+    '{{ (() => { const then = Promise.prototype.then;',
+    'Promise.prototype.then = function (ok, ko) { globalThis.grabbed = globalThis.grabbed || ok; return then.call(this, ok, ko); };',
+    'return 1; })() }}',
+    "{{ grabbed.constructor('return process')().pid }}"
+  ].join(' ');
+  const { prompt, errors } = await render(template);
+  assert.match(prompt, /^1 \{\{/);
+  assert.match(errors[0], /Code generation from strings disallowed/);
+});
+
+test('no renderer functions in stack traces', async () => {
+  // the setter runs when the renderer binds the loop variable
+  const template = [
+    '{{ (() => { Error.prepareStackTrace = (e, frames) => frames',
+    '.map(f => f.getFunction()).filter(f => f && !(f instanceof Function)).length;',
+    "Object.defineProperty(globalThis, 'item', { set() { globalThis.seen = globalThis.seen || new Error().stack; }, configurable: true });",
+    'return 1; })() }}',
+    '{{#each [1] as item}}{{/each}}{{ seen }}'
+  ].join('');
+  const { prompt } = await render(template);
+  assert.strictEqual(prompt, '10');
+});
+
+test('no fetch unless granted', async () => {
+  const { prompt } = await render('{{ typeof fetch }}');
+  assert.strictEqual(prompt, 'undefined');
+});
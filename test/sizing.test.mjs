@@ -0,0 +1,12 @@
+// test/sizing.test.mjs
+import test from 'node:test';
+import assert from 'node:assert';
+import { computeSizing } from '../client/src/shared/sizing.mjs';
+
+test('sizing inputs are bounded', () => {
+  assert.strictEqual(computeSizing({ wristCm: 16, beadMm: 8, accents: [{ sizeMm: 14, count: 2 }] }).numBeads, 20);
+  assert.throws(() => computeSizing({ wristCm: 1e8, beadMm: 8 }), /wristCm/);
+  assert.throws(() => computeSizing({ wristCm: 16, beadMm: 0.001 }), /beadMm/);
+  assert.throws(() => computeSizing({ wristCm: 16, beadMm: 8, accents: [{ sizeMm: 14, count: 1e9 }] }), /count/);
+  assert.throws(() => computeSizing({ wristCm: 16, beadMm: 8, accents: [{ sizeMm: 14, count: 1.5 }] }), /count/);
+});
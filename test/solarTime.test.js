@@ -0,0 +1,46 @@
+// test/solarTime.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { solarTime } = require('../utils/solarTime');
+const { loadProfile } = require('../utils/profile');
+
+test('a 1990 summer birth in China is read at UTC+9 (daylight saving)', () => {
+  const t = solarTime({ dob: '1990-07-02', birthTime: '12:00', timeZone: 'Asia/Shanghai' });
+  assert.strictEqual(t.utc, '1990-07-02T03:00:00.000Z');
+  assert.strictEqual(t.utcOffset, 9);
+  assert.strictEqual(t.dst, true);
+  assert.strictEqual(t.solar, null);
+  const winter = solarTime({ dob: '1990-12-02', birthTime: '12:00' });
+  assert.strictEqual(winter.utcOffset, 8);
+  assert.strictEqual(winter.dst, false);
+});
+
+test('true solar time adds longitude and the equation of time', () => {
+  // Shanghai (121.47°E) during 1990 DST: an hour of DST off, 6 min of longitude on
+  const { solar } = solarTime({ dob: '1990-07-02', birthTime: '12:00', longitude: 121.47 });
+  assert.deepStrictEqual(solar, {
+    dob: '1990-07-02', birthTime: '11:02', utcOffset: 8.033333333333333,
+    longitudeMinutes: 485.9, equationOfTimeMinutes: -3.6, correctionMinutes: -58
+  });
+  // Urumqi (87.6°E) shortly after midnight is still the previous solar day
+  const west = solarTime({ dob: '2000-01-01', birthTime: '00:10', longitude: 87.6 });
+  assert.strictEqual(west.solar.dob, '1999-12-31');
+  assert.strictEqual(west.solar.birthTime, '21:58');
+});
+
+test('malformed input and unknown timezones throw', () => {
+  assert.throws(() => solarTime({ dob: '1990-7-2', birthTime: '12:00' }), /YYYY-MM-DD/);
+  assert.throws(() => solarTime({ dob: '1990-07-02', birthTime: '12:00', timeZone: 'Mars/Base' }), /unknown timezone/);
+  assert.throws(() => solarTime({ dob: '1990-07-02', birthTime: '12:00', longitude: 200 }), /longitude/);
+});
+
+test('a profile whose time cannot be read carries a birth warning', async () => {
+  const profile = await loadProfile({ dob: '1990-07-02', birthTime: '1230', gender: 'male' });
+  assert.strictEqual(profile.bazi, null);
+  assert.strictEqual(profile.birth.dob, '1990-07-02');
+  assert.match(profile.birth.warning, /birthTime HH:MM/);
+  const ok = await loadProfile({ dob: '1990-07-02', birthTime: '12:00', gender: 'male' });
+  assert.strictEqual(ok.birth.warning, undefined);
+  assert.strictEqual(ok.birth.dst, true);
+});
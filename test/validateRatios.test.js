@@ -0,0 +1,54 @@
+// test/validateRatios.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateRatios, canonicalHex } = require('../utils/validateRatios');
+
+const FALLBACK = { metal: '#EEEEEE', wood: '#228B22', water: '#1E90FF', fire: '#DC143C', earth: '#DAA520' };
+const COLORS = { metal: '#FFFFFF', wood: '#00FF00', water: '#0000FF', fire: '#FF0000', earth: '#AA8800' };
+const EVEN = { metal: 20, wood: 20, water: 20, fire: 20, earth: 20 };
+const codes = warnings => warnings.map(w => `${w.field}:${w.code}`);
+
+test('canonicalHex reads codes, codes in text and color words', () => {
+  assert.strictEqual(canonicalHex('#fff'), '#FFFFFF');
+  assert.strictEqual(canonicalHex('98fb98'), '#98FB98');
+  assert.strictEqual(canonicalHex('#98FB98（薄荷绿）'), '#98FB98');
+  assert.strictEqual(canonicalHex('深蓝'), '#00008B');
+  assert.strictEqual(canonicalHex('Navy'), '#000080');
+  assert.strictEqual(canonicalHex('bad'), null);
+  assert.strictEqual(canonicalHex(42), null);
+});
+
+test('clean ratios pass unchanged without warnings', () => {
+  const { ratios, warnings, errors } = validateRatios({ current: EVEN, goal: EVEN, colors: COLORS }, FALLBACK);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(ratios, { current: EVEN, goal: EVEN, colors: COLORS });
+});
+
+test('percentages are coerced, clamped and scaled to 100', () => {
+  const current = { metal: '约30%', wood: 150, water: -5, fire: 30, earth: 40 };
+  const { ratios, warnings } = validateRatios({ current, goal: EVEN, colors: COLORS }, FALLBACK);
+  assert.deepStrictEqual(ratios.current, { metal: 15, wood: 50, water: 0, fire: 15, earth: 20 });
+  assert.deepStrictEqual(codes(warnings), ['current.metal:coerced', 'current.wood:clamped', 'current.water:clamped', 'current:normalized']);
+});
+
+test('unusable colors fall back and near-identical ones are reported', () => {
+  const colors = { ...COLORS, metal: '#fff', wood: 'not a color', earth: '#FEFEFE' };
+  const { ratios, warnings } = validateRatios({ current: EVEN, goal: EVEN, colors, palettes: { metal: ['#fff', '??'] } }, FALLBACK);
+  assert.strictEqual(ratios.colors.metal, '#FFFFFF');
+  assert.strictEqual(ratios.colors.wood, FALLBACK.wood);
+  assert.deepStrictEqual(ratios.palettes, { metal: ['#FFFFFF'] });
+  assert.deepStrictEqual(codes(warnings), [
+    'colors.metal:canonicalized', 'colors.wood:default-color', 'colors:near-duplicate', 'palettes.metal:dropped'
+  ]);
+});
+
+test('missing or non-numeric percentages are errors', () => {
+  const { ratios, errors } = validateRatios({ current: { ...EVEN, fire: 'lots' }, colors: COLORS }, FALLBACK);
+  assert.strictEqual(ratios, null);
+  assert.deepStrictEqual(errors, ['current.fire is not a number', 'goal is missing']);
+  assert.deepStrictEqual(validateRatios(null, FALLBACK).errors, ['ratios is not an object']);
+  assert.deepStrictEqual(validateRatios({ current: { metal: 0, wood: 0, water: 0, fire: 0, earth: 0 }, goal: EVEN, colors: COLORS }, FALLBACK).errors,
+    ['current sums to 0']);
+});
@@ -0,0 +1,223 @@
+// utils/bazi.js
+// Deterministic 四柱八字 calculator: year/month/day/hour pillars, hidden stems
+// and a weighted five-element count, without asking an LLM.
+//
+// - Year and month pillars switch at the 节 (solar terms at 15° + 30°k of the
+//   Sun's apparent longitude); the year starts at 立春 (315°).
+// - The Sun's longitude uses Meeus' low-precision formula (≈0.01°, i.e. about
+//   15 minutes), so births within `BOUNDARY_WARN_HOURS` of a 节 are flagged.
+// - Times are local wall-clock at `utcOffset` hours (default +8, Beijing).
+
+const STEMS = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
+const BRANCHES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+const STEM_ELEMENT = ['wood', 'wood', 'fire', 'fire', 'earth', 'earth', 'metal', 'metal', 'water', 'water'];
+const ELEMENT_CN = { metal: '金', wood: '木', water: '水', fire: '火', earth: '土' };
+
+// 地支藏干: [stem index, weight] – main qi first
+const HIDDEN_STEMS = {
+  子: [[9, 1]],
+  丑: [[5, 0.6], [9, 0.3], [7, 0.1]],
+  寅: [[0, 0.6], [2, 0.3], [4, 0.1]],
+  卯: [[1, 1]],
+  辰: [[4, 0.6], [1, 0.3], [9, 0.1]],
+  巳: [[2, 0.6], [6, 0.3], [4, 0.1]],
+  午: [[3, 0.7], [5, 0.3]],
+  未: [[5, 0.6], [3, 0.3], [1, 0.1]],
+  申: [[6, 0.6], [8, 0.3], [4, 0.1]],
+  酉: [[7, 1]],
+  戌: [[4, 0.6], [7, 0.3], [3, 0.1]],
+  亥: [[8, 0.7], [0, 0.3]]
+};
+
+// Weights for the five-element count: each stem counts once, each branch is
+// split over its hidden stems, and the month branch (月令) counts double.
+const STEM_WEIGHT = 1;
+const BRANCH_WEIGHT = 1;
+const MONTH_BRANCH_WEIGHT = 2;
+
+// 十二节 that open each month, starting with 寅月 at 立春
+const JIE = ['立春', '惊蛰', '清明', '立夏', '芒种', '小暑', '立秋', '白露', '寒露', '立冬', '大雪', '小寒'];
+const BOUNDARY_WARN_HOURS = 1;
+const DEFAULT_UTC_OFFSET = 8;
+
+const mod = (a, n) => ((a % n) + n) % n;
+const rad = d => (d * Math.PI) / 180;
+
+/* ─── astronomy ─────────────────────────────────────────────────────── */
+
+// Julian Day of a UTC instant given as a JS Date
+const toJD = date => date.getTime() / 86400000 + 2440587.5;
+const fromJD = jd => new Date((jd - 2440587.5) * 86400000);
+
+// Apparent ecliptic longitude of the Sun in degrees (Meeus ch. 25)
+function sunLongitude(jd) {
+  const T = (jd + 69 / 86400 - 2451545) / 36525;   // ≈ ΔT for TT
+  const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+  const M = rad(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M) +
+            (0.019993 - 0.000101 * T) * Math.sin(2 * M) +
+            0.000289 * Math.sin(3 * M);
+  const omega = rad(125.04 - 1934.136 * T);
+  return mod(L0 + C - 0.00569 - 0.00478 * Math.sin(omega), 360);
+}
+
+// JD at which the Sun reaches `target` degrees, searching near `jd`
+function solarLongitudeTime(target, jd) {
+  for (let i = 0; i < 20; i++) {
+    const diff = mod(target - sunLongitude(jd) + 180, 360) - 180;
+    if (Math.abs(diff) < 1e-6) break;
+    jd += diff / 0.9856;   // mean daily motion
+  }
+  return jd;
+}
+
+/* ─── pillars ───────────────────────────────────────────────────────── */
+
+function pillar(stem, branch) {
+  return {
+    stem: STEMS[stem],
+    branch: BRANCHES[branch],
+    name: STEMS[stem] + BRANCHES[branch],
+    element: STEM_ELEMENT[stem],
+    hiddenStems: HIDDEN_STEMS[BRANCHES[branch]].map(([s, weight]) => ({
+      stem: STEMS[s], element: STEM_ELEMENT[s], weight
+    }))
+  };
+}
+
+// Julian Day Number of a civil (proleptic Gregorian) date
+function civilJDN(y, m, d) {
+  const a = Math.floor((14 - m) / 12);
+  const yy = y + 4800 - a;
+  const mm = m + 12 * a - 3;
+  return d + Math.floor((153 * mm + 2) / 5) + 365 * yy + Math.floor(yy / 4) -
+         Math.floor(yy / 100) + Math.floor(yy / 400) - 32045;
+}
+
+function parseDate(dob) {
+  const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(dob || '').trim());
+  if (!m) throw new Error('dob must be YYYY-MM-DD');
+  const [y, mo, d] = [+m[1], +m[2], +m[3]];
+  const check = new Date(Date.UTC(y, mo - 1, d));
+  if (check.getUTCMonth() !== mo - 1 || check.getUTCDate() !== d) throw new Error('dob is not a valid date');
+  return [y, mo, d];
+}
+
+function parseTime(birthTime) {
+  const m = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(birthTime || '').trim());
+  if (!m || +m[1] > 23 || +m[2] > 59) throw new Error('birthTime must be HH:MM');
+  return [+m[1], +m[2]];
+}
+
+/**
+ * @param {{dob:string, birthTime:string, gender?:string, utcOffset?:number,
+ *          lateZiNextDay?:boolean}} input
+ *   lateZiNextDay – 23:00–24:00 (夜子时) already belongs to the next day (default true)
+ * @returns {object} pillars, hidden stems, day master, element weights, solar term
+ * @throws {Error} on malformed dob / birthTime
+ */
+function computeBazi({ dob, birthTime, gender, utcOffset = DEFAULT_UTC_OFFSET, lateZiNextDay = true }) {
+  const [y, mo, d] = parseDate(dob);
+  const [h, mi] = parseTime(birthTime);
+  const offset = Number(utcOffset);
+  if (!Number.isFinite(offset)) throw new Error('utcOffset must be a number of hours');
+
+  const instant = new Date(Date.UTC(y, mo - 1, d, h, mi) - offset * 3600000);
+  const jd = toJD(instant);
+  const lon = sunLongitude(jd);
+
+  // Year: before 立春 still counts as the previous year
+  const beforeLichun = mo <= 2 && lon >= 180 && lon < 315;
+  const year = beforeLichun ? y - 1 : y;
+  const yearStem = mod(year - 4, 10);
+  const yearBranch = mod(year - 4, 12);
+
+  // Month: 寅月 starts at 315°, one branch per 30°
+  const monthIndex = Math.floor(mod(lon - 315, 360) / 30);
+  const monthBranch = mod(2 + monthIndex, 12);
+  const monthStem = mod(yearStem * 2 + 2 + monthIndex, 10);   // 五虎遁
+
+  // Day: JDN 2451545 (2000-01-01) is 戊午 (index 54); 23:00 may roll over
+  const dayShift = lateZiNextDay && h === 23 ? 1 : 0;
+  const dayCycle = mod(civilJDN(y, mo, d) + dayShift + 49, 60);
+  const dayStem = dayCycle % 10;
+  const dayBranch = dayCycle % 12;
+
+  // Hour: 子 = 23:00–01:00; 五鼠遁 from the day stem
+  const hourBranch = Math.floor((h + 1) / 2) % 12;
+  const hourStem = mod(dayStem * 2 + hourBranch, 10);
+
+  const pillars = {
+    year: pillar(yearStem, yearBranch),
+    month: pillar(monthStem, monthBranch),
+    day: pillar(dayStem, dayBranch),
+    hour: pillar(hourStem, hourBranch)
+  };
+
+  // Weighted five-element count
+  const weights = { metal: 0, wood: 0, water: 0, fire: 0, earth: 0 };
+  Object.entries(pillars).forEach(([key, p]) => {
+    weights[p.element] += STEM_WEIGHT;
+    const bw = key === 'month' ? MONTH_BRANCH_WEIGHT : BRANCH_WEIGHT;
+    p.hiddenStems.forEach(hs => { weights[hs.element] += bw * hs.weight; });
+  });
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const percentages = {};
+  Object.keys(weights).forEach(k => {
+    weights[k] = Math.round(weights[k] * 100) / 100;
+    percentages[k] = Math.round((weights[k] * 1000) / total) / 10;
+  });
+
+  // The 节 that opened this month, and the next one
+  const termLon = mod(315 + monthIndex * 30, 360);
+  const termStart = solarLongitudeTime(termLon, jd - mod(lon - termLon, 360) / 0.9856);
+  const termNext = solarLongitudeTime(mod(termLon + 30, 360), termStart + 30.4);
+  const hoursToBoundary = Math.min(jd - termStart, termNext - jd) * 24;
+
+  // 大运 direction: 阳年男 / 阴年女 forward, otherwise backward
+  const yangYear = yearStem % 2 === 0;
+  const male = /^(male|m|男)$/i.test(String(gender || ''));
+  const female = /^(female|f|女)$/i.test(String(gender || ''));
+
+  return {
+    input: { dob, birthTime, gender, utcOffset: offset },
+    pillars,
+    eightCharacters: ['year', 'month', 'day', 'hour'].map(k => pillars[k].name).join(' '),
+    dayMaster: {
+      stem: pillars.day.stem,
+      element: pillars.day.element,
+      polarity: dayStem % 2 === 0 ? 'yang' : 'yin'
+    },
+    elements: { weights, percentages },
+    solarTerm: {
+      current: JIE[monthIndex],
+      start: fromJD(termStart).toISOString(),
+      next: JIE[(monthIndex + 1) % 12],
+      nextStart: fromJD(termNext).toISOString(),
+      nearBoundary: hoursToBoundary < BOUNDARY_WARN_HOURS
+    },
+    luckDirection: male || female ? ((yangYear === male) ? 'forward' : 'backward') : null,
+    sunLongitude: Math.round(lon * 1000) / 1000
+  };
+}
+
+/**
+ * Plain-text summary for prompts (Chinese, one line per item).
+ */
+function formatBazi(b) {
+  const order = ['year', 'month', 'day', 'hour'];
+  const label = { year: '年柱', month: '月柱', day: '日柱', hour: '时柱' };
+  const lines = order.map(k => {
+    const p = b.pillars[k];
+    const hidden = p.hiddenStems.map(hs => hs.stem).join('');
+    return `${label[k]}：${p.name}（藏干 ${hidden}）`;
+  });
+  const pct = Object.entries(b.elements.percentages)
+    .map(([k, v]) => `${ELEMENT_CN[k]} ${v}%`).join('，');
+  lines.push(`日主：${b.dayMaster.stem}${ELEMENT_CN[b.dayMaster.element]}`);
+  lines.push(`五行加权：${pct}`);
+  lines.push(`节气：${b.solarTerm.current}后${b.solarTerm.nearBoundary ? '（临近交节，月柱需复核）' : ''}`);
+  return lines.join('\n');
+}
+
+module.exports = { computeBazi, formatBazi, sunLongitude, STEMS, BRANCHES };
@@ -0,0 +1,13 @@
+// utils/beadCatalog.js
+// Bead catalog shared by GET /api/beads, routes/beads.js and /api/arrange.
+// `element` tags each SKU with its 五行; `stock` is the workshop's count on hand.
+module.exports = [
+  { id: 1, sku: 'GLD-8',  color: 'goldenrod',  element: 'metal', stock: 40 },
+  { id: 2, sku: 'LGR-8',  color: 'lightgreen', element: 'wood',  stock: 30 },
+  { id: 3, sku: 'ORG-8',  color: 'orange',     element: 'fire',  stock: 25 },
+  { id: 4, sku: 'WHT-8',  color: 'white',      element: 'metal', stock: 60 },
+  { id: 5, sku: 'DGR-8',  color: 'darkgreen',  element: 'wood',  stock: 20 },
+  { id: 6, sku: 'BLU-8',  color: 'royalblue',  element: 'water', stock: 35 },
+  { id: 7, sku: 'BLK-8',  color: 'black',      element: 'water', stock: 15 },
+  { id: 8, sku: 'BRN-8',  color: 'sandybrown', element: 'earth', stock: 30 }
+];
@@ -0,0 +1,37 @@
+// utils/braceletId.js
+// Identity of a bracelet up to rotation and reflection (the dihedral group):
+// spinning it on the wrist or flipping it over does not make a new design.
+const crypto = require('crypto');
+
+// Lexicographically smallest rotation of a token list
+function minRotation(tokens) {
+  const n = tokens.length;
+  let best = tokens;
+  for (let k = 1; k < n; k++) {
+    const rot = tokens.slice(k).concat(tokens.slice(0, k));
+    for (let i = 0; i < n; i++) {
+      if (rot[i] === best[i]) continue;
+      if (rot[i] < best[i]) best = rot;
+      break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Canonical form: the smallest rotation of either the bead list or its mirror.
+ * @param {string[]} tokens – one token per bead (e.g. color, or color@size)
+ * @returns {string}
+ */
+function canonicalForm(tokens) {
+  const a = minRotation(tokens).join(',');
+  const b = minRotation([...tokens].reverse()).join(',');
+  return a < b ? a : b;
+}
+
+// Stable short ID for a canonical form
+function braceletId(tokens) {
+  return crypto.createHash('sha1').update(canonicalForm(tokens)).digest('hex').slice(0, 12);
+}
+
+module.exports = { canonicalForm, braceletId };
@@ -1,7 +1,13 @@
 // utils/builtin.js
+const { computeBazi } = require('./bazi');
+
 module.exports = {
   dayOfWeek: dob =>
     new Date(dob).toLocaleDateString('zh-CN', { weekday: 'long' }),
+  // {{ computeBazi(dob, birthTime, gender, utcOffset).eightCharacters }}: clock time
+  // at utcOffset hours (+8 when left out); not named `bazi`, which is a variable
+  computeBazi: (dob, birthTime, gender, utcOffset) =>
+    computeBazi({ dob, birthTime, gender, ...(utcOffset != null && utcOffset !== '' && { utcOffset }) }),
 };
 
 // exports.dayOfWeek = dob =>
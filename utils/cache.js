@@ -0,0 +1,144 @@
+// utils/cache.js
+// Small TTL cache with pluggable backends, used for /api/astro results.
+// A store is any object with
+//   get(key) → Promise<value | null>      set(key, value, ttlMs) → Promise
+//
+// ASTRO_CACHE          memory (default) | fs | redis | off
+// ASTRO_CACHE_TTL      seconds (default 7 days)
+// ASTRO_CACHE_MAX_ENTRIES  memory backend size (default 1000, least recently used go first)
+// ASTRO_CACHE_DIR      fs backend directory (default <os tmp>/astro-cache)
+// ASTRO_CACHE_REDIS_URL  redis backend (needs the `redis` package installed)
+// ASTRO_CACHE_STORE    path to a module exporting a store, or a factory returning one
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TTL_S = 7 * 24 * 3600;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Map order is recency: a hit moves its entry to the end, and a full store
+// drops from the front
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      entries.delete(key);
+      if (e.expiresAt <= Date.now()) return null;
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      for (const k of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(k);
+      }
+    }
+  };
+}
+
+// One JSON file per key: { expiresAt, value }
+function createFsStore(dir) {
+  const file = key => path.join(dir, `${key.replace(/[^\w.-]/g, '_')}.json`);
+  return {
+    async get(key) {
+      try {
+        const { expiresAt, value } = JSON.parse(await fs.promises.readFile(file(key), 'utf8'));
+        if (expiresAt > Date.now()) return value;
+        await fs.promises.unlink(file(key)).catch(() => {});
+      } catch {/* missing or unreadable ⇒ miss */}
+      return null;
+    },
+    async set(key, value, ttlMs) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ expiresAt: Date.now() + ttlMs, value }));
+      await fs.promises.rename(tmp, file(key));
+    }
+  };
+}
+
+/**
+ * Wrap a Redis-compatible client (node-redis v4 or ioredis style `set`).
+ * Values are stored as JSON strings with a PX expiry.
+ */
+function createRedisStore(client, prefix = 'astro:') {
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, value, ttlMs) {
+      const raw = JSON.stringify(value);
+      if ('isOpen' in client) await client.set(prefix + key, raw, { PX: ttlMs });   // node-redis v4
+      else await client.set(prefix + key, raw, 'PX', ttlMs);                       // ioredis
+    }
+  };
+}
+
+function createRedisUrlStore(url) {
+  let redis;
+  try {
+    redis = require('redis');
+  } catch {
+    throw new Error('ASTRO_CACHE=redis needs the `redis` package (npm install redis)');
+  }
+  const client = redis.createClient({ url });
+  const ready = client.connect();
+  const store = createRedisStore(client);
+  return {
+    get: async key => { await ready; return store.get(key); },
+    set: async (key, value, ttlMs) => { await ready; return store.set(key, value, ttlMs); }
+  };
+}
+
+let configured;
+
+/**
+ * The store selected by the ASTRO_CACHE* env vars (null when caching is off).
+ * @returns {{store:object|null, ttlMs:number}}
+ */
+function astroCache(env = process.env) {
+  if (configured) return configured;
+  const ttl = Number(env.ASTRO_CACHE_TTL);
+  const ttlMs = (Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_S) * 1000;
+  let store = null;
+  if (env.ASTRO_CACHE_STORE) {
+    store = require(path.resolve(env.ASTRO_CACHE_STORE));
+    if (typeof store === 'function') store = store();
+  } else {
+    switch (env.ASTRO_CACHE || 'memory') {
+      case 'off': break;
+      case 'fs': store = createFsStore(env.ASTRO_CACHE_DIR || path.join(os.tmpdir(), 'astro-cache')); break;
+      case 'redis': store = createRedisUrlStore(env.ASTRO_CACHE_REDIS_URL || 'redis://localhost:6379'); break;
+      case 'memory': {
+        const max = Number(env.ASTRO_CACHE_MAX_ENTRIES);
+        store = createMemoryStore({ maxEntries: Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_ENTRIES });
+        break;
+      }
+      default: throw new Error(`unknown ASTRO_CACHE backend "${env.ASTRO_CACHE}"`);
+    }
+  }
+  configured = { store, ttlMs };
+  return configured;
+}
+
+/**
+ * Stable hash of a JSON-serialisable value (object keys sorted).
+ */
+function cacheKey(value) {
+  const stable = v => {
+    if (Array.isArray(v)) return v.map(stable);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.keys(v).sort().map(k => [k, stable(v[k])]));
+    }
+    return v;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(stable(value))).digest('hex');
+}
+
+module.exports = { astroCache, cacheKey, createMemoryStore, createFsStore, createRedisStore };
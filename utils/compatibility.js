@@ -0,0 +1,55 @@
+// utils/compatibility.js
+// Complementary five-element balance of a couple (合婚): for each element,
+// whether one partner's surplus covers the other's shortfall, and which
+// elements both need – those become the pair's shared accent colors.
+
+const ELEMENTS = ['metal', 'wood', 'water', 'fire', 'earth'];
+const BALANCED_GAP = 2;      // percentage points of goal − current that count as balanced
+const MAX_ACCENTS = 2;
+
+// Relation of the two gaps for one element
+function relation(self, partner) {
+  const need = g => g > BALANCED_GAP;
+  const excess = g => g < -BALANCED_GAP;
+  if (need(self) && need(partner)) return 'shared-need';
+  if (excess(self) && excess(partner)) return 'shared-excess';
+  if (need(self) && excess(partner)) return 'partner-supplies';
+  if (need(partner) && excess(self)) return 'self-supplies';
+  if (need(self)) return 'self-needs';
+  if (need(partner)) return 'partner-needs';
+  if (excess(self)) return 'self-excess';
+  if (excess(partner)) return 'partner-excess';
+  return 'balanced';
+}
+
+/**
+ * Compare two people's ratios.
+ * @param {{current:object, goal:object}} self
+ * @param {{current:object, goal:object}} partner
+ * @returns {{score:number, elements:object, accents:string[]}}
+ *   elements – per element { self, partner, relation }, gaps in percentage points
+ *     (goal − current: positive = needs more)
+ *   score – 0–100, share of the couple's combined shortfall the other's surplus covers
+ *   accents – elements to share between the two bracelets: those both need, most-needed
+ *     first (at most 2); otherwise the single most-needed element
+ */
+function balanceSummary(self, partner) {
+  const gap = (r, el) => Math.round(((r.goal[el] || 0) - (r.current[el] || 0)) * 10) / 10;
+  const elements = {};
+  let need = 0;
+  let covered = 0;
+  ELEMENTS.forEach(el => {
+    const a = gap(self, el);
+    const b = gap(partner, el);
+    elements[el] = { self: a, partner: b, relation: relation(a, b) };
+    need += Math.max(0, a) + Math.max(0, b);
+    covered += Math.min(Math.max(0, a), Math.max(0, -b)) + Math.min(Math.max(0, b), Math.max(0, -a));
+  });
+  const combinedNeed = el => Math.max(0, elements[el].self) + Math.max(0, elements[el].partner);
+  const byNeed = [...ELEMENTS].sort((x, y) => combinedNeed(y) - combinedNeed(x));
+  let accents = byNeed.filter(el => elements[el].relation === 'shared-need').slice(0, MAX_ACCENTS);
+  if (!accents.length) accents = [byNeed[0]];
+  return { score: need ? Math.round(100 * covered / need) : 100, elements, accents };
+}
+
+module.exports = { balanceSummary, BALANCED_GAP };
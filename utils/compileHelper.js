@@ -1,15 +1,20 @@
 // utils/compileHelper.js
-const vm = require('vm');
+'use strict';
+const { createRealm } = require('./realm');
+
+const MAX_LENGTH = 500;
 
 /**
  * Turn a string like "(dob) => new Date(dob).getFullYear()" into a real function,
- * sandboxed so it can *only* see Math, Date and whatever safe globals you expose.
- * Bad or “void” helpers never register; the try{} catch{} falls back silently.
+ * sandboxed so it can *only* see the JS builtins and the capabilities you grant
+ * (`bridges`, see utils/realm.js).
+ * Bad or “void” helpers never register: the error message says why
+ * (reported per helper by utils/helpers.js).
  */
-module.exports = function compileHelper(src = '') {
-  if (typeof src !== 'string' || src.length > 500 || src.includes('\n')) {
-    throw new Error('helper must be a 1-line string ≤500 chars');
-  }
+module.exports = function compileHelper(src = '', bridges = {}) {
+  if (typeof src !== 'string') throw new Error('helper must be a string');
+  if (src.includes('\n')) throw new Error('helper must be a single line');
+  if (src.length > MAX_LENGTH) throw new Error(`helper is ${src.length} chars (max ${MAX_LENGTH})`);
 
   /* ─── Does it syntactically promise a value? ─────────────────────────
        a) arrow concise  (dob)=>dob+1
@@ -20,10 +25,14 @@ module.exports = function compileHelper(src = '') {
     /return\s+/.test(src);                   // explicit return
   if (!returnsValue) throw new Error('helper must return a value');
 
-  const wrapped = `module.exports = (${src});`;
-  const ctx = vm.createContext({ module: { exports: {} }, exports: {} });
+  const wrapped = `var module = { exports: {} }; module.exports = (${src});`;
+  const { ctx, run } = createRealm(bridges);
 
-  new vm.Script(wrapped).runInContext(ctx, { timeout: 20 });
+  try {
+    run(wrapped, { timeout: 20 });
+  } catch (err) {
+    throw new Error(`helper failed to compile: ${err.message}`);
+  }
   const fn = ctx.module.exports;
   if (typeof fn !== 'function') throw new Error('helper is not a function');
 
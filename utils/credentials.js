@@ -0,0 +1,87 @@
+// utils/credentials.js
+// Server-side credential vault: LLM keys and access tokens from environment
+// variables or a local JSON secrets file, so the browser never needs the keys.
+//
+// secrets.json (path: SECRETS_FILE, default <repo>/secrets.json – keep it out of git):
+// {
+//   "env":    { "LLM_ANALYSIS_API_KEY": "sk-…", "LLM_EXTRACTION_API_KEY": "sk-…" },
+//   "tokens": { "<token>": { "name": "team-a", "perMinute": 10, "perDay": 200 } }
+// }
+// Real environment variables win over "env" entries; ACCESS_TOKENS="tok1,tok2"
+// adds tokens with the route's default limits.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveProviders, STAGES } = require('./llm');
+
+const DEFAULT_SECRETS_FILE = path.join(__dirname, '..', 'secrets.json');
+
+let cache = { file: null, secrets: {} };
+
+/**
+ * Parsed secrets file ({} when absent); read once per path.
+ * @throws {Error} when the file exists but is not valid JSON
+ */
+function loadSecrets(file = process.env.SECRETS_FILE || DEFAULT_SECRETS_FILE) {
+  if (cache.file === file) return cache.secrets;
+  let secrets = {};
+  if (fs.existsSync(file)) {
+    try {
+      secrets = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`secrets file ${file}: ${err.message}`);
+    }
+  }
+  cache = { file, secrets };
+  return secrets;
+}
+
+/**
+ * Environment for provider resolution: secrets-file "env" overlaid by process.env.
+ */
+function serverEnv() {
+  return { ...(loadSecrets().env || {}), ...process.env };
+}
+
+/**
+ * Which stages can run without a key from the request
+ * (a server-held key, or a keyless local provider).
+ * @returns {{analysis:boolean, extraction:boolean}}
+ */
+function serverCredentials() {
+  const env = serverEnv();
+  const out = {};
+  STAGES.forEach(stage => {
+    try {
+      resolveProviders({}, env, [stage]);
+      out[stage] = true;
+    } catch {
+      out[stage] = false;
+    }
+  });
+  return out;
+}
+
+/**
+ * Known access tokens → { name, perMinute?, perDay? }
+ * (no prototype, so a token such as "constructor" is not found on Object.prototype)
+ */
+function accessTokens() {
+  const tokens = Object.assign(Object.create(null), loadSecrets().tokens);
+  String(process.env.ACCESS_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean)
+    .forEach((t, i) => { if (!tokens[t]) tokens[t] = { name: `token-${i + 1}` }; });
+  return tokens;
+}
+
+// Constant-time comparison against the configured admin token
+// (X-Admin-Token: <PROMPT_ADMIN_TOKEN>; prompt edits, all reports)
+function isAdmin(req) {
+  const expected = serverEnv().PROMPT_ADMIN_TOKEN;
+  const given = req.headers['x-admin-token'];
+  if (!expected || typeof given !== 'string') return false;
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { loadSecrets, serverEnv, serverCredentials, accessTokens, isAdmin };
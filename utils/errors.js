@@ -0,0 +1,65 @@
+// utils/errors.js
+// Machine-readable error codes for API responses. Error bodies keep the
+// human-readable `error` and add `code`:
+//   { error: 'Analysis LLM error', code: 'INVALID_KEY', details, stage }
+
+// HTTP status per code
+const STATUS = {
+  INVALID_REQUEST: 400,       // malformed or missing input
+  MISSING_KEY: 400,           // no API key for a hosted provider
+  MODEL_NOT_FOUND: 400,       // provider doesn't know the model / endpoint
+  INVALID_KEY: 401,           // provider rejected the API key
+  INVALID_ACCESS_TOKEN: 401,  // unknown access token (utils/rateLimit.js)
+  FORBIDDEN: 403,             // admin-only operation (prompt edits)
+  CONFLICT: 409,              // stale version or name already taken
+  RATE_LIMITED: 429,          // our limit or the provider's
+  QUOTA_EXCEEDED: 429,        // daily quota, or provider balance / quota used up
+  UPSTREAM_ERROR: 502,        // provider failed or rejected the request
+  EXTRACTION_FAILED: 502,     // no extraction method produced ratios
+  VALIDATION_FAILED: 502,     // extracted ratios were unusable
+  UPSTREAM_TIMEOUT: 504
+};
+
+// Worth another attempt after a backoff
+const RETRYABLE = ['RATE_LIMITED', 'UPSTREAM_ERROR', 'UPSTREAM_TIMEOUT'];
+
+class ApiError extends Error {
+  /**
+   * @param {string} code – key of STATUS
+   * @param {string} message
+   * @param {object} [extra] – copied onto the error (upstreamStatus, retryAfterMs…)
+   */
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = STATUS[code] || 500;
+    this.retryable = RETRYABLE.includes(code);
+    Object.assign(this, extra);
+  }
+}
+
+/**
+ * Map an error thrown by the OpenAI SDK (or fetch) to an ApiError.
+ * Provider 4xx other than 401/403/404/429 are not retried.
+ */
+function fromUpstream(err) {
+  if (err instanceof ApiError) return err;
+  const status = err.status;
+  const hint = `${err.code || ''} ${err.type || ''} ${err.message || ''}`;
+  let code = 'UPSTREAM_ERROR';
+  if (/timeout|timed out/i.test(`${err.name} ${err.message}`)) code = 'UPSTREAM_TIMEOUT';
+  else if (status === 401 || status === 403) code = 'INVALID_KEY';
+  else if (status === 402 || /insufficient_quota|insufficient balance/i.test(hint)) code = 'QUOTA_EXCEEDED';
+  else if (status === 429) code = 'RATE_LIMITED';
+  else if (status === 404) code = 'MODEL_NOT_FOUND';
+
+  const extra = { upstreamStatus: status };
+  const retryAfter = Number(err.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter)) extra.retryAfterMs = retryAfter * 1000;
+  const out = new ApiError(code, err.message, extra);
+  if (code === 'UPSTREAM_ERROR' && status >= 400 && status < 500) out.retryable = false;
+  return out;
+}
+
+module.exports = { ApiError, fromUpstream, STATUS };
@@ -1,42 +1,117 @@
 // utils/fillVars.js
-const vm = require('vm');
+// Runs whatever the template says: call it through utils/sandbox.js, which
+// runs it in a worker with limits and hands in the allowed capabilities.
+//
+// Template language:
+//   {dob}                                   variable (left as written when unknown)
+//   {{ js expression }}                     async, helpers in scope; left literal on failure
+//   {{ dob | lunar | format('M月D日') }}     pipe filters (utils/filters.js) or helpers
+//   {{#if cond}} … {{else if cond}} … {{else}} … {{/if}}
+//   {{#each list as item, i}} … {{else}} (empty list) … {{/each}}
+// A block tag alone on its line takes the whole line with it. Tags that
+// aren't one of these blocks (a Handlebars {{#with}}, a stray {{/each}} or
+// {{else}}) stay literal, as they did before there were blocks.
+'use strict';
+const { ApiError } = require('./errors');
+const { createRealm } = require('./realm');
 
-const COMMON = { Math, Date, Intl, console, fetch, require };
+const DEFAULT_TIMEOUT_MS = 30_000;
+const IDENT = '[A-Za-z_$][\\w$]*';
+const FILTER_CALL = new RegExp(`^\\s*(${IDENT})\\s*(?:\\(([\\s\\S]*)\\))?\\s*$`);
+const EACH = new RegExp(`^([\\s\\S]+?)\\s+as\\s+(${IDENT})(?:\\s*,\\s*(${IDENT}))?$`);
 
-function toString(val) {
-  if (val === undefined) return undefined;        // trigger "leave literal"
-  if (val instanceof Date) return val.toISOString().slice(0, 10);
-  if (typeof val === 'object') return JSON.stringify(val);
-  return String(val);
+// The context side of evaluate(), installed before any template code runs.
+// Results never cross as objects: awaiting a context promise here would hand
+// our resolve functions to its `then`, so the context awaits and passes
+// `settle` only a string, number or boolean. #each lists stay in the
+// context; item() binds the loop variables and returns the item as {item} shows it.
+const EVALUATOR_SOURCE = `(settle, TEXT) => {
+  const { stringify } = JSON;
+  const { toString, hasOwnProperty } = Object.prototype;
+  const toList = Array.from;
+  const lists = new Map();   // id → { items, names, saved }
+
+  const show = val => {
+    if (val === undefined) return undefined;
+    if (toString.call(val) === '[object Date]') return val.toISOString().slice(0, 10);
+    if (val && typeof val === 'object' && TEXT in val) return String(val[TEXT]);
+    if (typeof val === 'object') return stringify(val);
+    return String(val);
+  };
+  const message = err => String(err && err.message !== undefined ? err.message : err);
+  const finish = (id, promise, describe) => promise.then(value => {
+    let shown;
+    try {
+      shown = describe(value, id);
+    } catch (err) {
+      return settle(id, undefined, message(err));
+    }
+    settle(id, shown, shown === undefined ? 'expression returned undefined' : null);
+  }, err => settle(id, undefined, message(err)));
+
+  return {
+    text: (id, promise) => finish(id, promise, show),
+    test: (id, promise) => finish(id, promise, value => Boolean(value)),
+    each: (id, promise) => finish(id, promise, (value, key) => {
+      if (value === null || value === undefined || typeof value[Symbol.iterator] !== 'function' || typeof value === 'string') {
+        throw new Error('#each needs a list, got ' + (value === null ? 'null' : typeof value));
+      }
+      const items = toList(value);
+      lists.set(key, { items });
+      return items.length;
+    }),
+    // loop variables live on the context for the body, then the old values return
+    enter: (id, names) => {
+      const loop = lists.get(id);
+      loop.names = names;
+      loop.saved = names.map(k => [k, hasOwnProperty.call(globalThis, k), globalThis[k]]);
+    },
+    item: (id, i) => {
+      const { items, names } = lists.get(id);
+      globalThis[names[0]] = items[i];
+      if (names[1]) globalThis[names[1]] = i;
+      const v = items[i];
+      return v && typeof v === 'object' ? stringify(v) : String(v);
+    },
+    leave: id => {
+      const loop = lists.get(id);
+      lists.delete(id);
+      if (loop && loop.saved) loop.saved.forEach(([k, had, v]) => { if (had) globalThis[k] = v; else delete globalThis[k]; });
+    }
+  };
+}`;
+
+// What may cross from the context: settle() and item() results
+const primitive = v => (['string', 'number', 'boolean'].includes(typeof v) ? v : null);
+
+// {dob} placeholders (back-ticks stay as written: Markdown fences in the
+// text, template literals inside {{ }})
+function substitute(text, scope) {
+  return text.replace(/\{(\w+)\}/g, (m, k) => {
+    if (!(k in scope)) return m;
+    const v = scope[k];
+    return v && typeof v === 'object' ? JSON.stringify(v) : String(v);
+  });
 }
 
-// evalExpr now ASYNC – supports await inside helpers
-async function evalExpr(expr, ctx) {
-  try {
-    // wrap so top-level await works
-    const wrapped = `(async () => (${expr}))()`; // arrow preserves "this"
-    // Timeout bumped to 30 s for long (OpenAI) calls
-    let result = await new vm.Script(wrapped).runInContext(ctx, { timeout: 30_000 });
-
-    // second await if expression returns a promise
-    if (result && typeof result.then === 'function')
-      result = await result;
-
-    const s = toString(result);
-    return s === undefined ? `{{${expr}}}` : s;
-  } catch {
-    return `{{${expr}}}`;         // leave placeholder if anything blows up
-  }
+function lineColumn(src, pos) {
+  const before = src.slice(0, pos);
+  return { line: before.split('\n').length, column: pos - before.lastIndexOf('\n') };
 }
 
-// walk template, collect balanced {{ … }}
-async function render(tpl, ctx) {
-  let out = '';
+function syntaxError(src, pos, message) {
+  const { line, column } = lineColumn(src, pos);
+  return new ApiError('INVALID_REQUEST', `template line ${line}, column ${column}: ${message}`, { line, column });
+}
+
+// walk template, collect balanced {{ … }} (an unclosed one stays text)
+function tokenize(tpl) {
+  const tokens = [];
   for (let i = 0; i < tpl.length; ) {
     const open = tpl.indexOf('{{', i);
-    if (open === -1) { out += tpl.slice(i); break; }
+    if (open === -1) { tokens.push({ text: tpl.slice(i) }); break; }
 
-    out += tpl.slice(i, open);
+    if (open > i) tokens.push({ text: tpl.slice(i, open) });
     let j = open + 2, depth = 0;
     while (j < tpl.length) {
       if (tpl[j] === '{') depth++;
@@ -46,31 +121,287 @@ async function render(tpl, ctx) {
       }
       j++;
     }
-    if (j >= tpl.length) { out += tpl.slice(open); break; }
+    if (j >= tpl.length) { tokens.push({ text: tpl.slice(open) }); break; }
 
-    const expr = tpl.slice(open + 2, j).trim();
-    out += await evalExpr(expr, ctx);
+    const tag = tpl.slice(open + 2, j).trim();
+    tokens.push({ ...classify(tag), tag, pos: open });
     i = j + 2;
   }
+  return tokens;
+}
+
+// {{#if …}} {{else if …}} {{else}} {{/if}}… or a plain expression
+function classify(tag) {
+  let m = /^#(if|each)\b\s*([\s\S]*)$/.exec(tag);
+  if (m && (m[1] === 'if' ? m[2].trim() : EACH.test(m[2].trim()))) return { open: m[1], arg: m[2].trim() };
+  m = /^\/(if|each)$/.exec(tag);
+  if (m) return { close: m[1] };
+  m = /^else(?:\s+if\s+([\s\S]+))?$/.exec(tag);
+  if (m) return { else: true, arg: m[1] && m[1].trim() };
+  return { expr: tag };
+}
+
+// {{/if}} or {{else}} outside any block they could belong to is text
+function demoteStrays(tokens) {
+  const open = [];
+  return tokens.map(t => {
+    if (t.open) open.push(t.open);
+    else if (t.close) {
+      const at = open.lastIndexOf(t.close);
+      if (at === -1) return { expr: t.tag, pos: t.pos };
+      open.length = at;   // a mismatch inside is parse()'s to report
+    } else if (t.else && !open.length) return { expr: t.tag, pos: t.pos };
+    return t;
+  });
+}
+
+// A block tag with only whitespace around it on its line removes that line.
+// The ends of a text run only count as line boundaries at the start and end
+// of the template, or where an earlier tag took the rest of the line.
+function trimStandalone(tokens) {
+  const isBlock = t => t && (t.open || t.close || t.else);
+  tokens.forEach((t, k) => {
+    if (!isBlock(t)) return;
+    const prev = tokens[k - 1], next = tokens[k + 1];
+    const before = prev ? (prev.text ?? null) : '';
+    const after = next ? (next.text ?? null) : '';
+    if (before === null || after === null) return;
+    const lead = /(^|\n)[ \t]*$/.exec(before);
+    const trail = /^[ \t]*(\r?\n|$)/.exec(after);
+    if (!lead || !trail) return;
+    if (prev && !lead[1] && !(k === 1 || prev.lineStart)) return;
+    if (next && !trail[1] && k + 1 !== tokens.length - 1) return;
+    if (prev) prev.text = before.slice(0, lead.index + lead[1].length);
+    if (next) Object.assign(next, { text: after.slice(trail[0].length), lineStart: true });
+  });
+  return tokens;
+}
+
+/**
+ * Parse a template into nodes: { text } | { expr, pos } |
+ * { if: [{ cond, pos, nodes }], else: nodes|null } | { each, as, index, pos, nodes, else }
+ * @throws {ApiError} INVALID_REQUEST with line and column on a malformed block
+ */
+function parse(tpl) {
+  const root = { nodes: [] };
+  const stack = [];
+  let current = root.nodes;
+  const top = () => stack[stack.length - 1];
+
+  for (const t of trimStandalone(demoteStrays(tokenize(tpl)))) {
+    if (t.text !== undefined) {
+      if (t.text) current.push({ text: t.text });
+    } else if (t.expr !== undefined) {
+      current.push({ expr: t.expr, pos: t.pos });
+    } else if (t.open === 'if') {
+      const node = { kind: 'if', pos: t.pos, if: [{ cond: t.arg, pos: t.pos, nodes: [] }], else: null };
+      current.push(node);
+      stack.push(node);
+      current = node.if[0].nodes;
+    } else if (t.open === 'each') {
+      const m = EACH.exec(t.arg);
+      const node = { kind: 'each', pos: t.pos, each: m[1].trim(), as: m[2], index: m[3], nodes: [], else: null };
+      current.push(node);
+      stack.push(node);
+      current = node.nodes;
+    } else if (t.else) {
+      const node = top();
+      if (node.else) throw syntaxError(tpl, t.pos, `{{else}} after the {{else}} of this {{#${node.kind}}}`);
+      if (t.arg) {
+        if (node.kind !== 'if') throw syntaxError(tpl, t.pos, '{{else if}} inside {{#each}}');
+        const branch = { cond: t.arg, pos: t.pos, nodes: [] };
+        node.if.push(branch);
+        current = branch.nodes;
+      } else {
+        node.else = [];
+        current = node.else;
+      }
+    } else {
+      const node = stack.pop();
+      if (node.kind !== t.close) {
+        const { line, column } = lineColumn(tpl, node.pos);
+        throw syntaxError(tpl, t.pos, `{{/${t.close}}} closes the {{#${node.kind}}} at line ${line}, column ${column}`);
+      }
+      current = top() ? openNodes(top()) : root.nodes;
+    }
+  }
+  if (stack.length) throw syntaxError(tpl, top().pos, `{{#${top().kind}}} is never closed`);
+  return root.nodes;
+}
+
+// Where the next node of an unclosed block goes
+function openNodes(node) {
+  if (node.else) return node.else;
+  return node.kind === 'if' ? node.if[node.if.length - 1].nodes : node.nodes;
+}
+
+// Top-level `|` (not `||` or `|=`, not inside brackets or strings)
+function topLevelPipes(src) {
+  const cuts = [];
+  let depth = 0, quote = null;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'" || c === '`') quote = c;
+    else if ('([{'.includes(c)) depth++;
+    else if (')]}'.includes(c)) depth--;
+    else if (c === '|' && depth === 0 && src[i - 1] !== '|' && src[i + 1] !== '|' && src[i + 1] !== '=') cuts.push(i);
+  }
+  return cuts;
+}
+
+// `dob | lunar | format('M月D日')` → `__filters.format(__filters.lunar((dob)), 'M月D日')`.
+// Only trailing segments naming a filter or helper are peeled off, so
+// bitwise OR and regex alternation keep their JS meaning.
+function compilePipes(expr, helperNames, filterNames) {
+  const cuts = topLevelPipes(expr);
+  if (!cuts.length) return expr;
+  const parts = [];
+  let from = 0;
+  cuts.forEach(c => { parts.push(expr.slice(from, c)); from = c + 1; });
+  parts.push(expr.slice(from));
+
+  const calls = [];
+  while (parts.length > 1) {
+    const m = FILTER_CALL.exec(parts[parts.length - 1]);
+    const isHelper = m && helperNames.has(m[1]);
+    if (!m || (!isHelper && !filterNames.has(m[1]))) break;
+    calls.unshift({ fn: isHelper ? m[1] : `__filters.${m[1]}`, args: m[2] && m[2].trim() });
+    parts.pop();
+  }
+  if (!calls.length) return expr;
+  return calls.reduce((js, { fn, args }) => `${fn}(${js}${args ? `, ${args}` : ''})`, `(${parts.join('|')})`);
+}
+
+/**
+ * Runs one {{ … }} and records it in the trace
+ * ({ expr, value, durationMs, error, line, column }).
+ * @param {'text'|'test'|'each'} kind – as text, as a condition, as an #each list
+ *   (value: the text, a boolean, the number of items)
+ * @returns {Promise<{ok:boolean, value:string|number|boolean|null, id:number}>}
+ */
+function evaluate(expr, env, pos, kind = 'text') {
+  const started = Date.now();
+  const id = env.nextId++;
+  return new Promise(resolve => {
+    env.pending.set(id, (value, error) => {
+      env.trace?.push({ expr, value, durationMs: Date.now() - started, error, ...lineColumn(env.tpl, pos) });
+      resolve({ ok: error === null, value, id });
+    });
+    try {
+      const js = compilePipes(expr, env.helperNames, env.filterNames);
+      // wrap so top-level await works; the arrow preserves "this".
+      // The timeout covers synchronous work only; the sandbox deadline covers awaits
+      const promise = env.realm.run(`(async () => (${js}))()`, { timeout: env.timeoutMs });
+      env.evaluator[kind](id, promise);
+    } catch (err) {
+      env.settle(id, undefined, String(err?.message ?? err));
+    }
+  });
+}
+
+async function render(nodes, env, scope) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += substitute(node.text, scope);
+    } else if (node.expr !== undefined) {
+      const expr = substitute(node.expr, scope);
+      const { ok, value } = await evaluate(expr, env, node.pos);
+      out += ok ? value : `{{${expr}}}`;   // leave placeholder if anything blows up
+    } else if (node.kind === 'if') {
+      let branch = null;
+      for (const b of node.if) {
+        // a failing condition counts as false
+        const { value } = await evaluate(substitute(b.cond, scope), env, b.pos, 'test');
+        if (value === true) { branch = b.nodes; break; }
+      }
+      out += await render(branch || node.else || [], env, scope);
+    } else {
+      out += await renderEach(node, env, scope);
+    }
+  }
+  return out;
+}
+
+async function renderEach(node, env, scope) {
+  const { ok, value, id } = await evaluate(substitute(node.each, scope), env, node.pos, 'each');
+  const count = ok && typeof value === 'number' ? value : 0;
+  if (!count) {
+    env.evaluator.leave(id);
+    return render(node.else || [], env, scope);
+  }
+
+  let out = '';
+  env.evaluator.enter(id, [node.as, node.index].filter(Boolean));
+  try {
+    for (let i = 0; i < count; i++) {
+      const shown = primitive(env.evaluator.item(id, i));
+      const locals = { [node.as]: String(shown), ...(node.index && { [node.index]: i }) };
+      out += await render(node.nodes, env, { ...scope, ...locals });
+    }
+  } finally {
+    env.evaluator.leave(id);
+  }
   return out;
 }
 
 /**
- * @param {string} template – raw prompt with {dob} and {{ … }}
- * @param {object} vars     – { dob, birthTime, gender }
- * @param {object} helpers  – merged helper functions (must return non-void)
- * @returns {Promise<string>} rendered prompt
+ * Syntax check without running anything.
+ * @returns {{message:string, line:number, column:number}|null}
  */
-module.exports = async function fillVars(template, vars, helpers = {}) {
-  // 0) escape stray back-ticks
-  let txt = template.replace(/`/g, '\\`');
+function checkTemplate(template) {
+  try {
+    parse(template);
+    return null;
+  } catch (err) {
+    if (err.line === undefined) throw err;
+    return { message: err.message, line: err.line, column: err.column };
+  }
+}
 
-  // 1) simple placeholders {dob} {birthTime}…
-  txt = txt.replace(/\{(\w+)\}/g, (_, k) => (k in vars ? vars[k] : `{${k}}`));
+/**
+ * @param {string} template – raw prompt with {dob}, {{ … }} and blocks (see above)
+ * @param {object} vars     – { dob, birthTime, gender }; copied into the context as JSON
+ * @param {object} helpers  – helper functions compiled in their own contexts
+ *   (utils/helpers.js); they shadow the builtins of utils/builtin.js
+ * @param {{trace?:object[], bridges?:object, timeoutMs?:number}} [options]
+ *   trace – filled with one entry per evaluated {{ … }}, block conditions and
+ *   lists included; bridges – capabilities the expressions may use (fetch,
+ *   console, see utils/realm.js); timeoutMs – per expression, sync part
+ * @returns {Promise<string>} rendered prompt
+ * @throws {ApiError} INVALID_REQUEST with line and column on a malformed block
+ */
+async function fillVars(template, vars, helpers = {}, { trace, bridges = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  // 1) blocks and expressions, from the template as written (so positions are real)
+  const nodes = parse(template);
 
-  // 2) build context (inherit safeRequire + fetch from parent)
-  const ctx = vm.createContext({ ...COMMON, ...vars, ...helpers });
+  // 2) build context: its own JS builtins, filters and builtin helpers made
+  //    from source, the vars as a copy, then the helpers and capabilities
+  const realm = createRealm(bridges);
+  const pending = new Map();
+  const settle = (id, value, error) => {
+    const done = pending.get(id);
+    if (!done) return;
+    pending.delete(id);
+    done(primitive(value), typeof error === 'string' ? error : null);
+  };
+  const { filters, TEXT } = realm.require('./filters');
+  const evaluator = realm.run(EVALUATOR_SOURCE)(settle, TEXT);
+  const builtins = realm.require('./builtin');
+  realm.assign(vars);
+  Object.assign(realm.ctx, builtins, helpers);
+  realm.ctx.__filters = filters;
 
-  // 3) async render
-  return await render(txt, ctx);
-};
+  // 3) async render; {dob} placeholders are filled per text run and expression
+  const env = {
+    realm, evaluator, settle, pending, nextId: 0, trace, timeoutMs, tpl: template,
+    helperNames: new Set([...Object.keys(builtins), ...Object.keys(helpers)]),
+    filterNames: new Set(Object.keys(filters))
+  };
+  return await render(nodes, env, vars);
+}
+module.exports = fillVars;
+module.exports.checkTemplate = checkTemplate;
@@ -0,0 +1,62 @@
+// utils/filters.js
+// Pipe filters for fillVars templates: {{ dob | lunar | format('YYYY年M月D日') }}.
+// A filter gets the piped value first, then the arguments in parentheses;
+// a helper of the same name takes its place (utils/helpers.js).
+// Evaluated from source inside each template context (utils/realm.js), which
+// resolves the require below; it is not loaded as a server module.
+const { solarToLunar, formatLunar } = require('../client/src/shared/lunar.mjs');
+
+// Values carrying this key render as its text instead of as JSON
+const TEXT = Symbol('text');
+
+const FORMAT_TOKENS = /\[([^\]]*)]|YYYY|YY|MM|M|DD|D|HH|H|mm|L/g;
+const pad = n => String(n).padStart(2, '0');
+
+// { Y, M, D, H, m, leap } from a lunar date, a Date, 'YYYY-MM-DD[ HH:mm]' or 'HH:mm'
+function dateParts(value) {
+  if (value && typeof value === 'object' && ['year', 'month', 'day'].every(k => Number.isInteger(value[k]))) {
+    return { Y: value.year, M: value.month, D: value.day, leap: Boolean(value.leap) };
+  }
+  if (Object.prototype.toString.call(value) === '[object Date]' && !Number.isNaN(value.getTime())) {
+    return { Y: value.getUTCFullYear(), M: value.getUTCMonth() + 1, D: value.getUTCDate(), H: value.getUTCHours(), m: value.getUTCMinutes() };
+  }
+  const s = String(value).trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/.exec(s);
+  if (m) return { Y: +m[1], M: +m[2], D: +m[3], H: m[4] && +m[4], m: m[5] && +m[5] };
+  m = /^(\d{1,2}):(\d{2})$/.exec(s);
+  if (m) return { H: +m[1], m: +m[2] };
+  throw new Error(`format: not a date: ${JSON.stringify(value)}`);
+}
+
+/**
+ * Date formatting: YYYY YY MM M DD D HH H mm, L (闰 for a leap lunar month),
+ * [text] for literal text.
+ */
+function format(value, pattern = 'YYYY-MM-DD') {
+  const p = dateParts(value);
+  return String(pattern).replace(FORMAT_TOKENS, (token, literal) => {
+    if (literal !== undefined) return literal;
+    if (token === 'L') return p.leap ? '闰' : '';
+    const n = p[token[0]];    // YYYY → Y, mm → m…
+    if (n === undefined) throw new Error(`format: ${token} is not in ${JSON.stringify(value)}`);
+    if (token === 'YY') return pad(n % 100);
+    return token.length === 2 ? pad(n) : String(n);
+  });
+}
+
+const filters = {
+  // Gregorian date → { year, month, day, leap }, rendered as '1990年四月初七'
+  lunar: value => {
+    const lunar = solarToLunar(format(value));
+    return { ...lunar, [TEXT]: formatLunar(lunar) };
+  },
+  format,
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  upper: value => String(value ?? '').toUpperCase(),
+  lower: value => String(value ?? '').toLowerCase(),
+  trim: value => String(value ?? '').trim(),
+  join: (value, separator = ', ') => Array.from(value ?? []).join(separator),
+  json: (value, indent) => JSON.stringify(value, null, indent)
+};
+
+module.exports = { filters, TEXT };
@@ -0,0 +1,140 @@
+// utils/helpers.js
+// Template helpers for fillVars, assembled the same way for /api/astro and
+// the /api/prompt/render dry run: builtin, inline one-liners, an uploaded
+// JS file and a JS file fetched over HTTPS – later sources win a name.
+// The request side (reading, fetching) runs in the function; compiling runs
+// in the sandbox with the template (utils/sandbox.js).
+'use strict';
+const busboy = require('busboy');
+const fetch = global.fetch || require('node-fetch');
+const compileHelper = require('./compileHelper');
+const { inspectHelperModule } = require('./loadHelperModule');
+// names only: the builtins themselves are made inside each template context (utils/fillVars.js)
+const BUILTIN_NAMES = Object.keys(require('./builtin'));
+
+const FETCH_TIMEOUT_MS = 5_000;
+
+/**
+ * Request fields and the uploaded helper file: multipart/form-data
+ * (<input name="file">) or JSON with the file base-64 encoded in `file`.
+ * @returns {Promise<{fields:object, fileCode:string|null}>}
+ * @throws {Error} for a malformed or truncated multipart body
+ */
+async function readHelperRequest(req) {
+  let fields = {};      // all non-file fields
+  let fileCode = null;  // JS text from <input name="file">
+
+  if (req.headers['content-type']?.startsWith('multipart/form-data')) {
+    await new Promise((resolve, reject) => {
+      const bb = busboy({ headers: req.headers });
+      bb.on('field', (name, val) => (fields[name] = val));
+      bb.on('file',  (name, stream) => {
+        if (name === 'file') {
+          let buf = '';
+          stream.on('data', d => (buf += d.toString('utf8')));
+          stream.on('end', () => (fileCode = buf));
+        } else stream.resume();
+      });
+      bb.on('finish', resolve);
+      bb.on('error',  reject);
+      req.on('error', reject);
+      req.on('aborted', () => reject(new Error('request aborted')));
+      req.pipe(bb);
+    });
+  } else {
+    fields = req.body || {};              // Express JSON middleware filled this
+    if (fields.file && typeof fields.file === 'string') {
+      // client sent base-64 in JSON
+      try { fileCode = Buffer.from(fields.file, 'base64').toString('utf8'); } catch { /* ignore */ }
+    }
+  }
+  return { fields, fileCode };
+}
+
+/**
+ * Everything that has to happen before the sandbox (utils/sandbox.js):
+ * parse the inline JSON and fetch `fileURL`. Failures are kept for the report.
+ * @param {{inline?:object|string, fileCode?:string|null, fileURL?:string}} request
+ *   inline – { name: "(dob)=>…" } (JSON text in multipart)
+ * @returns {Promise<{inline:object|null, fileCode:string|null, urlCode:string|null, errors:{inline?:string, url?:string}}>}
+ *   plain data, so it can be posted to a worker
+ */
+async function fetchHelperSources({ inline, fileCode = null, fileURL } = {}) {
+  const errors = {};
+  let urlCode = null;
+
+  // inline tiny helpers  {"age":"(dob)=>…"}
+  if (typeof inline === 'string' && inline.trim()) {
+    try {
+      inline = JSON.parse(inline);
+    } catch (err) {
+      errors.inline = `helpers is not valid JSON: ${err.message}`;
+    }
+  }
+  if (!inline || typeof inline !== 'object') inline = null;
+
+  // helper JS via HTTPS URL
+  if (fileURL && !/^https:\/\//.test(fileURL)) {
+    errors.url = 'fileURL must start with https://';
+  } else if (fileURL) {
+    try {
+      const r = await fetch(fileURL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      urlCode = await r.text();
+    } catch (err) {
+      // undici reports network errors as "fetch failed" with the reason in `cause`
+      const detail = err.name === 'TimeoutError' ? `no response within ${FETCH_TIMEOUT_MS} ms` : err.cause?.message || err.message;
+      errors.url = `fetch failed: ${detail}`;
+    }
+  }
+
+  return { inline, fileCode: fileCode || null, urlCode, errors };
+}
+
+/**
+ * Compile and merge every helper source (runs inside the sandbox). Nothing
+ * here fails the request: a rejected helper is left out and reported with the reason.
+ * @param {object} sources – from fetchHelperSources
+ * @param {object} [bridges] – capabilities helpers may use (fetch, console; see utils/realm.js)
+ * @returns {{helpers:object, report:object[]}} helpers – the helpers besides the builtins
+ *   report – one entry per helper { name, source, accepted, reason?, shadowedBy? }
+ *   (source builtin | inline | file | url); a file or URL rejected as a whole
+ *   is one entry with name null. shadowedBy: a later source that took the name.
+ */
+function assembleHelpers({ inline, fileCode, urlCode, errors = {} } = {}, bridges = {}) {
+  const helpers = {};
+  const report = [];
+  const accept = (name, fn, source) => {
+    report.forEach(e => { if (e.name === name && e.accepted && !e.shadowedBy) e.shadowedBy = source; });
+    if (fn) helpers[name] = fn;
+    report.push({ name, source, accepted: true });
+  };
+  const reject = (name, source, reason) => report.push({ name, source, accepted: false, reason });
+  const addFile = (code, source) => {
+    const { helpers: bag, entries, error } = inspectHelperModule(code, bridges);
+    if (error) return reject(null, source, error);
+    if (!entries.length) return reject(null, source, 'no helper functions found');
+    entries.forEach(e => (e.accepted ? accept(e.name, bag[e.name], source) : reject(e.name, source, e.reason)));
+  };
+
+  BUILTIN_NAMES.forEach(name => accept(name, null, 'builtin'));
+
+  if (errors.inline) reject(null, 'inline', errors.inline);
+  for (const [k, code] of Object.entries(inline || {})) {
+    try {
+      accept(k, compileHelper(code, bridges), 'inline');
+    } catch (err) {
+      reject(k, 'inline', err.message);
+    }
+  }
+
+  // helper JS file uploaded
+  if (fileCode) addFile(fileCode, 'file');
+
+  if (errors.url) reject(null, 'url', errors.url);
+  else if (typeof urlCode === 'string') addFile(urlCode, 'url');
+
+  return { helpers, report };
+}
+
+module.exports = { readHelperRequest, fetchHelperSources, assembleHelpers };
@@ -0,0 +1,96 @@
+// utils/inventory.js
+// Fill a bracelet from finite per-SKU stock instead of unlimited colors.
+// Elements that run out are under-filled and the gap is substituted with the
+// in-stock element currently furthest below its goal share.
+
+const ELEMENTS = ['metal', 'wood', 'water', 'fire', 'earth'];
+
+/**
+ * Validate and normalise inventory entries.
+ * @param {Array<{sku:string, color:string, element:string, stock:number}>} items
+ * @returns {Array} copy with numeric stock
+ * @throws {Error} on malformed entries
+ */
+function normalizeInventory(items) {
+  if (!Array.isArray(items)) throw new Error('inventory must be an array');
+  return items.map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) throw new Error(`inventory[${i}] must be an object`);
+    const { sku = item.id, color, element } = item;
+    const stock = Number(item.stock);
+    if (!ELEMENTS.includes(element)) throw new Error(`inventory[${i}].element must be one of ${ELEMENTS.join(', ')}`);
+    if (!color || typeof color !== 'string') throw new Error(`inventory[${i}].color is required`);
+    if (!Number.isInteger(stock) || stock < 0) throw new Error(`inventory[${i}].stock must be a non-negative integer`);
+    return { sku: String(sku ?? i), color, element, stock };
+  });
+}
+
+// Take one bead of `element`, from the SKU with the most stock left
+function take(pool, element) {
+  let best = null;
+  pool.forEach(item => {
+    if (item.element === element && item.left > 0 && (!best || item.left > best.left)) best = item;
+  });
+  if (!best) return null;
+  best.left--;
+  return { color: best.color, element, sku: best.sku };
+}
+
+/**
+ * @param {{[element:string]: number}} targets – bead count wanted per element
+ * @param {Array} inventory – normalised inventory (see normalizeInventory)
+ * @param {{[element:string]: number}} goal – goal percentages, used to rank substitutes
+ * @returns {{beads: Array<{color, element, sku}>, report: object}}
+ */
+function fillFromInventory(targets, inventory, goal) {
+  const pool = inventory.map(item => ({ ...item, left: item.stock }));
+  const numBeads = Object.values(targets).reduce((sum, c) => sum + c, 0);
+  const placed = Object.fromEntries(ELEMENTS.map(key => [key, 0]));
+  const beads = [];
+
+  // 1) Place as much of each element's quota as stock allows
+  const shortfalls = [];
+  ELEMENTS.forEach(key => {
+    for (let i = 0; i < (targets[key] || 0); i++) {
+      const bead = take(pool, key);
+      if (!bead) { shortfalls.push(key); continue; }
+      beads.push(bead);
+      placed[key]++;
+    }
+  });
+
+  // 2) Substitute each missing bead with the in-stock element furthest below goal
+  const substitutions = [];
+  let missing = 0;
+  shortfalls.forEach(forElement => {
+    const candidates = ELEMENTS.filter(key => pool.some(p => p.element === key && p.left > 0));
+    if (!candidates.length) { missing++; return; }
+    const deficit = key => (goal[key] || 0) * numBeads / 100 - placed[key];
+    const sub = candidates.reduce((a, b) => (deficit(b) > deficit(a) ? b : a));
+    beads.push(take(pool, sub));
+    placed[sub]++;
+    const row = substitutions.find(s => s.element === forElement && s.substitute === sub);
+    if (row) row.count++;
+    else substitutions.push({ element: forElement, substitute: sub, count: 1 });
+  });
+
+  const elements = {};
+  ELEMENTS.forEach(key => {
+    const target = targets[key] || 0;
+    const used = beads.filter(b => b.element === key).length;
+    elements[key] = {
+      target,
+      placed: used,
+      underFilled: Math.max(0, target - used),
+      substitutedIn: Math.max(0, used - target)
+    };
+  });
+  const usage = {};
+  pool.forEach(item => { if (item.stock !== item.left) usage[item.sku] = item.stock - item.left; });
+
+  return {
+    beads,
+    report: { elements, substitutions, missing, usage }
+  };
+}
+
+module.exports = { normalizeInventory, fillFromInventory };
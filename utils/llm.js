@@ -0,0 +1,219 @@
+// utils/llm.js
+// Provider layer for the two LLM stages of /api/astro:
+//   analysis   – free-text 命理 analysis      (default: DeepSeek chat completions)
+//   extraction – JSON ratios from that text  (default: OpenAI Responses API)
+// Each stage has its own { baseURL, model, api, apiKey }, resolved from
+// (lowest → highest priority) built-in defaults, environment variables and
+// the request body. Any OpenAI-compatible server works, local ones included.
+// Timeouts and retries are server settings (defaults or env), never taken
+// from the body.
+const OpenAI = require('openai');
+const { ApiError, fromUpstream } = require('./errors');
+
+const STAGES = ['analysis', 'extraction'];
+const APIS = ['chat', 'responses'];
+
+const DEFAULTS = {
+  analysis:   { baseURL: 'https://api.deepseek.com', model: 'deepseek-chat', api: 'chat' },
+  extraction: { baseURL: 'https://api.openai.com/v1', model: 'gpt-4.1', api: 'responses' }
+};
+// timeoutMs – longest wait for the reply (streaming: between chunks);
+// retries – extra attempts after a retryable error, backoffMs × 2^n apart
+const LIMITS = {
+  analysis:   { timeoutMs: 45000, retries: 1, backoffMs: 1000 },
+  extraction: { timeoutMs: 20000, retries: 2, backoffMs: 500 }
+};
+const MAX_BACKOFF_MS = 10000;
+// Hosted defaults always need a key; custom (e.g. local) servers may not
+const HOSTED = Object.values(DEFAULTS).map(d => d.baseURL);
+const NO_KEY = 'sk-no-key';
+
+// Legacy body fields that carry a stage's key
+const LEGACY_KEY = { analysis: 'deepseekKey', extraction: 'openaiKey' };
+
+// Read LLM_<STAGE>_<FIELD>, falling back to the single-provider LLM_<FIELD>
+function fromEnv(stage, env) {
+  const pick = field => env[`LLM_${stage.toUpperCase()}_${field}`] || env[`LLM_${field}`];
+  const cfg = {
+    baseURL: pick('BASE_URL'),
+    model: pick('MODEL'),
+    api: pick('API'),
+    apiKey: pick('API_KEY')
+  };
+  [['timeoutMs', 'TIMEOUT_MS'], ['retries', 'RETRIES'], ['backoffMs', 'BACKOFF_MS']].forEach(([k, field]) => {
+    const n = Number(pick(field));
+    if (pick(field) !== undefined && Number.isFinite(n) && n >= 0) cfg[k] = n;
+  });
+  Object.keys(cfg).forEach(k => cfg[k] === undefined && delete cfg[k]);
+  return cfg;
+}
+
+function clean(obj) {
+  const out = {};
+  if (obj && typeof obj === 'object') {
+    ['baseURL', 'model', 'api', 'apiKey'].forEach(k => {
+      if (typeof obj[k] === 'string' && obj[k].trim()) out[k] = obj[k].trim();
+    });
+  }
+  return out;
+}
+
+/**
+ * Resolve stage configs.
+ * Body may carry `provider` (both stages), `providers: { analysis, extraction }`
+ * and the legacy `deepseekKey` / `openaiKey`.
+ * baseURL/model/api from the body are ignored unless LLM_ALLOW_REQUEST_PROVIDERS=true:
+ * otherwise any caller could make the server call any host, or any model on its key.
+ * @param {string[]} [stages] – stages to resolve (default: both)
+ * @returns {{analysis?:object, extraction?:object}}
+ * @throws {ApiError} INVALID_REQUEST for an unknown api style, MISSING_KEY when a hosted stage has no key
+ */
+function resolveProviders(body = {}, env = process.env, stages = STAGES) {
+  const allowRequest = env.LLM_ALLOW_REQUEST_PROVIDERS === 'true';
+  const out = {};
+  stages.forEach(stage => {
+    const fromBody = { ...clean(body.provider), ...clean(body.providers && body.providers[stage]) };
+    if (!allowRequest) {
+      delete fromBody.baseURL; delete fromBody.model; delete fromBody.api;
+    }
+    const legacy = body[LEGACY_KEY[stage]];
+    if (legacy && !fromBody.apiKey) fromBody.apiKey = legacy;
+
+    const envCfg = fromEnv(stage, env);
+    // Never send a server-held key to a base URL, or for a model, chosen by the caller
+    const serverModel = envCfg.model || DEFAULTS[stage].model;
+    if ((fromBody.baseURL && fromBody.baseURL !== envCfg.baseURL) || (fromBody.model && fromBody.model !== serverModel)) {
+      delete envCfg.apiKey;
+    }
+    const cfg = { ...DEFAULTS[stage], ...LIMITS[stage], ...envCfg, ...fromBody };
+    if (!APIS.includes(cfg.api)) throw new ApiError('INVALID_REQUEST', `${stage}.api must be one of ${APIS.join(', ')}`);
+    if (!cfg.apiKey) {
+      if (HOSTED.includes(cfg.baseURL)) throw new ApiError('MISSING_KEY', `missing API key for ${stage} stage`);
+      cfg.apiKey = NO_KEY;
+    }
+    out[stage] = cfg;
+  });
+  return out;
+}
+
+// Public description of a stage config (never includes the key)
+function describe(cfg) {
+  return { baseURL: cfg.baseURL, model: cfg.model, api: cfg.api };
+}
+
+// Retries are ours (complete()), so the SDK's own are off
+function client(cfg) {
+  return new OpenAI({ baseURL: cfg.baseURL, apiKey: cfg.apiKey, maxRetries: 0 });
+}
+
+// Abort signal that fires after `ms` without touch(), and at `until` (epoch ms) at the latest
+function deadline(ms, until = Infinity) {
+  const controller = new AbortController();
+  const d = { signal: controller.signal, expired: false };
+  let timer;
+  d.touch = () => {
+    clearTimeout(timer);
+    const wait = Math.min(ms > 0 ? ms : Infinity, until - Date.now());
+    if (wait < Infinity) timer = setTimeout(() => { d.expired = true; controller.abort(); }, Math.max(wait, 0));
+  };
+  d.clear = () => clearTimeout(timer);
+  d.touch();
+  return d;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Strip ```json fences some chat models wrap around JSON
+function unfence(text) {
+  const m = /```(?:json)?\s*([\s\S]*?)```/.exec(text || '');
+  return m ? m[1] : text;
+}
+
+/**
+ * Run one stage.
+ * @param {object} cfg – resolved stage config
+ * @param {{system:string, user:string, schema?:{name:string, schema:object}}} req
+ *   schema – request JSON output following this JSON schema
+ * @param {(text:string) => void} [onDelta] – stream the reply, calling this per text chunk
+ * @param {{until?:number}} [options] – until: epoch ms by which the request must be answered
+ *   (every attempt stops there, and no retry starts that could not have its full timeout)
+ * @returns {Promise<string>} text (JSON text when a schema is given)
+ * @throws {ApiError} classified upstream error; err.attempts is the number of calls made.
+ *   Retryable errors are retried with backoff, except once streamed text was delivered.
+ */
+async function complete(cfg, req, onDelta, { until = Infinity } = {}) {
+  let delivered = false;
+  const forward = onDelta && (text => { delivered = true; onDelta(text); });
+  if (Date.now() >= until) throw new ApiError('UPSTREAM_TIMEOUT', 'no time left before the request deadline', { attempts: 0 });
+  for (let attempt = 0; ; attempt++) {
+    const d = deadline(cfg.timeoutMs, until);
+    try {
+      return await completeOnce(cfg, req, forward, d);
+    } catch (raw) {
+      const err = d.expired
+        ? new ApiError('UPSTREAM_TIMEOUT', Date.now() >= until
+          ? `no reply from ${cfg.baseURL} before the request deadline`
+          : `no reply from ${cfg.baseURL} within ${cfg.timeoutMs} ms`)
+        : fromUpstream(raw);
+      err.attempts = attempt + 1;
+      if (!err.retryable || delivered || attempt >= (cfg.retries || 0)) throw err;
+      const backoff = Math.min(MAX_BACKOFF_MS, Math.max((cfg.backoffMs || 0) * 2 ** attempt * (1 + Math.random() / 4), err.retryAfterMs || 0));
+      // a retry that would be cut short by the deadline is not worth starting
+      if (Date.now() + backoff + (cfg.timeoutMs || 0) > until) throw err;
+      await sleep(backoff);
+    } finally {
+      d.clear();
+    }
+  }
+}
+
+async function completeOnce(cfg, { system, user, schema }, onDelta, d) {
+  const api = client(cfg);
+  const opts = { signal: d.signal };
+  if (onDelta) return streamText(api, cfg, system, user, text => { d.touch(); onDelta(text); }, opts);
+  if (cfg.api === 'responses') {
+    const params = {
+      model: cfg.model,
+      input: [
+        { role: 'system', content: system },
+        { role: 'user',   content: user }
+      ]
+    };
+    if (schema) params.text = { format: { type: 'json_schema', name: schema.name, schema: schema.schema } };
+    const r = await api.responses.create(params, opts);
+    return r.output_text;
+  }
+  const params = {
+    model: cfg.model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user',   content: user }
+    ]
+  };
+  if (schema) params.response_format = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema } };
+  const r = await api.chat.completions.create(params, opts);
+  const text = r.choices?.[0]?.message?.content;
+  return schema ? unfence(text) : text;
+}
+
+// Streamed variant of complete() (plain text only); resolves to the full text
+async function streamText(api, cfg, system, user, onDelta, opts) {
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user',   content: user }
+  ];
+  let text = '';
+  const emit = chunk => { if (chunk) { text += chunk; onDelta(chunk); } };
+  if (cfg.api === 'responses') {
+    const stream = await api.responses.create({ model: cfg.model, input: messages, stream: true }, opts);
+    for await (const ev of stream) {
+      if (ev.type === 'response.output_text.delta') emit(ev.delta);
+    }
+  } else {
+    const stream = await api.chat.completions.create({ model: cfg.model, messages, stream: true }, opts);
+    for await (const chunk of stream) emit(chunk.choices?.[0]?.delta?.content);
+  }
+  return text;
+}
+
+module.exports = { resolveProviders, describe, complete, client, STAGES, DEFAULTS, LIMITS };
@@ -1,9 +1,9 @@
 // utils/loadHelperModule.js
-const vm = require('vm');
+'use strict';
+const { createRealm } = require('./realm');
 
 const MAX_SIZE = 10_000;
 const BAD_WORD = /require\(|import\s|process\./;
-const SAFE_G   = { Math, Date, Intl };
 
 // Whatever’s left in bag is guaranteed to return … something.
 function returnsSomething(fn) {
@@ -11,29 +11,56 @@ function returnsSomething(fn) {
   return /=>\s*[^({]/.test(s) || /return\s+/.test(s);
 }
 
-module.exports = function loadHelperModule(code = '') {
-  if (typeof code !== 'string' || code.length > MAX_SIZE || BAD_WORD.test(code)) return {};
+/**
+ * Load a helper file and say what happened to each helper in it.
+ * @param {string} code
+ * @param {object} [bridges] – capabilities the file may use (utils/realm.js)
+ * @returns {{helpers:object, entries:{name:string, accepted:boolean, reason?:string}[], error:string|null}}
+ *   error – why the whole file was rejected (then helpers and entries are empty)
+ */
+function inspectHelperModule(code = '', bridges = {}) {
+  const rejected = error => ({ helpers: {}, entries: [], error });
+  if (typeof code !== 'string') return rejected('helper file must be text');
+  if (code.length > MAX_SIZE) return rejected(`helper file is ${code.length} chars (max ${MAX_SIZE})`);
+  const bad = BAD_WORD.exec(code);
+  if (bad) return rejected(`helper file contains "${bad[0].trim()}"`);
 
-  const ctx = vm.createContext({ module: { exports: {} }, exports: {}, ...SAFE_G });
+  const { ctx, run } = createRealm(bridges);
+  run('var module = { exports: {} }, exports = module.exports;');
 
   try {
-    new vm.Script(code, { filename: 'userHelpers.js' }).runInContext(ctx, { timeout: 50 });
-  } catch { return {}; }
+    run(code, { filename: 'userHelpers.js', timeout: 50 });
+  } catch (err) {
+    return rejected(`helper file failed to run: ${err.message}`);
+  }
 
   const bag = {};
+  const entries = new Map();   // name → verdict
+  const consider = (k, v) => {
+    if (typeof v !== 'function') entries.set(k, { name: k, accepted: false, reason: 'not a function' });
+    else if (!returnsSomething(v)) entries.set(k, { name: k, accepted: false, reason: 'helper must return a value' });
+    else {
+      bag[k] = v;
+      entries.set(k, { name: k, accepted: true });
+    }
+  };
 
   // A) explicit module.exports object
   const exp = ctx.module.exports;
   if (exp && typeof exp === 'object') {
-    for (const [k, v] of Object.entries(exp))
-      if (typeof v === 'function' && returnsSomething(v)) bag[k] = v;
+    for (const [k, v] of Object.entries(exp)) consider(k, v);
   }
 
   // B) any other top-level functions
   for (const [k, v] of Object.entries(ctx)) {
-    if (['module', 'exports'].includes(k)) continue;
-    if (typeof v === 'function' && !(k in bag) && returnsSomething(v)) bag[k] = v;
+    if (['module', 'exports'].includes(k) || k in bridges) continue;
+    if (typeof v === 'function' && !(k in bag)) consider(k, v);
   }
 
-  return bag;         // may be empty – caller merges harmlessly
+  return { helpers: bag, entries: [...entries.values()], error: null };
+}
+
+module.exports = function loadHelperModule(code = '', bridges = {}) {
+  return inspectHelperModule(code, bridges).helpers;   // may be empty – caller merges harmlessly
 };
+module.exports.inspectHelperModule = inspectHelperModule;
@@ -0,0 +1,127 @@
+// utils/palette.js
+// Per-element shade palettes generated around a base hex colour in OKLCH,
+// so the shades step evenly in perceived lightness rather than raw RGB.
+
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const DEFAULT_SHADES = 3;
+const MAX_SHADES = 8;            // past this the lightness clamp only repeats shades
+const L_STEP = 0.08;             // lightness step between neighbouring shades
+const L_MIN = 0.2, L_MAX = 0.95;
+
+/* ─── sRGB ⇄ OKLab (Björn Ottosson) ───────────────────────────────── */
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const toGamma  = c => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+function hexToRgb(hex) {
+  const m = HEX_RE.exec(String(hex).trim());
+  if (!m) return null;
+  let h = m[1];
+  if (h.length === 3) h = h.split('').map(c => c + c).join('');
+  return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16) / 255);
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb
+    .map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+function rgbToOklch([r, g, b]) {
+  [r, g, b] = [r, g, b].map(toLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  return [L, Math.hypot(a, B), Math.atan2(B, a)];
+}
+
+function oklchToRgb([L, C, h]) {
+  const a = C * Math.cos(h), b = C * Math.sin(h);
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076390622 * s
+  ].map(toGamma);
+}
+
+const inGamut = rgb => rgb.every(c => c >= -1e-4 && c <= 1 + 1e-4);
+
+// Reduce chroma until the colour fits in sRGB (keeps hue and lightness)
+function fitGamut([L, C, h]) {
+  let rgb = oklchToRgb([L, C, h]);
+  while (!inGamut(rgb) && C > 0.001) {
+    C *= 0.9;
+    rgb = oklchToRgb([L, C, h]);
+  }
+  return rgb;
+}
+
+/**
+ * Generate `count` shades centred on `hex` (the base colour is always included).
+ * @returns {string[]} hex colours, darkest → lightest; [] for invalid input
+ */
+function generatePalette(hex, count = DEFAULT_SHADES) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return [];
+  const [L, C, h] = rgbToOklch(rgb);
+  const shades = [];
+  for (let i = 0; i < count; i++) {
+    const offset = (i - (count - 1) / 2) * L_STEP;
+    if (offset === 0) { shades.push(rgbToHex(rgb)); continue; }
+    const Li = Math.min(L_MAX, Math.max(L_MIN, L + offset));
+    shades.push(rgbToHex(fitGamut([Li, C, h])));
+  }
+  return [...new Set(shades)];
+}
+
+/**
+ * `shades` as sent (a whole number or a string of digits) → shade count.
+ * @throws {Error} unless it is a whole number from 1 to MAX_SHADES
+ */
+function parseShades(raw) {
+  const n = typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : raw;
+  if (!Number.isInteger(n) || n < 1 || n > MAX_SHADES) {
+    throw new Error(`shades must be a whole number from 1 to ${MAX_SHADES}`);
+  }
+  return n;
+}
+
+/**
+ * Use explicit palettes where they are valid, otherwise generate around colors.
+ * @param {{[element:string]: string}} colors
+ * @param {{[element:string]: string[]}} [palettes]
+ */
+function resolvePalettes(colors = {}, palettes = {}, count = DEFAULT_SHADES) {
+  const out = {};
+  Object.entries(colors || {}).forEach(([key, hex]) => {
+    const given = Array.isArray(palettes?.[key])
+      ? palettes[key].map(hexToRgb).filter(Boolean).map(rgbToHex)
+      : [];
+    out[key] = given.length ? given : generatePalette(hex, count);
+  });
+  return out;
+}
+
+/**
+ * Perceptual midpoint of two colours (mixed in OKLab, so the hue goes the
+ * short way round and lightness stays even), e.g. a couple's shared accent.
+ * @returns {string|null} hex colour; the valid one when only one parses
+ */
+function mixColors(hexA, hexB) {
+  const [a, b] = [hexA, hexB].map(hexToRgb);
+  if (!a || !b) return a ? rgbToHex(a) : b ? rgbToHex(b) : null;
+  const lab = rgb => {
+    const [L, C, h] = rgbToOklch(rgb);
+    return [L, C * Math.cos(h), C * Math.sin(h)];
+  };
+  const [L, A, B] = lab(a).map((v, i) => (v + lab(b)[i]) / 2);
+  return rgbToHex(fitGamut([L, Math.hypot(A, B), Math.atan2(B, A)]));
+}
+
+module.exports = { MAX_SHADES, parseShades, generatePalette, resolvePalettes, mixColors, hexToRgb, rgbToHex, rgbToOklch };
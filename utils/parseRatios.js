@@ -0,0 +1,166 @@
+// utils/parseRatios.js
+// Local extraction of { current, goal, colors, palettes } from the analysis
+// Markdown, so /api/astro can skip (or fall back from) the LLM extraction call.
+//
+// Understands:
+// - the basicPrompt table       | 五行 | 原局比例 | 调节目标 | 推荐颜色 |
+// - the advancedPrompt 色彩处方 |  | 基础色 | 强化色 | 禁忌色 |  (禁忌色 is ignored)
+// - the advancedPrompt 能量图谱 lines  "金 ████ 35%"  or  "金 ████ 35% → 25%"
+//   (first percentage = current, second = goal)
+// splitSections() cuts a couple's analysis into 甲方 / 乙方 parts first.
+
+const ELEMENT_KEYS = { 金: 'metal', 木: 'wood', 水: 'water', 火: 'fire', 土: 'earth' };
+const ELEMENTS = Object.values(ELEMENT_KEYS);
+
+const HEX_RE = /#[0-9a-fA-F]{6}\b|#[0-9a-fA-F]{3}\b/g;
+const PERCENT_RE = /(\d+(?:\.\d+)?)\s*%?/;
+const BAR_LINE_RE = /^\s*[*_]*([金木水火土])[*_]*\s*[:：]?\s*[█▉▊▋▌▍▎▏■▇▆▅▄▃▂▁░▒▓]+[^\d]*?(\d+(?:\.\d+)?)\s*%(?:.*?(\d+(?:\.\d+)?)\s*%)?/;
+
+// Header keywords → field
+const CURRENT_RE = /原局|当前|现状|current/i;
+const GOAL_RE = /目标|调节后|建议比例|goal/i;
+const COLOR_RE = /色|color/i;
+const TABOO_RE = /禁忌|避免|忌/;
+
+const splitRow = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+const isSeparator = cells => cells.every(c => /^:?-*:?$/.test(c));
+
+// Element of a row label cell ("**金**", "金（Metal）"…), or null
+function rowElement(cell) {
+  const ch = cell.replace(/[*_`\s]/g, '')[0];
+  return ELEMENT_KEYS[ch] || null;
+}
+
+// Group consecutive "|" lines into tables: { header: string[], rows: string[][] }
+function findTables(text) {
+  const tables = [];
+  let block = [];
+  const flush = () => {
+    if (block.length >= 2) {
+      const rows = block.map(splitRow).filter(cells => !isSeparator(cells));
+      if (rows.length >= 2) tables.push({ header: rows[0], rows: rows.slice(1) });
+    }
+    block = [];
+  };
+  text.split('\n').forEach(line => {
+    if (line.trim().startsWith('|')) block.push(line);
+    else flush();
+  });
+  flush();
+  return tables;
+}
+
+// Pull per-element values out of one table
+function readTable({ header, rows }) {
+  const cols = { current: -1, goal: -1, colors: [] };
+  header.forEach((h, i) => {
+    if (cols.current < 0 && CURRENT_RE.test(h)) cols.current = i;
+    else if (cols.goal < 0 && GOAL_RE.test(h)) cols.goal = i;
+    else if (COLOR_RE.test(h) && !TABOO_RE.test(h)) cols.colors.push(i);
+  });
+  const out = { current: {}, goal: {}, colors: {}, palettes: {} };
+  rows.forEach(cells => {
+    const el = rowElement(cells[0] || '');
+    if (!el) return;
+    const num = i => {
+      const m = i >= 0 && cells[i] ? PERCENT_RE.exec(cells[i]) : null;
+      return m ? Number(m[1]) : undefined;
+    };
+    if (num(cols.current) !== undefined) out.current[el] = num(cols.current);
+    if (num(cols.goal) !== undefined) out.goal[el] = num(cols.goal);
+    const shades = cols.colors.flatMap(i => (cells[i] || '').match(HEX_RE) || []);
+    if (shades.length) {
+      out.colors[el] = shades[0];
+      out.palettes[el] = [...new Set(shades)];
+    }
+  });
+  return out;
+}
+
+// 能量图谱 bar lines
+function readBars(text) {
+  const out = { current: {}, goal: {} };
+  text.split('\n').forEach(line => {
+    const m = BAR_LINE_RE.exec(line);
+    if (!m) return;
+    const el = ELEMENT_KEYS[m[1]];
+    if (out.current[el] === undefined) out.current[el] = Number(m[2]);
+    if (m[3] !== undefined && out.goal[el] === undefined) out.goal[el] = Number(m[3]);
+  });
+  return out;
+}
+
+const complete = obj => ELEMENTS.every(e => obj[e] !== undefined);
+
+/**
+ * Extract ratios from analysis Markdown.
+ * For each field the first table / block with all five elements wins.
+ * @param {string} text
+ * @returns {{ratios:object|null, sources:object, missing:string[]}}
+ *   ratios – { current, goal, colors, palettes? } when current, goal and colors were all found
+ *   sources – where each field came from ('table' | 'bars')
+ *   missing – fields that could not be found
+ */
+function parseRatios(text) {
+  const found = {};
+  const sources = {};
+  const take = (field, value, source) => {
+    if (!found[field] && complete(value)) { found[field] = value; sources[field] = source; }
+  };
+  findTables(String(text || '')).forEach(t => {
+    const r = readTable(t);
+    take('current', r.current, 'table');
+    take('goal', r.goal, 'table');
+    take('colors', r.colors, 'table');
+    // Only keep palettes that actually offer several shades
+    if (!found.palettes && ELEMENTS.some(e => (r.palettes[e] || []).length > 1)) {
+      found.palettes = r.palettes;
+      sources.palettes = 'table';
+    }
+  });
+  const bars = readBars(String(text || ''));
+  take('current', bars.current, 'bars');
+  take('goal', bars.goal, 'bars');
+
+  const missing = ['current', 'goal', 'colors'].filter(f => !found[f]);
+  const ratios = missing.length ? null : found;
+  return { ratios, sources, missing };
+}
+
+// Markdown heading ("### 甲方五行比例") or bold-only line ("**乙方：**")
+const HEADING_RE = /^\s*(#{1,6})\s+(.*)$|^\s*\*\*(.+?)\*\*\s*[:：]?\s*$/;
+
+/**
+ * Split a multi-person analysis (compatibilityPrompt) into per-person sections.
+ * A section starts at the first heading naming the label and runs to the next
+ * person's heading, or for the last one to the next heading of the same or a
+ * higher level.
+ * @param {string} text
+ * @param {string[]} labels – e.g. ['甲方', '乙方']
+ * @returns {{[label:string]: string|null}} null when no heading names the label
+ */
+function splitSections(text, labels) {
+  const lines = String(text || '').split('\n');
+  const heads = lines.map(line => {
+    const m = HEADING_RE.exec(line);
+    if (!m) return null;
+    const title = m[2] || m[3];
+    return { level: m[1] ? m[1].length : 7, label: labels.find(l => title.includes(l)) };
+  });
+  const starts = labels
+    .map(label => ({ label, at: heads.findIndex(h => h && h.label === label) }))
+    .filter(s => s.at >= 0)
+    .sort((a, b) => a.at - b.at);
+  const out = Object.fromEntries(labels.map(l => [l, null]));
+  starts.forEach(({ label, at }, i) => {
+    let end = i + 1 < starts.length ? starts[i + 1].at : lines.length;
+    if (i + 1 === starts.length) {
+      const next = heads.findIndex((h, j) => j > at && h && h.level <= heads[at].level);
+      if (next >= 0) end = next;
+    }
+    out[label] = lines.slice(at, end).join('\n');
+  });
+  return out;
+}
+
+module.exports = { parseRatios, splitSections };
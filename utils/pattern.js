@@ -0,0 +1,179 @@
+// utils/pattern.js
+// Pattern DSL for /api/arrange: fixed beads (e.g. 主珠), repeating motifs and
+// spacer rules. Only non-spacer beads take part in the ratio math.
+//
+// {
+//   "motif":   "A-B-A-C",            // tiled over the bead slots; tokens are
+//                                    //   an element (metal…earth), '*' (free),
+//                                    //   or a letter (same element wherever it appears)
+//   "fixed":   [{ "index": 0, "element": "water", "color": "#1E3A8A", "sizeMm": 14, "role": "focal" }],
+//   "spacers": { "every": 3, "aroundFixed": true, "color": "#C0C0C0", "sizeMm": 4 }
+// }
+
+const ELEMENTS = ['metal', 'wood', 'water', 'fire', 'earth'];
+const FREE = '*';
+const LETTER_RE = /^[A-Z]$/;
+const HEX_RE = /^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/;
+const SPACER_DEFAULTS = { color: '#C0C0C0', sizeMm: 4 };
+// Bead diameters in mm: BEAD_MM_RANGE of client/src/shared/sizing.mjs
+const SIZE_MM_RANGE = [2, 30];
+
+const isSizeMm = v => typeof v === 'number' && v >= SIZE_MM_RANGE[0] && v <= SIZE_MM_RANGE[1];
+const sizeMmError = name => new Error(`${name} must be a number of mm from ${SIZE_MM_RANGE.join(' to ')}`);
+
+/**
+ * Validate a pattern against the number of ratio beads.
+ * @returns {{motif:string[], fixed:Array, spacers:object|null}}
+ * @throws {Error} describing the first problem found
+ */
+function parsePattern(pattern, numBeads) {
+  if (!pattern || typeof pattern !== 'object') throw new Error('pattern must be an object');
+
+  let motif = pattern.motif || [FREE];
+  if (typeof motif === 'string') motif = motif.split(/[\s,\-]+/).filter(Boolean);
+  if (!Array.isArray(motif) || !motif.length) throw new Error('motif must be a non-empty list');
+  motif.forEach(tok => {
+    if (tok !== FREE && !ELEMENTS.includes(tok) && !LETTER_RE.test(tok)) {
+      throw new Error(`motif token "${tok}" must be an element, "*" or a letter A-Z`);
+    }
+  });
+  // one letter per element at most: assignLetters tries every combination
+  const letters = new Set(motif.filter(tok => LETTER_RE.test(tok)));
+  if (letters.size > ELEMENTS.length) {
+    throw new Error(`motif uses ${letters.size} letters; at most ${ELEMENTS.length}, one per element`);
+  }
+
+  const fixed = (pattern.fixed || []).map((f, i) => {
+    const index = Number(f && f.index);
+    if (!Number.isInteger(index) || index < 0 || index >= numBeads) {
+      throw new Error(`fixed[${i}].index must be an integer in [0, ${numBeads - 1}]`);
+    }
+    if (!ELEMENTS.includes(f.element)) throw new Error(`fixed[${i}].element must be one of ${ELEMENTS.join(', ')}`);
+    if (f.color !== undefined && !(typeof f.color === 'string' && HEX_RE.test(f.color))) {
+      throw new Error(`fixed[${i}].color must be a hex color like #1E3A8A`);
+    }
+    if (f.sizeMm !== undefined && !isSizeMm(f.sizeMm)) throw sizeMmError(`fixed[${i}].sizeMm`);
+    return { index, element: f.element, color: f.color, sizeMm: f.sizeMm, role: f.role || 'fixed' };
+  });
+  if (new Set(fixed.map(f => f.index)).size !== fixed.length) throw new Error('fixed indexes must be unique');
+
+  let spacers = null;
+  if (pattern.spacers) {
+    const { every } = pattern.spacers;
+    if (every != null && !(Number.isInteger(every) && every > 0)) throw new Error('spacers.every must be a positive integer');
+    const { color } = pattern.spacers;
+    if (color !== undefined && !(typeof color === 'string' && HEX_RE.test(color))) {
+      throw new Error('spacers.color must be a hex color like #C0C0C0');
+    }
+    if (pattern.spacers.sizeMm !== undefined && !isSizeMm(pattern.spacers.sizeMm)) throw sizeMmError('spacers.sizeMm');
+    spacers = { ...SPACER_DEFAULTS, ...pattern.spacers };
+  }
+  return { motif, fixed, spacers };
+}
+
+// Split k slots across elements in proportion to weights (largest remainder)
+function apportion(weights, k) {
+  const total = ELEMENTS.reduce((sum, e) => sum + (weights[e] || 0), 0);
+  const out = Object.fromEntries(ELEMENTS.map(e => [e, 0]));
+  if (!total || k <= 0) return out;
+  const rems = ELEMENTS.map(e => {
+    const f = (weights[e] || 0) * k / total;
+    out[e] = Math.floor(f);
+    return { e, rem: f - Math.floor(f) };
+  });
+  let left = k - ELEMENTS.reduce((sum, e) => sum + out[e], 0);
+  rems.sort((a, b) => b.rem - a.rem);
+  for (let i = 0; left > 0; i = (i + 1) % rems.length, left--) out[rems[i].e]++;
+  return out;
+}
+
+// Pick elements for motif letters: least overshoot of the targets, then
+// prefer distinct elements for distinct letters
+function assignLetters(letters, letterCounts, committed, targets) {
+  let best = null;
+  const pick = (i, chosen) => {
+    if (i === letters.length) {
+      const used = { ...committed };
+      letters.forEach((l, j) => { used[chosen[j]] += letterCounts[l]; });
+      const over = ELEMENTS.reduce((sum, e) => sum + Math.max(0, used[e] - (targets[e] || 0)), 0);
+      const cost = over * 100 + (letters.length - new Set(chosen).size);
+      if (!best || cost < best.cost) best = { cost, chosen: [...chosen] };
+      return;
+    }
+    ELEMENTS.forEach(e => { chosen.push(e); pick(i + 1, chosen); chosen.pop(); });
+  };
+  pick(0, []);
+  return Object.fromEntries(letters.map((l, j) => [l, best.chosen[j]]));
+}
+
+/**
+ * Lay out a bracelet from a parsed pattern.
+ * @param {object} parsed – result of parsePattern
+ * @param {object} opts
+ * @param {number} opts.numBeads – ratio (non-spacer) beads
+ * @param {{[element:string]: number}} opts.targets – bead count wanted per element
+ * @param {(element:string, k:number) => string} opts.colorFor – k-th color for an element
+ * @param {(beads:Array, rng:Function) => Array} opts.arrange – ordering strategy for free slots
+ * @param {Function} opts.rng
+ * @param {number[]} [opts.sizes] – diameter per ratio bead (mm)
+ * @returns {Array<{color:string, element:string|null, role:string, size?:number}>}
+ */
+function buildPattern(parsed, { numBeads, targets, colorFor, arrange, rng, sizes }) {
+  const { motif, fixed, spacers } = parsed;
+  const slots = Array.from({ length: numBeads }, (_, i) => ({ token: motif[i % motif.length] }));
+  fixed.forEach(f => { slots[f.index] = { token: f.element, fixed: f }; });
+
+  // Elements already committed by fixed beads and element tokens
+  const committed = Object.fromEntries(ELEMENTS.map(e => [e, 0]));
+  const letterCounts = {};
+  slots.forEach(s => {
+    if (ELEMENTS.includes(s.token)) committed[s.token]++;
+    else if (LETTER_RE.test(s.token)) letterCounts[s.token] = (letterCounts[s.token] || 0) + 1;
+  });
+  const letters = Object.keys(letterCounts).sort();
+  const binding = letters.length ? assignLetters(letters, letterCounts, committed, targets) : {};
+  letters.forEach(l => { committed[binding[l]] += letterCounts[l]; });
+
+  // Free slots make up what is still missing from each element's quota
+  const freeSlots = slots.filter(s => s.token === FREE);
+  const missing = Object.fromEntries(ELEMENTS.map(e => [e, Math.max(0, (targets[e] || 0) - committed[e])]));
+  const hasMissing = ELEMENTS.some(e => missing[e] > 0);
+  const freeCounts = apportion(hasMissing ? missing : targets, freeSlots.length);
+
+  const used = Object.fromEntries(ELEMENTS.map(e => [e, 0]));
+  const nextColor = e => colorFor(e, used[e]++);
+  const pool = [];
+  ELEMENTS.forEach(e => { for (let i = 0; i < freeCounts[e]; i++) pool.push({ element: e }); });
+  const orderedPool = arrange(pool, rng);
+
+  let f = 0;
+  const beads = slots.map((s, i) => {
+    const size = sizes ? sizes[i] : undefined;
+    if (s.fixed) {
+      used[s.fixed.element]++;
+      return { color: s.fixed.color || colorFor(s.fixed.element, 0), element: s.fixed.element, role: s.fixed.role, size: s.fixed.sizeMm || size };
+    }
+    const element = s.token === FREE ? orderedPool[f++].element : (binding[s.token] || s.token);
+    return { color: nextColor(element), element, role: 'bead', size };
+  });
+
+  if (!spacers) return beads;
+  // Insert spacers: after every N beads and/or on both sides of fixed beads
+  const spacer = () => ({ color: spacers.color, element: null, role: 'spacer', size: spacers.sizeMm });
+  const out = [];
+  beads.forEach((b, i) => {
+    const isFixed = b.role !== 'bead';
+    if (spacers.aroundFixed && isFixed && out.length && out[out.length - 1].role !== 'spacer') out.push(spacer());
+    out.push(b);
+    const next = beads[(i + 1) % beads.length];
+    if ((spacers.every && (i + 1) % spacers.every === 0) ||
+        (spacers.aroundFixed && (isFixed || next.role !== 'bead'))) {
+      out.push(spacer());
+    }
+  });
+  // Circular seam: avoid two spacers meeting across the clasp
+  if (out.length > 1 && out[0].role === 'spacer' && out[out.length - 1].role === 'spacer') out.pop();
+  return out;
+}
+
+module.exports = { parsePattern, buildPattern };
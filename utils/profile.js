@@ -0,0 +1,151 @@
+// utils/profile.js
+// One person's birth input → normalised birth data, 四柱 and the template
+// variables ({dob}, {lunarDob}, {bazi}, {solarTime}…) shared by /api/astro
+// and the /api/prompt/render dry run.
+const { computeBazi, formatBazi } = require('./bazi');
+const { solarTime, zoneOffsetMinutes, DEFAULT_TIME_ZONE } = require('./solarTime');
+
+// dob is read as a Gregorian or a Chinese lunar (农历) date
+const CALENDARS = ['gregorian', 'lunar'];
+
+// Birth data as sent to the model and used in the cache key: "1990-5-1" ≡ "1990-05-01", "8:05" ≡ "08:05", 男 ≡ male
+function normalizeBirth({ dob, birthTime, gender }) {
+  const pad = n => String(n).padStart(2, '0');
+  const d = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(dob).trim());
+  const t = /^(\d{1,2}):(\d{2})/.exec(String(birthTime).trim());
+  const g = String(gender).trim().toLowerCase();
+  return {
+    dob: d ? `${d[1]}-${pad(d[2])}-${pad(d[3])}` : String(dob).trim(),
+    birthTime: t ? `${pad(t[1])}:${t[2]}` : String(birthTime).trim(),
+    gender: /^(male|m|男)$/.test(g) ? 'male' : /^(female|f|女)$/.test(g) ? 'female' : g
+  };
+}
+
+// Birthplace: a gazetteer city (client/src/shared/gazetteer.mjs) and/or raw
+// coordinates; explicit longitude/latitude/timezone win over the city's
+function resolvePlace({ birthplace, longitude, latitude, timezone }, findCity) {
+  const num = v => (v === undefined || v === null || v === '' ? undefined : Number(v));
+  const lon = num(longitude);
+  const lat = num(latitude);
+  if (lon !== undefined && !(Number.isFinite(lon) && Math.abs(lon) <= 180)) throw new Error('longitude must be a number in [-180, 180]');
+  if (lat !== undefined && !(Number.isFinite(lat) && Math.abs(lat) <= 90)) throw new Error('latitude must be a number in [-90, 90]');
+  const name = String(birthplace || '').trim();
+  const city = name ? findCity(name) : null;
+  if (name && !city && lon === undefined) throw new Error(`unknown birthplace "${name}" – send longitude/latitude instead`);
+  return {
+    birthplace: city ? city.name : name || null,
+    longitude: lon ?? city?.lon,
+    latitude: lat ?? city?.lat,
+    timezone: String(timezone || '').trim() || city?.tz || DEFAULT_TIME_ZONE
+  };
+}
+
+/**
+ * One person's birth data → normalised inputs, 四柱 and prompt vars.
+ * Lunar dob (calendar: 'lunar', leapMonth for 闰月) is converted to Gregorian;
+ * both forms reach the prompt ({dob}, {lunarDob}).
+ * @param {object} P – dob, birthTime, gender, calendar?, leapMonth?, birthplace?, longitude?, latitude?, timezone?
+ * @returns {Promise<object>} { dob, birthTime, gender, place, birth, bazi, vars },
+ *   or { error } holding the 400 body for invalid input
+ */
+async function loadProfile(P) {
+  // Normalised so equivalent inputs render the same prompt (and share a cache entry)
+  const { dob: enteredDob, birthTime, gender } = normalizeBirth(P);
+
+  const calendar = P.calendar || 'gregorian';
+  if (!CALENDARS.includes(calendar)) {
+    return { error: { error: 'Invalid calendar', code: 'INVALID_REQUEST', calendars: CALENDARS } };
+  }
+  const { lunarToSolar, solarToLunar, formatLunar } = await import('../client/src/shared/lunar.mjs');
+  let dob = enteredDob;
+  let lunar = null;
+  if (calendar === 'lunar') {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(enteredDob);
+    try {
+      if (!m) throw new Error('dob must be YYYY-MM-DD (lunar year, month, day)');
+      lunar = { year: +m[1], month: +m[2], day: +m[3], leap: P.leapMonth === true || P.leapMonth === 'true' };
+      dob = lunarToSolar(lunar);
+    } catch (err) {
+      return { error: { error: 'Invalid lunar date', code: 'INVALID_REQUEST', details: err.message } };
+    }
+  } else {
+    try { lunar = solarToLunar(dob); } catch {/* outside the lunar table ⇒ no {lunarDob} */}
+  }
+
+  // Where and in which timezone the birth time was read off the clock
+  const { findCity } = await import('../client/src/shared/gazetteer.mjs');
+  let place;
+  try {
+    place = resolvePlace(P, findCity);
+  } catch (err) {
+    return { error: { error: 'Invalid birthplace', code: 'INVALID_REQUEST', details: err.message } };
+  }
+  try {
+    zoneOffsetMinutes(place.timezone, 0);
+  } catch {
+    return { error: { error: 'Invalid timezone', code: 'INVALID_REQUEST', details: `unknown IANA timezone "${place.timezone}"` } };
+  }
+
+  const vars = { dob, birthTime, gender, calendar, timezone: place.timezone };
+  if (lunar) vars.lunarDob = formatLunar(lunar);
+
+  // Clock time → UTC (historical DST included) and, with a longitude, true
+  // solar time; the local 四柱 are read from the solar time when known
+  // ({bazi}, {pillars}, {solarDate}, {solarTime}… in templates)
+  let bazi = null;
+  let birth = { dob, birthTime, calendar, lunar: lunar && { ...lunar, text: vars.lunarDob }, ...place };
+  try {
+    const t = solarTime({ dob, birthTime, timeZone: place.timezone, longitude: place.longitude });
+    birth = { ...birth, utcOffset: t.utcOffset, dst: t.dst, solar: t.solar };
+    vars.utcOffset = t.utcOffset;
+    if (place.longitude !== undefined) {
+      vars.birthplace = place.birthplace || `经度 ${place.longitude}°${place.latitude !== undefined ? `，纬度 ${place.latitude}°` : ''}`;
+      vars.longitude = place.longitude;
+      if (place.latitude !== undefined) vars.latitude = place.latitude;
+      vars.solarDate = t.solar.dob;
+      vars.solarTime = t.solar.birthTime;
+      vars.solarCorrection = t.solar.correctionMinutes;
+    }
+    bazi = computeBazi({ ...(t.solar || { dob, birthTime, utcOffset: t.utcOffset }), gender });
+    vars.bazi = formatBazi(bazi);
+    vars.pillars = bazi.eightCharacters;
+  } catch (err) {
+    // Unparsable date/time ⇒ the model works it out; birth.warning says why
+    birth.warning = `未能计算真太阳时与四柱：${err.message}`;
+  }
+
+  return { dob, birthTime, gender, place, birth, bazi, vars };
+}
+
+// Partner variables carry a `partner` prefix: dob → partnerDob
+const partnerKey = k => `partner${k[0].toUpperCase()}${k.slice(1)}`;
+
+/**
+ * The second profile of a compatibility (合婚) request, sent as `partner`
+ * (an object, or JSON text in multipart).
+ * @returns {Promise<object|null>} null without a partner, the profile, or
+ *   { error } holding the 400 body (with profile: 'partner')
+ */
+async function loadPartner(F) {
+  if (!F.partner) return null;
+  let P = F.partner;
+  if (typeof P === 'string') {
+    try { P = JSON.parse(P); } catch { P = null; }
+  }
+  if (!P || typeof P !== 'object' || !P.dob || !P.birthTime || !P.gender) {
+    return { error: { error: 'missing partner dob, birthTime, or gender', code: 'INVALID_REQUEST', profile: 'partner' } };
+  }
+  const partner = await loadProfile(P);
+  return partner.error ? { error: { ...partner.error, profile: 'partner' } } : partner;
+}
+
+/**
+ * Template variables of one profile, or of a couple with the partner's prefixed.
+ */
+function promptVars(self, partner) {
+  const vars = { ...self.vars };
+  if (partner) Object.entries(partner.vars).forEach(([k, v]) => { vars[partnerKey(k)] = v; });
+  return vars;
+}
+
+module.exports = { loadProfile, loadPartner, promptVars, normalizeBirth, resolvePlace, CALENDARS };
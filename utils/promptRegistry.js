@@ -0,0 +1,301 @@
+// utils/promptRegistry.js
+// Prompt templates stored as files: prompts/<name>.md, a front-matter block
+// followed by the template body rendered through fillVars ({dob}, {{ … }}).
+//
+//   ---
+//   name: basic
+//   version: 3
+//   description: 简洁版：现代能量视角
+//   locale: zh-CN
+//   profiles: 1                     # 2 = needs a partner profile (合婚)
+//   requiredVars: [dob, birthTime, gender]
+//   optionalVars: [lunarDob, bazi]  # default to '' when the request lacks them
+//   system: |
+//     你是一位…
+//   ---
+//   template body…
+//
+// Every update bumps `version`; the replaced file is kept as
+// .versions/<name>@<version>.md so older versions stay readable.
+//
+// PROMPTS_DIR   template directory (default <repo>/prompts, read-only on Vercel); one
+//               that doesn't exist yet starts with a copy of the bundled templates
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('./sandbox');
+const { checkTemplate } = require('./fillVars');
+const { ApiError } = require('./errors');
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const FIELDS = ['name', 'version', 'description', 'locale', 'profiles', 'requiredVars', 'optionalVars', 'system'];
+const DEFAULT_LOCALE = 'zh-CN';
+
+const BUNDLED_DIR = path.join(__dirname, '..', 'prompts');
+const promptsDir = (env = process.env) => env.PROMPTS_DIR || BUNDLED_DIR;
+
+/* ------------------------------------------------------------------
+   Front-matter: `key: value` lines, [a, b] lists, "JSON strings" and
+   `key: |` blocks indented by two spaces
+------------------------------------------------------------------ */
+function parseValue(raw) {
+  const v = raw.trim();
+  if (/^\[.*\]$/.test(v)) return v.slice(1, -1).split(',').map(s => s.trim()).filter(Boolean);
+  if (/^-?\d+$/.test(v)) return Number(v);
+  if (v.startsWith('"')) return JSON.parse(v);
+  return v;
+}
+
+/**
+ * Split a template file into its front-matter fields and body.
+ * @param {string} text
+ * @returns {{meta:object, template:string}}
+ */
+function parseTemplate(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[0] !== '---') return { meta: {}, template: text };
+  const meta = {};
+  let i = 1;
+  for (; i < lines.length && lines[i] !== '---'; i++) {
+    const m = lines[i].match(/^(\w+):\s?(.*)$/);
+    if (!m) continue;
+    if (m[2].trim() === '|') {
+      const block = [];
+      while (i + 1 < lines.length && (lines[i + 1].startsWith('  ') || lines[i + 1] === '')) block.push(lines[++i].slice(2));
+      meta[m[1]] = block.join('\n').replace(/\n+$/, '');
+    } else {
+      meta[m[1]] = parseValue(m[2]);
+    }
+  }
+  if (i >= lines.length) throw new Error('unterminated front-matter');
+  return { meta, template: lines.slice(i + 1).join('\n') };
+}
+
+function formatValue(v, block) {
+  if (Array.isArray(v)) return `[${v.join(', ')}]`;
+  if (typeof v === 'number') return String(v);
+  if (block || v.includes('\n')) return `|\n${v.split('\n').map(l => (l ? `  ${l}` : '')).join('\n')}`;
+  // strings that would parse back as something else are written as JSON
+  return /^\s|\s$|^[["\d-]|^\|$/.test(v) ? JSON.stringify(v) : v;
+}
+
+/**
+ * Serialise a prompt back to its file form.
+ * @param {object} prompt – the fields of FIELDS plus template
+ */
+function formatTemplate(prompt) {
+  const head = FIELDS
+    .filter(k => prompt[k] !== undefined && prompt[k] !== null && prompt[k] !== '')
+    .map(k => `${k}: ${formatValue(prompt[k], k === 'system')}`);
+  return `---\n${head.join('\n')}\n---\n${prompt.template}`;
+}
+
+// Defaults for fields a file may leave out
+function normalize(meta, template, name) {
+  return {
+    name,
+    version: Number.isInteger(meta.version) && meta.version > 0 ? meta.version : 1,
+    description: meta.description || '',
+    locale: meta.locale || DEFAULT_LOCALE,
+    profiles: meta.profiles === 2 ? 2 : 1,
+    requiredVars: Array.isArray(meta.requiredVars) ? meta.requiredVars : [],
+    optionalVars: Array.isArray(meta.optionalVars) ? meta.optionalVars : [],
+    system: meta.system || '',
+    template
+  };
+}
+
+/**
+ * Check a create (full) or update (partial) body; returns the problem or null.
+ */
+function checkPrompt(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'body must be an object';
+  if ((!partial || body.template !== undefined) && (typeof body.template !== 'string' || !body.template.trim())) {
+    return 'template must be a non-empty string';
+  }
+  const syntax = body.template !== undefined && checkTemplate(body.template);
+  if (syntax) return syntax.message;
+  if (body.version !== undefined && !Number.isInteger(body.version)) return 'version must be an integer';
+  if (body.system !== undefined && typeof body.system !== 'string') return 'system must be a string';
+  for (const k of ['description', 'locale']) {
+    if (body[k] !== undefined && (typeof body[k] !== 'string' || body[k].includes('\n'))) return `${k} must be a single-line string`;
+  }
+  for (const k of ['requiredVars', 'optionalVars']) {
+    if (body[k] !== undefined && (!Array.isArray(body[k]) || !body[k].every(v => typeof v === 'string' && /^\w+$/.test(v)))) {
+      return `${k} must be an array of variable names`;
+    }
+  }
+  if (body.profiles !== undefined && body.profiles !== 1 && body.profiles !== 2) return 'profiles must be 1 or 2';
+  return null;
+}
+
+function createRegistry(dir = promptsDir()) {
+  const file = name => path.join(dir, `${name}.md`);
+  const versionFile = (name, version) => path.join(dir, '.versions', `${name}@${version}.md`);
+
+  const read = async f => {
+    let text;
+    try {
+      text = await fs.promises.readFile(f, 'utf8');
+    } catch {
+      return null;   // missing
+    }
+    return parseTemplate(text);
+  };
+  const write = async (f, prompt) => {
+    await fs.promises.mkdir(path.dirname(f), { recursive: true });
+    const tmp = `${f}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, formatTemplate(prompt));
+    await fs.promises.rename(tmp, f);
+  };
+
+  // Highest version kept in .versions (0 when none)
+  const lastVersion = async name => {
+    let names = [];
+    try { names = await fs.promises.readdir(path.join(dir, '.versions')); } catch {/* none yet */}
+    return names.reduce((max, n) => {
+      const m = n.match(/^(.+)@(\d+)\.md$/);
+      return m && m[1] === name ? Math.max(max, Number(m[2])) : max;
+    }, 0);
+  };
+
+  const registry = {
+    /**
+     * All current templates, by name. A file that doesn't parse is left out
+     * (and logged), so one bad file can't hide the others.
+     * @param {{skipped?:object[]}} [options] – skipped: filled with { name, error } per left-out file
+     */
+    async list({ skipped = [] } = {}) {
+      let names = [];
+      try { names = await fs.promises.readdir(dir); } catch {/* no templates */}
+      const prompts = await Promise.all(names
+        .filter(n => n.endsWith('.md') && NAME_RE.test(n.slice(0, -3)))
+        .map(n => registry.get(n.slice(0, -3)).catch(err => {
+          console.error(`prompt template ${n} skipped:`, err.message);
+          skipped.push({ name: n.slice(0, -3), error: err.message });
+          return null;
+        })));
+      return prompts.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * One template: the current one, or an older or deleted one by `version`.
+     * @returns {Promise<object|null>}
+     */
+    async get(name, version) {
+      if (!NAME_RE.test(name)) return null;
+      const current = await read(file(name));
+      const prompt = current && normalize(current.meta, current.template, name);
+      if (version === undefined || version === prompt?.version) return prompt;
+      const old = await read(versionFile(name, version));   // also after a delete
+      return old && normalize(old.meta, old.template, name);
+    },
+
+    /**
+     * New template; null when the name is taken. A name that was deleted
+     * continues its version numbers, so {name, version} stays unambiguous.
+     */
+    async create(name, body) {
+      if (await read(file(name))) return null;
+      const prompt = normalize({ ...body, version: (await lastVersion(name)) + 1 }, body.template, name);
+      await write(file(name), prompt);
+      return prompt;
+    },
+
+    /**
+     * Replace a template (unset fields keep their value) and bump its version.
+     * null when missing; a stale `version` in the body is a conflict.
+     */
+    async update(name, body) {
+      const current = await registry.get(name);
+      if (!current) return null;
+      if (body.version !== undefined && body.version !== current.version) {
+        throw new ApiError('CONFLICT', `prompt "${name}" is at version ${current.version}`);
+      }
+      const defined = Object.fromEntries(Object.entries(body).filter(([, v]) => v !== undefined));
+      const prompt = normalize({ ...current, ...defined, version: current.version + 1 }, defined.template ?? current.template, name);
+      await write(versionFile(name, current.version), current);
+      await write(file(name), prompt);
+      return prompt;
+    },
+
+    /**
+     * Remove the current template; it moves to .versions like a replaced one.
+     */
+    async delete(name) {
+      const current = await registry.get(name);
+      if (!current) return false;
+      await write(versionFile(name, current.version), current);
+      await fs.promises.unlink(file(name));
+      return true;
+    }
+  };
+  return registry;
+}
+
+let configured;
+
+// A new template directory starts with the bundled templates
+function seedDir(dir) {
+  if (path.resolve(dir) === BUNDLED_DIR || fs.existsSync(dir)) return;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.readdirSync(BUNDLED_DIR).filter(n => n.endsWith('.md'))
+      .forEach(n => fs.copyFileSync(path.join(BUNDLED_DIR, n), path.join(dir, n)));
+  } catch (err) {
+    console.error(`PROMPTS_DIR ${dir} not seeded:`, err.message);
+  }
+}
+
+/**
+ * The registry for PROMPTS_DIR.
+ */
+function promptRegistry() {
+  if (!configured) {
+    seedDir(promptsDir());
+    configured = createRegistry();
+  }
+  return configured;
+}
+
+/**
+ * Template for a request: `promptType` from the registry; with a partner a
+ * one-person template falls back to `compatibility`. A customPrompt replaces
+ * the body but keeps the template's system prompt.
+ * @throws {ApiError} INVALID_REQUEST for an unknown name (with the available
+ *   `promptTypes`), or a two-person template without a partner
+ */
+async function pickTemplate(promptType, { pair = false, custom = false } = {}, registry = promptRegistry()) {
+  let template = await registry.get(String(promptType));
+  if (template && pair && template.profiles !== 2) template = await registry.get('compatibility');
+  if (!template) {
+    const promptTypes = (await registry.list()).map(p => p.name);
+    throw new ApiError('INVALID_REQUEST', 'Unknown prompt type', { promptTypes });
+  }
+  if (!pair && template.profiles === 2 && !custom) {
+    throw new ApiError('INVALID_REQUEST', `${template.name} prompt needs a partner profile`);
+  }
+  return template;
+}
+
+/**
+ * Render a template in the sandbox (utils/sandbox.js). Missing required variables
+ * are a 400; optional ones default to '' so `{{ lunarDob ? … : '' }}` always evaluates.
+ * @param {object} prompt – from the registry
+ * @param {object} vars
+ * @param {object} [sources] – helper sources (fetchHelperSources)
+ * @param {object} [options] – passed to renderTemplate (trace)
+ * @returns {Promise<{prompt:string, report:object[]}>}
+ */
+async function renderPrompt(prompt, vars, sources = {}, options = {}) {
+  const missing = prompt.requiredVars.filter(k => vars[k] === undefined || vars[k] === null || vars[k] === '');
+  if (missing.length) {
+    throw new ApiError('INVALID_REQUEST', `prompt "${prompt.name}" needs ${missing.join(', ')}`);
+  }
+  const defaults = Object.fromEntries(prompt.optionalVars.map(k => [k, '']));
+  return renderTemplate(prompt.template, { ...defaults, ...vars }, sources, options);
+}
+
+module.exports = {
+  promptRegistry, createRegistry, pickTemplate, renderPrompt, checkPrompt,
+  parseTemplate, formatTemplate, NAME_RE
+};
@@ -0,0 +1,149 @@
+// utils/rateLimit.js
+// Rate limits and daily quotas shared by every api/*.js handler:
+//   module.exports = withLimits('astro', async (req, res) => { … });
+//
+// Clients are counted per access token (Authorization: Bearer <token> or
+// X-Api-Token) when they send one, otherwise per IP. Counters are fixed
+// windows (one minute, one UTC day) kept in a pluggable store.
+const path = require('path');
+const crypto = require('crypto');
+const { accessTokens } = require('./credentials');
+
+// Requests per window; 0 = unlimited. Astro spends LLM credit, so it is tighter.
+const POLICIES = {
+  default: { perMinute: 60, perDay: 0 },
+  astro:   { perMinute: 5,  perDay: 50 }
+};
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * In-memory store (default). Per process: on serverless platforms each
+ * instance counts separately – use a shared store for hard limits.
+ * A store is any object with  incr(key, ttlMs) → Promise<{count, resetAt}>.
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async incr(key, ttlMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + ttlMs };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      // Drop expired windows now and then
+      if (entries.size > 10000) entries.forEach((e, k) => { if (e.resetAt <= now) entries.delete(k); });
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+let store = null;
+
+// RATE_LIMIT_STORE=./path/to/store.js exports a store or a factory returning one
+function getStore() {
+  if (!store) {
+    const mod = process.env.RATE_LIMIT_STORE;
+    store = mod ? require(path.resolve(mod)) : createMemoryStore();
+    if (typeof store === 'function') store = store();
+  }
+  return store;
+}
+
+function setStore(s) {
+  store = s;
+}
+
+// Built-in policy, then RATE_LIMIT_DEFAULT_* (routes without their own policy),
+// then RATE_LIMIT_<NAME>_PER_MINUTE / _PER_DAY
+function policyFor(name, env = process.env) {
+  const policy = { ...(POLICIES[name] || POLICIES.default) };
+  const prefixes = POLICIES[name] ? [name] : ['default', name];
+  prefixes.forEach(prefix => {
+    [['perMinute', 'PER_MINUTE'], ['perDay', 'PER_DAY']].forEach(([k, suffix]) => {
+      const raw = env[`RATE_LIMIT_${prefix.toUpperCase()}_${suffix}`];
+      if (raw !== undefined && Number.isFinite(Number(raw))) policy[k] = Number(raw);
+    });
+  });
+  return policy;
+}
+
+function clientIp(req) {
+  const fwd = req.headers['x-forwarded-for'];
+  return String(fwd ? fwd.split(',')[0] : (req.socket && req.socket.remoteAddress) || 'unknown').trim();
+}
+
+function clientToken(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return m ? m[1].trim() : (req.headers['x-api-token'] || null);
+}
+
+/**
+ * Who the request's access token belongs to: its name, or a hash of an
+ * unnamed token; null without a valid token. Saved reports are owned by it.
+ */
+function tokenOwner(req) {
+  const token = clientToken(req);
+  const entry = token && accessTokens()[token];
+  if (!entry) return null;
+  return entry.name || `sha256:${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Wrap a handler with rate limits. Properties on the handler (config,
+ * prompt definitions…) are copied onto the wrapper.
+ * @param {string} name – policy name (see POLICIES); also namespaces the counters
+ */
+function withLimits(name, handler) {
+  const limited = async (req, res) => {
+    if (process.env.RATE_LIMIT_DISABLED === 'true') return handler(req, res);
+
+    let id = `ip:${clientIp(req)}`;
+    const limits = policyFor(name);
+    const token = clientToken(req);
+    if (token) {
+      const entry = accessTokens()[token];
+      if (!entry) {
+        res.status(401).json({ error: 'Invalid access token', code: 'INVALID_ACCESS_TOKEN' });
+        return;
+      }
+      id = `token:${entry.name || token}`;
+      ['perMinute', 'perDay'].forEach(k => { if (Number.isFinite(entry[k])) limits[k] = entry[k]; });
+    }
+
+    const now = Date.now();
+    const windows = [
+      { label: 'minute', limit: limits.perMinute, key: `${name}:${id}:m${Math.floor(now / MINUTE)}`, ttl: MINUTE - now % MINUTE },
+      { label: 'day', limit: limits.perDay, key: `${name}:${id}:d${Math.floor(now / DAY)}`, ttl: DAY - now % DAY }
+    ].filter(w => w.limit > 0);
+
+    for (const w of windows) {
+      const { count, resetAt } = await getStore().incr(w.key, w.ttl);
+      const remaining = Math.max(0, w.limit - count);
+      if (w.label === 'minute') {
+        res.setHeader('X-RateLimit-Limit', w.limit);
+        res.setHeader('X-RateLimit-Remaining', remaining);
+      } else {
+        res.setHeader('X-Quota-Limit', w.limit);
+        res.setHeader('X-Quota-Remaining', remaining);
+      }
+      if (count > w.limit) {
+        const retryAfter = Math.ceil((resetAt - now) / 1000);
+        res.setHeader('Retry-After', retryAfter);
+        res.status(429).json({
+          error: w.label === 'day' ? 'Daily quota exceeded' : 'Too Many Requests',
+          code: w.label === 'day' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+          details: `${w.limit} requests per ${w.label}`,
+          retryAfter
+        });
+        return;
+      }
+    }
+    return handler(req, res);
+  };
+  return Object.assign(limited, handler);
+}
+
+module.exports = { withLimits, tokenOwner, createMemoryStore, setStore, policyFor, POLICIES };
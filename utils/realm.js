@@ -0,0 +1,105 @@
+// utils/realm.js
+// vm contexts that hold nothing from this realm. A vm context is no boundary
+// by itself: any function or object of ours inside one hands out our
+// `Function` through `.constructor`, and with it `process`. So everything
+// template code can reach is made inside its context: trusted modules are
+// evaluated there from their source files, data is copied in as JSON, and a
+// capability is a context function passing strings to a bridge that only its
+// closure can see.
+//
+// Modules whose functions can be on the stack while template code runs are
+// strict: V8 hands sloppy callers to a context's Error.prepareStackTrace.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Modules a context can require, by the id they are required with
+// (all of them dependency-free apart from each other)
+const MODULES = {
+  './bazi': 'bazi.js',
+  './builtin': 'builtin.js',
+  './filters': 'filters.js',
+  '../client/src/shared/lunar.mjs': '../client/src/shared/lunar.mjs'
+};
+
+let loader;
+
+// One script defining every module as a function, and `require` over them
+function loaderSource() {
+  if (loader) return loader;
+  const defs = Object.entries(MODULES).map(([id, file]) => {
+    let src = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    if (file.endsWith('.mjs')) {
+      // ES module → CommonJS: drop `export`, export the names it declared
+      const names = [...src.matchAll(/^export\s+(?:function|const|let|class)\s+([\w$]+)/gm)].map(m => m[1]);
+      src = `${src.replace(/^export\s+/gm, '')}\nmodule.exports = { ${names.join(', ')} };`;
+    }
+    return `${JSON.stringify(id)}: function (module, exports, require) {\n${src}\n}`;
+  });
+  loader = `(() => {
+  const defs = {\n${defs.join(',\n')}\n};
+  const cache = {};
+  return function require(id) {
+    if (!cache[id]) {
+      if (!defs[id]) throw new Error('Cannot find module ' + id);
+      cache[id] = { exports: {} };
+      defs[id](cache[id], cache[id].exports, require);
+    }
+    return cache[id].exports;
+  };
+})()`;
+  return loader;
+}
+
+// Context side of the capabilities; `bridge` only ever sees and returns strings
+const CAPABILITY_SOURCE = {
+  fetch: `(bridge) => async function fetch(resource, init) {
+    const res = JSON.parse(await bridge(String(resource), JSON.stringify(init || {})));
+    if (res.error) throw new Error(res.error);
+    const headers = new Map(res.headers);
+    return {
+      ok: res.ok, status: res.status, statusText: res.statusText, url: res.url,
+      headers: { get: name => (headers.has(String(name).toLowerCase()) ? headers.get(String(name).toLowerCase()) : null) },
+      text: async () => res.body,
+      json: async () => JSON.parse(res.body)
+    };
+  }`,
+  console: `(bridge) => {
+    const line = args => args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
+    return {
+      log: (...args) => { bridge('log', line(args)); },
+      info: (...args) => { bridge('info', line(args)); },
+      warn: (...args) => { bridge('warn', line(args)); },
+      error: (...args) => { bridge('error', line(args)); }
+    };
+  }`
+};
+
+/**
+ * A fresh context with its own builtins, `eval` and `new Function` disabled.
+ * @param {object} [bridges] – capability name → host function taking and returning
+ *   strings (see sandboxWorker.js); installed as context-made globals
+ * @returns {{ctx:object, require:function, run:function, assign:function}}
+ *   require – the context's loader for MODULES (returns context objects);
+ *   run(source, {filename?, timeout?}) – a script in the context; assign(data) – JSON copy onto its globals
+ */
+function createRealm(bridges = {}) {
+  // a null-prototype sandbox: our Object.prototype would be `globalThis.constructor`'s way out
+  const ctx = vm.createContext(Object.create(null), { codeGeneration: { strings: false } });
+  const run = (source, { filename, ...options } = {}) => new vm.Script(source, { filename }).runInContext(ctx, options);
+  for (const [name, bridge] of Object.entries(bridges)) {
+    if (!CAPABILITY_SOURCE[name]) throw new Error(`unknown capability "${name}"`);
+    ctx[name] = run(CAPABILITY_SOURCE[name])(bridge);
+  }
+  const assign = data => run(`Object.assign(globalThis, JSON.parse(${JSON.stringify(JSON.stringify(data))}))`);
+  let required;
+  return {
+    ctx,
+    run,
+    assign,
+    require: id => (required = required || run(loaderSource()))(id)
+  };
+}
+
+module.exports = { createRealm };
@@ -0,0 +1,209 @@
+// utils/reports.js
+// Saved analyses (reports) with pluggable backends: /api/astro stores every
+// result under a generated ID, the App attaches its bracelet design, and
+// /api/reports reads, lists and deletes them.
+// A store is any object with
+//   create(report) → Promise      get(id) → Promise<report | null>
+//   put(report) → Promise         delete(id) → Promise<boolean>
+//   list({ limit, offset, owner }) → Promise<{ reports, total }>   newest first;
+//     with `owner` (undefined = all), only the reports saved with that owner
+//
+// REPORTS          fs (default) | sqlite | memory | off
+// REPORTS_DIR      fs backend directory (default <os tmp>/bracelet-reports)
+// REPORTS_SQLITE   sqlite database file (default <os tmp>/bracelet-reports.db;
+//                  needs the `better-sqlite3` package installed)
+// REPORTS_STORE    path to a module exporting a store, or a factory returning one
+//                  (such a store handles its own retention)
+// REPORTS_TTL_DAYS days a report is kept after it was created (default 90;
+//                  0 keeps reports forever)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_RE = /^[A-Za-z0-9_-]{8,32}$/;
+
+// 16 random bytes, URL-safe: unguessable, so an ID is enough to share a report
+function newReportId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+const newestFirst = (a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0);
+const ownedBy = owner => r => owner === undefined || (r.owner ?? null) === owner;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_DAYS = 90;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Reports created before this ISO time have expired ('' when they never do)
+const expiredBefore = ttlMs => (ttlMs > 0 ? new Date(Date.now() - ttlMs).toISOString() : '');
+const alive = ttlMs => r => !(r.createdAt < expiredBefore(ttlMs));
+
+function createMemoryStore({ ttlMs = 0 } = {}) {
+  const reports = new Map();
+  const isAlive = alive(ttlMs);
+  return {
+    async create(report) {
+      for (const [id, r] of reports) if (!isAlive(r)) reports.delete(id);
+      reports.set(report.id, report);
+    },
+    async put(report) { reports.set(report.id, report); },
+    async get(id) {
+      const report = reports.get(id);
+      return report && isAlive(report) ? report : null;
+    },
+    async delete(id) { return reports.delete(id); },
+    async list({ limit, offset, owner }) {
+      const all = [...reports.values()].filter(isAlive).filter(ownedBy(owner)).sort(newestFirst);
+      return { reports: all.slice(offset, offset + limit), total: all.length };
+    }
+  };
+}
+
+// One JSON file per report
+function createFsStore(dir, { ttlMs = 0 } = {}) {
+  const file = id => path.join(dir, `${id}.json`);
+  const isAlive = alive(ttlMs);
+  const write = async report => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = `${file(report.id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(report));
+    await fs.promises.rename(tmp, file(report.id));
+  };
+  const read = async id => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file(id), 'utf8'));
+    } catch {
+      return null;   // missing or unreadable
+    }
+  };
+  const remove = async id => {
+    try {
+      await fs.promises.unlink(file(id));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  // At most hourly, delete files untouched since the cutoff: a file is
+  // rewritten on every put, so its mtime is never older than its createdAt
+  let lastSweep = 0;
+  const sweep = async () => {
+    if (!(ttlMs > 0) || Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = Date.now();
+    const cutoff = Date.now() - ttlMs;
+    let names = [];
+    try { names = await fs.promises.readdir(dir); } catch {/* no reports yet */}
+    await Promise.all(names.filter(n => n.endsWith('.json')).map(async n => {
+      try {
+        if ((await fs.promises.stat(path.join(dir, n))).mtimeMs < cutoff) await fs.promises.unlink(path.join(dir, n));
+      } catch {/* already gone */}
+    }));
+  };
+  return {
+    async create(report) {
+      await sweep();
+      await write(report);
+    },
+    put: write,
+    async get(id) {
+      const report = await read(id);
+      return report && isAlive(report) ? report : null;
+    },
+    delete: remove,
+    async list({ limit, offset, owner }) {
+      let names = [];
+      try { names = await fs.promises.readdir(dir); } catch {/* no reports yet */}
+      const all = (await Promise.all(names
+        .filter(n => n.endsWith('.json'))
+        .map(n => read(n.slice(0, -5))))).filter(Boolean).filter(isAlive).filter(ownedBy(owner)).sort(newestFirst);
+      return { reports: all.slice(offset, offset + limit), total: all.length };
+    }
+  };
+}
+
+// Single table, report JSON in `data`
+function createSqliteStore(file, { ttlMs = 0 } = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('REPORTS=sqlite needs the `better-sqlite3` package (npm install better-sqlite3)');
+  }
+  const db = new Database(file);
+  db.exec('CREATE TABLE IF NOT EXISTS reports (id TEXT PRIMARY KEY, created_at TEXT NOT NULL, data TEXT NOT NULL)');
+  db.exec('CREATE INDEX IF NOT EXISTS reports_created ON reports (created_at)');
+  const upsert = db.prepare('INSERT OR REPLACE INTO reports (id, created_at, data) VALUES (?, ?, ?)');
+  const save = async report => { upsert.run(report.id, report.createdAt, JSON.stringify(report)); };
+  return {
+    async create(report) {
+      if (ttlMs > 0) db.prepare('DELETE FROM reports WHERE created_at < ?').run(expiredBefore(ttlMs));
+      await save(report);
+    },
+    put: save,
+    async get(id) {
+      const row = db.prepare('SELECT data FROM reports WHERE id = ? AND created_at >= ?').get(id, expiredBefore(ttlMs));
+      return row ? JSON.parse(row.data) : null;
+    },
+    async delete(id) {
+      return db.prepare('DELETE FROM reports WHERE id = ?').run(id).changes > 0;
+    },
+    async list({ limit, offset, owner }) {
+      const where = `WHERE created_at >= ?${owner === undefined ? '' : " AND json_extract(data, '$.owner') IS ?"}`;
+      const args = owner === undefined ? [expiredBefore(ttlMs)] : [expiredBefore(ttlMs), owner];
+      const rows = db.prepare(`SELECT data FROM reports ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM reports ${where}`).get(...args);
+      return { reports: rows.map(r => JSON.parse(r.data)), total };
+    }
+  };
+}
+
+let configured;
+
+/**
+ * The store selected by the REPORTS* env vars (null when reports are off).
+ */
+function reportStore(env = process.env) {
+  if (configured !== undefined) return configured;
+  let store = null;
+  const days = env.REPORTS_TTL_DAYS === undefined || env.REPORTS_TTL_DAYS === '' ? DEFAULT_TTL_DAYS : Number(env.REPORTS_TTL_DAYS);
+  if (!(Number.isFinite(days) && days >= 0)) throw new Error(`REPORTS_TTL_DAYS must be a number of days, got "${env.REPORTS_TTL_DAYS}"`);
+  const ttl = { ttlMs: days * DAY_MS };
+  if (env.REPORTS_STORE) {
+    store = require(path.resolve(env.REPORTS_STORE));
+    if (typeof store === 'function') store = store();
+  } else {
+    switch (env.REPORTS || 'fs') {
+      case 'off': break;
+      case 'fs': store = createFsStore(env.REPORTS_DIR || path.join(os.tmpdir(), 'bracelet-reports'), ttl); break;
+      case 'sqlite': store = createSqliteStore(env.REPORTS_SQLITE || path.join(os.tmpdir(), 'bracelet-reports.db'), ttl); break;
+      case 'memory': store = createMemoryStore(ttl); break;
+      default: throw new Error(`unknown REPORTS backend "${env.REPORTS}"`);
+    }
+  }
+  configured = store;
+  return configured;
+}
+
+/**
+ * List entry of a report: enough to recognise it without the analysis text.
+ */
+function summarize(report) {
+  const person = b => b && { dob: b.dob, birthTime: b.birthTime, gender: b.gender, birthplace: b.birthplace || null };
+  return {
+    id: report.id,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+    mode: report.mode,
+    input: { ...person(report.input), ...(report.input.partner && { partner: person(report.input.partner) }) },
+    promptType: report.input.promptType,
+    prompt: report.input.prompt || null,
+    partial: Boolean(report.partial),
+    hasDesign: Boolean(report.design)
+  };
+}
+
+module.exports = {
+  reportStore, newReportId, summarize, ID_RE,
+  createMemoryStore, createFsStore, createSqliteStore
+};
@@ -0,0 +1,105 @@
+// utils/sandbox.js
+// Where template helpers are compiled and {{ … }} expressions run. `vm` is
+// not a security boundary, so by default every render gets its own worker
+// thread: an empty environment, a heap cap, one wall-clock deadline that
+// also covers awaited work, and only the capabilities the deployment grants.
+//
+// HELPER_SANDBOX        worker (default) | inline – in-process: no memory cap, and
+//                       work past the deadline is abandoned, not stopped (trusted templates only)
+// HELPER_MEMORY_MB      worker heap cap (default 64)
+// HELPER_TIMEOUT_MS     deadline for compiling the helpers and rendering (default 10000)
+// HELPER_CAPABILITIES   comma list of console, fetch (default none)
+// HELPER_FETCH_DOMAINS  comma list of hosts fetch may reach over https (subdomains included)
+'use strict';
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { runJob } = require('./sandboxWorker');
+const { ApiError } = require('./errors');
+
+const WORKER_FILE = path.join(__dirname, 'sandboxWorker.js');
+const MODES = ['worker', 'inline'];
+const CAPABILITIES = ['console', 'fetch'];
+const DEFAULT_MEMORY_MB = 64;
+const DEFAULT_TIMEOUT_MS = 10_000;
+
+const list = raw => String(raw || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+const positive = (raw, fallback) => (Number(raw) > 0 ? Number(raw) : fallback);
+
+/**
+ * Sandbox settings from the HELPER_* env vars.
+ * @throws {Error} on an unknown mode or capability
+ */
+function sandboxConfig(env = process.env) {
+  const mode = env.HELPER_SANDBOX || 'worker';
+  if (!MODES.includes(mode)) throw new Error(`unknown HELPER_SANDBOX mode "${mode}"`);
+  const capabilities = list(env.HELPER_CAPABILITIES);
+  const unknown = capabilities.find(c => !CAPABILITIES.includes(c));
+  if (unknown) throw new Error(`unknown HELPER_CAPABILITIES entry "${unknown}"`);
+  return {
+    mode,
+    memoryMb: positive(env.HELPER_MEMORY_MB, DEFAULT_MEMORY_MB),
+    timeoutMs: positive(env.HELPER_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    capabilities,
+    fetchDomains: list(env.HELPER_FETCH_DOMAINS)
+  };
+}
+
+const overDeadline = timeoutMs => new ApiError('INVALID_REQUEST', `template took longer than ${timeoutMs} ms`);
+
+function runInWorker(job, { memoryMb, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, {
+      env: {},    // no API keys or tokens within reach
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb, maxYoungGenerationSizeMb: Math.max(4, Math.round(memoryMb / 8)) }
+    });
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    // terminate() also stops pending awaits, which the vm timeout can't
+    const timer = setTimeout(() => settle(reject, overDeadline(timeoutMs)), timeoutMs);
+    worker.once('message', result => settle(resolve, result));
+    worker.once('error', err => settle(reject, err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new ApiError('INVALID_REQUEST', `template ran out of memory (${memoryMb} MB)`)
+      : err));
+    // Exiting early is the template's doing: process.exit(), or an await that never settles
+    worker.once('exit', () => settle(reject, new ApiError('INVALID_REQUEST', 'template stopped before it finished rendering')));
+    worker.postMessage(job);
+  });
+}
+
+function runInline(job, { timeoutMs }) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(overDeadline(timeoutMs)), timeoutMs);
+  });
+  return Promise.race([runJob(job), deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Compile the helpers and render `template` with them in the sandbox.
+ * @param {string} template – raw prompt with {dob} and {{ … }} (see utils/fillVars.js)
+ * @param {object} vars
+ * @param {object} [sources] – from fetchHelperSources (utils/helpers.js)
+ * @param {{trace?:object[], config?:object}} [options]
+ *   trace – filled as by fillVars; config – defaults to sandboxConfig()
+ * @returns {Promise<{prompt:string, report:object[]}>} report – the helper load report
+ * @throws {ApiError} INVALID_REQUEST on a template syntax error (with line and column),
+ *   or when the template hits the deadline or the memory cap, or stops early
+ */
+async function renderTemplate(template, vars, sources = {}, { trace, config = sandboxConfig() } = {}) {
+  const job = { template, vars, sources, config, trace: Boolean(trace) };
+  const result = config.mode === 'inline' ? await runInline(job, config) : await runInWorker(job, config);
+  if (result.error) {
+    const { message, line, column } = result.error;
+    throw new ApiError('INVALID_REQUEST', message, { line, column });
+  }
+  if (trace) trace.push(...result.trace);
+  return { prompt: result.prompt, report: result.report };
+}
+
+module.exports = { renderTemplate, sandboxConfig };
@@ -0,0 +1,88 @@
+// utils/sandboxWorker.js
+// The job utils/sandbox.js runs: compile the helpers, then render the
+// template with them. Started as a worker thread (HELPER_SANDBOX=worker) or
+// called in-process (inline).
+'use strict';
+const { isMainThread, parentPort } = require('worker_threads');
+const fillVars = require('./fillVars');
+const { assembleHelpers } = require('./helpers');
+
+// lockDown() takes fetch off the global; the fetch bridge keeps its own
+const hostFetch = global.fetch;
+const LOG_LEVELS = ['log', 'info', 'warn', 'error'];
+
+/**
+ * fetch for templates: https only, to the allowed hosts and their subdomains.
+ * Redirects are refused so an allowed host can't forward the call elsewhere.
+ * A bridge (utils/realm.js): request in as strings, response out as one JSON
+ * string { ok, status, statusText, url, headers, body } or { error }.
+ * @param {string[]} domains – lower-case host names
+ */
+function restrictedFetch(domains) {
+  return async function fetchBridge(resource, init) {
+    try {
+      const url = new URL(String(resource));
+      const host = url.hostname.toLowerCase();
+      if (url.protocol !== 'https:' || !domains.some(d => host === d || host.endsWith(`.${d}`))) {
+        throw new Error(`fetch to ${url.protocol === 'https:' ? host : url.href} is not allowed`);
+      }
+      const res = await hostFetch(url, { ...JSON.parse(String(init)), redirect: 'error' });
+      return JSON.stringify({
+        ok: res.ok, status: res.status, statusText: res.statusText, url: res.url,
+        headers: [...res.headers], body: await res.text()
+      });
+    } catch (err) {
+      return JSON.stringify({ error: err.message });
+    }
+  };
+}
+
+// The capability bridges helpers and expressions get besides the JS builtins
+function capabilityBridges({ capabilities = [], fetchDomains = [] } = {}) {
+  const bridges = {};
+  if (capabilities.includes('console')) {
+    bridges.console = (level, line) => console[LOG_LEVELS.includes(level) ? level : 'log'](String(line));
+  }
+  if (capabilities.includes('fetch')) bridges.fetch = restrictedFetch(fetchDomains);
+  return bridges;
+}
+
+/**
+ * @param {{template:string, vars:object, sources:object, config:object, trace:boolean}} job
+ * @returns {Promise<{prompt:string, trace:object[]|undefined, report:object[]}|{error:object, report:object[]}>}
+ *   error – { message, line, column } of a template syntax error
+ */
+async function runJob({ template, vars, sources, config, trace: wantTrace }) {
+  const bridges = capabilityBridges(config);
+  const { helpers, report } = assembleHelpers(sources, bridges);
+  const trace = wantTrace ? [] : undefined;
+  try {
+    const prompt = await fillVars(template, vars, helpers, { trace, bridges, timeoutMs: config.timeoutMs });
+    return { prompt, trace, report };
+  } catch (err) {
+    // a malformed block; errors don't keep their fields across the thread boundary
+    if (err.line === undefined) throw err;
+    return { error: { message: err.message, line: err.line, column: err.column }, report };
+  }
+}
+
+// vm is no boundary: code that climbs out of its context anyway (utils/realm.js
+// is what keeps it in) lands in this thread. Leave it no way to load modules,
+// native code or the network (the worker also starts with an empty process.env).
+function lockDown() {
+  ['binding', '_linkedBinding', 'dlopen', 'getBuiltinModule'].forEach(k => {
+    process[k] = undefined;
+  });
+  delete process.mainModule;
+  delete global.fetch;
+}
+
+if (!isMainThread && parentPort) {
+  lockDown();
+  // The job arrives as a message, so none of the module loader is on the stack while it runs
+  parentPort.once('message', job => {
+    runJob(job).then(result => parentPort.postMessage(result));
+  });
+}
+
+module.exports = { runJob, capabilityBridges };
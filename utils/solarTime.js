@@ -0,0 +1,96 @@
+// utils/solarTime.js
+// Birth time → UTC via an IANA timezone (so historical DST is honoured), and
+// → true (apparent) solar time at the birthplace longitude, which is what the
+// hour and day pillars are read from.
+//
+// true solar time = UTC + longitude × 4 min/° + equation of time
+
+const DEFAULT_TIME_ZONE = 'Asia/Shanghai';
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Offset of `timeZone` from UTC at an instant, in minutes (DST included).
+ * @throws {RangeError} for an unknown timezone
+ */
+function zoneOffsetMinutes(timeZone, ms) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(ms));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUTC - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// Wall-clock fields in `timeZone` → UTC ms (ambiguous times take the first offset)
+function wallToUTC(y, mo, d, h, mi, timeZone) {
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const first = zoneOffsetMinutes(timeZone, guess);
+  const ms = guess - first * 60000;
+  const second = zoneOffsetMinutes(timeZone, ms);
+  return second === first ? ms : guess - second * 60000;
+}
+
+// Equation of time in minutes (NOAA approximation, ±0.5 min)
+function equationOfTime(ms) {
+  const date = new Date(ms);
+  const start = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((ms - start) / 86400000) + 1;
+  const g = (2 * Math.PI / 365) * (dayOfYear - 1 + (date.getUTCHours() - 12) / 24);
+  return 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g) -
+                   0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+}
+
+/**
+ * @param {{dob:string, birthTime:string, timeZone?:string, longitude?:number}} input
+ *   dob 'YYYY-MM-DD', birthTime 'HH:MM' (local wall clock in timeZone)
+ * @returns {{utc:string, timeZone:string, utcOffset:number, dst:boolean,
+ *            solar:null|{dob:string, birthTime:string, utcOffset:number,
+ *                        longitudeMinutes:number, equationOfTimeMinutes:number, correctionMinutes:number}}}
+ *   utcOffset – hours; solar.correctionMinutes – true solar time minus wall clock
+ * @throws {Error} on malformed input or an unknown timezone
+ */
+function solarTime({ dob, birthTime, timeZone = DEFAULT_TIME_ZONE, longitude }) {
+  const dm = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dob || '');
+  const tm = /^(\d{2}):(\d{2})$/.exec(birthTime || '');
+  if (!dm || !tm) throw new Error('dob must be YYYY-MM-DD and birthTime HH:MM');
+  try {
+    zoneOffsetMinutes(timeZone, 0);
+  } catch {
+    throw new Error(`unknown timezone "${timeZone}"`);
+  }
+
+  const ms = wallToUTC(+dm[1], +dm[2], +dm[3], +tm[1], +tm[2], timeZone);
+  const offset = zoneOffsetMinutes(timeZone, ms);
+  const year = new Date(ms).getUTCFullYear();
+  const standard = Math.min(zoneOffsetMinutes(timeZone, Date.UTC(year, 0, 1)), zoneOffsetMinutes(timeZone, Date.UTC(year, 6, 1)));
+  const out = {
+    utc: new Date(ms).toISOString(),
+    timeZone,
+    utcOffset: offset / 60,
+    dst: offset > standard,
+    solar: null
+  };
+
+  if (longitude !== undefined && longitude !== null && longitude !== '') {
+    const lon = Number(longitude);
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180) throw new Error('longitude must be a number in [-180, 180]');
+    const longitudeMinutes = lon * 4;
+    const equationOfTimeMinutes = equationOfTime(ms);
+    const solarOffset = longitudeMinutes + equationOfTimeMinutes;     // minutes from UTC
+    const t = new Date(ms + Math.round(solarOffset) * 60000);
+    const round1 = x => Math.round(x * 10) / 10;
+    out.solar = {
+      dob: `${t.getUTCFullYear()}-${pad(t.getUTCMonth() + 1)}-${pad(t.getUTCDate())}`,
+      birthTime: `${pad(t.getUTCHours())}:${pad(t.getUTCMinutes())}`,
+      utcOffset: Math.round(solarOffset) / 60,
+      longitudeMinutes: round1(longitudeMinutes),
+      equationOfTimeMinutes: round1(equationOfTimeMinutes),
+      correctionMinutes: Math.round(solarOffset - offset)
+    };
+  }
+  return out;
+}
+
+module.exports = { solarTime, zoneOffsetMinutes, equationOfTime, DEFAULT_TIME_ZONE };
@@ -0,0 +1,146 @@
+// utils/validateRatios.js
+// Validation and repair of extracted ratios before they reach the bracelet
+// builder: percentages are clamped and normalised to 100, colors canonicalised
+// to #RRGGBB, and near-identical element colors reported.
+const { hexToRgb, rgbToHex, rgbToOklch } = require('./palette');
+
+const ELEMENTS = ['metal', 'wood', 'water', 'fire', 'earth'];
+const SUM_TOLERANCE = 0.5;         // percentage points before a sum counts as off
+const NEAR_DUPLICATE_DE = 0.04;    // OKLab distance below which two colors look alike
+
+// Color words a model may write instead of a hex code
+const COLOR_NAMES = {
+  白: '#FFFFFF', 白色: '#FFFFFF', 黑: '#000000', 黑色: '#000000', 灰: '#808080', 灰色: '#808080',
+  红: '#FF0000', 红色: '#FF0000', 深红: '#8B0000', 橙: '#FFA500', 橙色: '#FFA500',
+  黄: '#FFD700', 黄色: '#FFD700', 金色: '#FFD700', 银色: '#C0C0C0', 米色: '#F5F5DC',
+  绿: '#008000', 绿色: '#008000', 深绿: '#006400', 浅绿: '#90EE90', 青: '#008080', 青色: '#008080',
+  蓝: '#0000FF', 蓝色: '#0000FF', 深蓝: '#00008B', 浅蓝: '#ADD8E6', 天蓝: '#87CEEB',
+  紫: '#800080', 紫色: '#800080', 粉: '#FFC0CB', 粉色: '#FFC0CB',
+  棕: '#8B4513', 棕色: '#8B4513', 褐色: '#8B4513', 土黄: '#C2A14D', 咖啡色: '#6F4E37',
+  white: '#FFFFFF', black: '#000000', gray: '#808080', grey: '#808080', red: '#FF0000',
+  orange: '#FFA500', yellow: '#FFFF00', gold: '#FFD700', silver: '#C0C0C0', green: '#008000',
+  blue: '#0000FF', navy: '#000080', purple: '#800080', pink: '#FFC0CB', brown: '#8B4513'
+};
+
+/**
+ * Canonical #RRGGBB for a hex code ("#fff", "98fb98"), a hex inside text
+ * ("#98FB98（薄荷绿）") or a known color word; null when unrecognised.
+ */
+function canonicalHex(value) {
+  if (typeof value !== 'string') return null;
+  const s = value.trim();
+  // A bare 3-letter code needs its "#" ("bad" is a word, "#bad" a color)
+  const code = /^#?[0-9a-f]{6}$|^#[0-9a-f]{3}$/i.test(s) ? s : (/#[0-9a-f]{6}\b|#[0-9a-f]{3}\b/i.exec(s) || [])[0];
+  if (code) return rgbToHex(hexToRgb(code));
+  return COLOR_NAMES[s] || COLOR_NAMES[s.toLowerCase()] || null;
+}
+
+// Number from 35, "35", "35%", "约35%"; NaN otherwise
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const m = /-?\d+(?:\.\d+)?/.exec(String(value ?? ''));
+  return m ? Number(m[0]) : NaN;
+}
+
+// Scale to sum exactly 100 at one decimal (largest remainder)
+function scaleTo100(values, sum) {
+  const tenths = ELEMENTS.map(e => ({ e, raw: values[e] * 1000 / sum }));
+  tenths.forEach(t => { t.floor = Math.floor(t.raw); });
+  let left = 1000 - tenths.reduce((s, t) => s + t.floor, 0);
+  [...tenths].sort((a, b) => (b.raw - b.floor) - (a.raw - a.floor))
+    .forEach(t => { if (left > 0) { t.floor++; left--; } });
+  return Object.fromEntries(tenths.map(t => [t.e, t.floor / 10]));
+}
+
+// Perceptual distance between two hex colors (Euclidean in OKLab)
+function oklabDistance(x, y) {
+  const lab = hex => {
+    const [L, C, h] = rgbToOklch(hexToRgb(hex));
+    return [L, C * Math.cos(h), C * Math.sin(h)];
+  };
+  const [p, q] = [lab(x), lab(y)];
+  return Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+}
+
+function checkPercentages(field, input, warnings, errors) {
+  if (!input || typeof input !== 'object') {
+    errors.push(`${field} is missing`);
+    return null;
+  }
+  const values = {};
+  ELEMENTS.forEach(e => {
+    const n = toNumber(input[e]);
+    if (!Number.isFinite(n)) { errors.push(`${field}.${e} is not a number`); return; }
+    if (typeof input[e] !== 'number') warnings.push({ field: `${field}.${e}`, code: 'coerced', message: `"${input[e]}" read as ${n}` });
+    const clamped = Math.min(100, Math.max(0, n));
+    if (clamped !== n) warnings.push({ field: `${field}.${e}`, code: 'clamped', message: `${n} clamped to ${clamped}` });
+    values[e] = clamped;
+  });
+  if (Object.keys(values).length < ELEMENTS.length) return null;
+
+  const sum = ELEMENTS.reduce((s, e) => s + values[e], 0);
+  if (sum <= 0) {
+    errors.push(`${field} sums to 0`);
+    return null;
+  }
+  if (Math.abs(sum - 100) > SUM_TOLERANCE) {
+    warnings.push({ field, code: 'normalized', message: `summed to ${Math.round(sum * 10) / 10}, scaled to 100` });
+    return scaleTo100(values, sum);
+  }
+  return values;
+}
+
+/**
+ * Validate and repair ratios.
+ * @param {object} raw – { current, goal, colors, palettes? } as extracted
+ * @param {{[element:string]: string}} fallbackColors – used for unusable colors
+ * @returns {{ratios:object|null, warnings:Array<{field:string, code:string, message:string}>, errors:string[]}}
+ *   ratios is null when errors is non-empty (nothing sensible to repair to)
+ */
+function validateRatios(raw, fallbackColors) {
+  const warnings = [];
+  const errors = [];
+  if (!raw || typeof raw !== 'object') return { ratios: null, warnings, errors: ['ratios is not an object'] };
+
+  const current = checkPercentages('current', raw.current, warnings, errors);
+  const goal = checkPercentages('goal', raw.goal, warnings, errors);
+
+  const colors = {};
+  ELEMENTS.forEach(e => {
+    const given = raw.colors && raw.colors[e];
+    const hex = canonicalHex(given);
+    if (!hex) {
+      colors[e] = fallbackColors[e];
+      warnings.push({ field: `colors.${e}`, code: 'default-color', message: `${given === undefined ? 'missing' : `"${given}" is not a color`}, using ${colors[e]}` });
+      return;
+    }
+    if (hex !== given) warnings.push({ field: `colors.${e}`, code: 'canonicalized', message: `"${given}" → ${hex}` });
+    colors[e] = hex;
+  });
+
+  // Reported only: the model may mean two elements to share a tone
+  ELEMENTS.forEach((a, i) => ELEMENTS.slice(i + 1).forEach(b => {
+    if (oklabDistance(colors[a], colors[b]) < NEAR_DUPLICATE_DE) {
+      warnings.push({ field: 'colors', code: 'near-duplicate', message: `${a} ${colors[a]} and ${b} ${colors[b]} are hard to tell apart` });
+    }
+  }));
+
+  let palettes;
+  if (raw.palettes && typeof raw.palettes === 'object') {
+    palettes = {};
+    ELEMENTS.forEach(e => {
+      if (!Array.isArray(raw.palettes[e])) return;
+      const shades = raw.palettes[e].map(canonicalHex);
+      const dropped = shades.filter(h => !h).length;
+      if (dropped) warnings.push({ field: `palettes.${e}`, code: 'dropped', message: `${dropped} unusable shade(s) removed` });
+      palettes[e] = [...new Set(shades.filter(Boolean))];
+    });
+  }
+
+  if (errors.length) return { ratios: null, warnings, errors };
+  const ratios = { current, goal, colors };
+  if (palettes) ratios.palettes = palettes;
+  return { ratios, warnings, errors };
+}
+
+module.exports = { validateRatios, canonicalHex };